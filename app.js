@@ -8,14 +8,62 @@
  * - ICE 누적: E_ICE(d) = E_manuf,veh^ICE + d × (ℓ/100) × α_fuel
  * - BEV 누적: E_BEV(d) = (E_manuf,veh^BEV + α_bat) + d × (e/100) × α_grid
  * - km당 배출강도: k_ICE = (ℓ/100) × α_fuel, k_BEV = (e/100) × α_grid
- * - (수정) k_ICE = (1/연비) x 30.1(1L 당 발열량) x 19.731(탄소배출계수) / 1000000 x 44/12(탄소->이산화탄소)
+ * - HEV: k_HEV = k_ICE와 같은 식 (HEV 연비 사용), 초기 배출량에 소형 배터리 α_bat 포함
+ * - PHEV: k_PHEV = UF × k_BEV + (1 − UF) × k_ICE (UF: 전기 주행 비율)
+ * - (수정) k_ICE = (ℓ/100) x 30.1(1L 당 발열량) x 19.731(탄소배출계수) / 1000000 x 44/12(탄소->이산화탄소)
+ * - 연료: α_fuel = 발열량 × 탄소배출계수 / 1000 × 44/12 (kgCO₂e/L 또는 kg)를 차량에서 고른 연료의 값으로 계산하며,
+ *   바이오 혼합 연료(E10/E85, B7/B20)는 부피 비율로 섞고 바이오 성분의 연소 CO₂는 0으로 봄
+ * - FCEV: k_FCEV = (수소 kg/100) × 수소 생산 배출계수 (회색·청색·녹색), 차량 배출은 0
+ * - 배터리: α_bat = 용량 × (소재 배출 + 셀·팩 제조 전력 × 생산지 α_grid + 공정 열 배출) (kgCO₂e/kWh는 화학 조성·생산지에서 계산, 직접 입력 가능),
+ *   배터리 질량 = 용량 / 팩 에너지 밀도이며 차체 제조 CO₂는 배터리를 뺀 중량으로 추정
+ * - 단위: 계산은 km, L/100 km, kWh/100 km로 하고 km/L, mpg(US/UK), km/kWh, Wh/mi, 마일 입력·표시는 환산해 사용
  * - 손익분기점: d* = ((E_manuf,veh^BEV + α_bat) − E_manuf,veh^ICE) / (k_ICE − k_BEV)
+ * - 차량이 여러 대인 경우 모든 차량 쌍 (A, B)에 대해 d* = (E_0^B − E_0^A) / (k_A − k_B)
+ *   (E_0은 d=0에서의 초기 배출량, k_A ≥ k_B가 되도록 정렬)
+ * - α_grid가 연도별로 변하는 경우 전력 사용분은 E(d) = ... + (kWh/km) × ∫₀^d α_grid(x) dx 로 적분하며,
+ *   손익분기점은 위 닫힌 형태 대신 두 누적 배출량 곡선이 만나는 거리로 구함
+ * - BEV 배터리 열화: e(d) = e × (1 + 계수 × (1 − SoH(d))), 교체 시 E_BEV(d)에 α_bat가 한 번 더 더해지고
+ *   재활용 크레딧은 퇴역 배터리마다 −(용량 × 크레딧)으로 차감
+ * - 생애주기 단계: E(d) = 제조 + 주행 + 연료·전력 상류 + 정비 + 폐차·재활용
+ *   상류 = L × α_fuel,WTT + (주행 전력 배출량) × 손실률 / (1 − 손실률), 정비 = d × (kgCO₂e/km),
+ *   폐차·재활용은 차량 수명 거리에서 한 번 반영 (k에는 주행·상류·정비가 모두 포함됨)
+ * - 불확실성: 선택한 입력을 균등/삼각/정규 분포에서 N회 표본 추출해 위 계산을 반복하고 P5/P50/P95를 보고
+ * - 충전 프로필: 충전 전력 배출계수 = α_grid × Σ 비율_L × 시간대 계수_L / (1 − 충전 손실_L) (L: 가정·직장·공용 급속)
+ * - 주행 조건: 소비량 = 공인 값 × Σ 비율_c × 평균_월(주행 유형 배수 × 회생제동 보정 × (1 + 저온 증가율) + 냉난방 부하 항)
+ * - 총소유비용: C(d) = (구매 − 보조금) + Σ 연차별 (연료·전기·정비·보험) × (1 + r)^(−연차) − 수명 시점 잔존가치,
+ *   비용 손익분기점은 차량 수명 안에서 두 C(d)가 만나는 거리, 감축 비용 = ΔC(수명) / ΔE(수명) (원/tCO₂e)
+ * - 목표 탐색: 입력 x를 범위 안에서 훑어 f(x) = ΔE(목표 거리) − 목표 ΔE의 부호가 바뀌는 구간을 이분법으로 풀고,
+ *   손익분기점 목표는 ΔE(d*) = 0으로 푼 뒤 다시 계산한 d*가 목표와 같은 해만 인정
+ * - 히트맵: 두 입력을 격자로 바꿔 가며 d*를 계산하고, 손익분기점이 없는 조합은 "없음" 영역으로 표시
+ * - 차량군: 연도 t 배출량 = Σ 그룹 (대수 × 연간 주행거리 × k(t)) + 그해 새로 산 차량의 제조 배출,
+ *   ICE 유지와 매년 X%씩 전환하는 계획을 비교해 누적 절감량이 0 이상으로 돌아서는 해를 회수 연도로 보고
+ * - 유지 vs 교체: 기존 차량은 남은 수명 R 동안 제조 배출 없이(또는 제조 × R / (주행거리 + R)만) 주행한 뒤
+ *   R에서 같은 차종 신차로 바꿔 계속 주행하고, 지금 교체하면 교체 차량 생애주기 배출 (+ 폐차 시 기존 차량 폐차 배출)을 지금부터 더해 두 곡선이 만나는 거리를 탄소 회수 거리로 봄
+ * - 민감도: 입력을 하나씩 ±X% (또는 지정한 경계값)로 바꿔 d*와 기준 거리의 ΔE 변동을 토네이도 차트로 표시
+ * - 에너지: TTW = L × 발열량 + kWh × 3.6, WTW(1차 에너지) = L × 발열량 / 정유·공급 효율 + kWh × 충전 손실 배수 × φ_grid / (1 − 송배전 손실)
+ *   (충전 손실 배수 = Σ 비율_L / (1 − 충전 손실_L), 시간대별 탄소집약도는 에너지에 반영하지 않음),
+ *   누적 에너지 CED(d) = 제조 에너지 + WTW(d)로 두고 두 CED 곡선이 만나는 거리를 에너지 손익분기점으로 봄
+ *   (제조 에너지 = 배터리를 뺀 차체 중량 × 차체 제조 에너지 + 배터리 용량 × 배터리 제조 에너지, 배터리 교체마다 배터리 몫을 다시 더함)
  */
 
+// 내보내기 JSON 형식 버전 (필드 구성이 바뀌면 올림)
+const EXPORT_FORMAT_VERSION = 2;
+
 // Global state
 let currentResults = null;
 let chart = null;
 
+// 배출량 차트 보기 상태 (확대 범위, 숨긴 차량, 마우스 위치, 드래그)
+const chartView = {
+    results: null,
+    uncertainty: null,
+    xRange: null,
+    hidden: new Set(),
+    hover: null,
+    drag: null,
+    layout: null
+};
+
 // DOM elements
 const form = document.getElementById('comparison-form');
 const computeBtn = document.getElementById('compute-btn');
@@ -24,702 +72,6551 @@ const downloadCsvBtn = document.getElementById('download-csv-btn');
 const copyUrlBtn = document.getElementById('copy-url-btn');
 const resultsSection = document.getElementById('results');
 const canvas = document.getElementById('emissions-chart');
+const phaseCanvas = document.getElementById('phase-chart');
+const costCanvas = document.getElementById('cost-chart');
+const energyCanvas = document.getElementById('energy-chart');
+const vehicleCardsContainer = document.getElementById('vehicle-cards');
+const vehicleCardTemplate = document.getElementById('vehicle-card-template');
+const addVehicleBtn = document.getElementById('add-vehicle-btn');
+const gridModeSelect = document.getElementById('grid-mode');
+const regionSelect = document.getElementById('region');
+const chargingModeSelect = document.getElementById('charging-mode');
+const cycleModeSelect = document.getElementById('cycle-mode');
+const costModeSelect = document.getElementById('cost-mode');
+const goalParamSelect = document.getElementById('goal-param');
+const goalMetricSelect = document.getElementById('goal-metric');
+const runGoalSeekBtn = document.getElementById('run-goal-seek-btn');
+const heatmapXSelect = document.getElementById('heatmap-x-param');
+const heatmapYSelect = document.getElementById('heatmap-y-param');
+const runHeatmapBtn = document.getElementById('run-heatmap-btn');
+const heatmapCanvas = document.getElementById('heatmap-chart');
+const runFleetBtn = document.getElementById('run-fleet-btn');
+const fleetCanvas = document.getElementById('fleet-chart');
+const runReplacementBtn = document.getElementById('run-replacement-btn');
+const replacementCanvas = document.getElementById('replacement-chart');
+const uncertaintyParamsContainer = document.getElementById('uncertainty-params');
+const uncertaintyParamTemplate = document.getElementById('uncertainty-param-template');
+const addUncertaintyBtn = document.getElementById('add-uncertainty-btn');
+const runUncertaintyBtn = document.getElementById('run-uncertainty-btn');
+const runSensitivityBtn = document.getElementById('run-sensitivity-btn');
+const tornadoCanvas = document.getElementById('tornado-chart');
+const tornadoMetricSelect = document.getElementById('tornado-metric');
+
+// 차트 시리즈 및 차량 카드 색상 (차량 순서대로 사용)
+const SERIES_COLORS = ['#fd7e14', '#20c997', '#0d6efd', '#6f42c1', '#d63384', '#ffc107', '#6c757d', '#198754'];
+
+// 비교에 필요한 최소 차량 수
+const MIN_VEHICLES = 2;
+
+// 거리 입력에 허용하는 최대 지점 수
+const MAX_DISTANCE_POINTS = 1000;
+
+// 자동 범위 차트의 균등 표본 구간 수
+const AUTO_RANGE_SAMPLES = 200;
+
+// 단위 환산 상수 (국제 협정 정의값)
+const KM_PER_MILE = 1.609344;
+const LITRES_PER_US_GALLON = 3.785411784;
+const LITRES_PER_UK_GALLON = 4.54609;
+
+// 생애주기 단계 (표시 순서대로)
+const LIFECYCLE_PHASES = [
+    { key: 'manufacturing', label: '제조', color: '#495057' },
+    { key: 'use', label: '주행', color: '#0d6efd' },
+    { key: 'upstream', label: '연료·전력 상류', color: '#6f42c1' },
+    { key: 'maintenance', label: '정비', color: '#ffc107' },
+    { key: 'endOfLife', label: '폐차·재활용', color: '#dc3545' }
+];
 
 /**
- * 누락된 매개변수에 대한 추정 휴리스틱
+ * 지역별 배출계수 프리셋
+ * 
+ * alphaGrid: 전력 소비 기준 평균 배출계수 (kgCO₂e/kWh),
+ * phiGrid: 전력 1차 에너지 계수 (MJ/kWh).
+ * 값은 출처 자료를 반올림한 근사값입니다.
  */
-const EstimationHeuristics = {
-    /**
-     * 제조 CO₂ (배터리 제외 차량): E_manuf_veh ≈ 1.46 × 공차중량_kg (전로 생산방식 이산화탄소 배출 계수 1.46CO2t/t)
-     */
-    estimateManufacturingCO2: (weight) => 1.46 * weight,
+const REGION_PRESETS = [
+    { id: 'kr', label: '대한민국', year: 2021, source: '온실가스종합정보센터 국가 전력배출계수, 에너지경제연구원 에너지통계', alphaGrid: 0.459, phiGrid: 9.0 },
+    { id: 'eu', label: 'EU 평균', year: 2022, source: 'EEA 전력 온실가스 배출집약도, EU 에너지효율지침 1차 에너지 계수', alphaGrid: 0.251, phiGrid: 7.6 },
+    { id: 'fr', label: '프랑스', year: 2022, source: 'RTE eco2mix 연간 평균, ADEME Base Empreinte', alphaGrid: 0.056, phiGrid: 8.3 },
+    { id: 'pl', label: '폴란드', year: 2022, source: 'EEA 전력 온실가스 배출집약도, KOBiZE 배출계수', alphaGrid: 0.662, phiGrid: 9.0 },
+    { id: 'us', label: '미국 평균', year: 2022, source: 'EPA eGRID2022, EPA 온실가스 배출계수 허브', alphaGrid: 0.371, phiGrid: 10.1 },
+    { id: 'us-ca', label: '미국 캘리포니아', year: 2022, source: 'EPA eGRID2022 (주 단위), EPA 온실가스 배출계수 허브', alphaGrid: 0.203, phiGrid: 8.6 },
+    { id: 'us-tx', label: '미국 텍사스', year: 2022, source: 'EPA eGRID2022 (주 단위), EPA 온실가스 배출계수 허브', alphaGrid: 0.376, phiGrid: 10.0 },
+    { id: 'us-ny', label: '미국 뉴욕', year: 2022, source: 'EPA eGRID2022 (주 단위), EPA 온실가스 배출계수 허브', alphaGrid: 0.226, phiGrid: 9.2 },
+    { id: 'us-wa', label: '미국 워싱턴', year: 2022, source: 'EPA eGRID2022 (주 단위), EPA 온실가스 배출계수 허브', alphaGrid: 0.094, phiGrid: 7.4 },
+    { id: 'us-wy', label: '미국 와이오밍', year: 2022, source: 'EPA eGRID2022 (주 단위), EPA 온실가스 배출계수 허브', alphaGrid: 0.846, phiGrid: 11.5 },
+    { id: 'cn', label: '중국', year: 2022, source: '생태환경부 전국 전력망 평균 배출계수', alphaGrid: 0.570, phiGrid: 10.4 }
+];
+
+/**
+ * 프리셋 값 → 폼 필드
+ */
+const REGION_PRESET_FIELDS = {
+    alphaGrid: 'alpha-grid',
+    phiGrid: 'phi-grid'
+};
+
+/**
+ * 연료 카탈로그
+ * 
+ * heatingValue: 순발열량 (MJ/단위), carbonFactor: 탄소배출계수 (kgC/GJ), upstream: 채굴·정제·운송 배출량 (kgCO₂e/단위),
+ * unit: 연료 단위 (L 또는 kg, 연비 칸은 단위/100 km), efficiency: 같은 차량의 휘발유 대비 에너지 효율 배수 (연비 추정에 사용).
+ * blend는 [성분 id, 부피 비율] 목록이며, 바이오 성분(FUEL_COMPONENTS)은 연소 CO₂를 0으로 봅니다.
+ * hydrogen 항목은 수소 생산 방식별 값이며 supplyEfficiency(생산·압축 효율)를 에너지 계산에 씁니다.
+ * price는 총소유비용의 기본 소매 가격 (원/단위, 차량 카드에서 바꿀 수 있음)입니다.
+ * 값은 IPCC 기본 배출계수, 국내 에너지법 발열량, JEC WTW 보고서를 반올림한 근사값입니다.
+ */
+const FUEL_COMPONENTS = [
+    { id: 'ethanol', label: '바이오에탄올', unit: 'L', heatingValue: 21.1, carbonFactor: 0, upstream: 1.05 },
+    { id: 'fame', label: '바이오디젤 (FAME)', unit: 'L', heatingValue: 32.8, carbonFactor: 0, upstream: 1.6 }
+];
+
+const FUEL_CATALOG = [
+    { id: 'gasoline', label: '휘발유', unit: 'L', heatingValue: 30.1, carbonFactor: 19.731, upstream: 0.55, price: 1700 },
+    { id: 'diesel', label: '경유', unit: 'L', heatingValue: 35.2, carbonFactor: 20.2, upstream: 0.62, efficiency: 1.15, price: 1550 },
+    { id: 'lpg', label: 'LPG (부탄)', unit: 'L', heatingValue: 26.2, carbonFactor: 17.2, upstream: 0.21, price: 1000 },
+    { id: 'cng', label: 'CNG (압축천연가스, kg)', unit: 'kg', heatingValue: 48.0, carbonFactor: 15.3, upstream: 0.65, price: 1400 },
+    { id: 'e10', label: 'E10 (휘발유 + 에탄올 10%)', blend: [['gasoline', 0.9], ['ethanol', 0.1]], price: 1680 },
+    { id: 'e85', label: 'E85 (휘발유 + 에탄올 85%)', blend: [['gasoline', 0.15], ['ethanol', 0.85]], price: 1500 },
+    { id: 'b7', label: 'B7 (경유 + 바이오디젤 7%)', blend: [['diesel', 0.93], ['fame', 0.07]], efficiency: 1.15, price: 1560 },
+    { id: 'b20', label: 'B20 (경유 + 바이오디젤 20%)', blend: [['diesel', 0.8], ['fame', 0.2]], efficiency: 1.15, price: 1600 },
+    { id: 'h2-grey', label: '회색 수소 (천연가스 개질)', hydrogen: true, unit: 'kg', heatingValue: 120, carbonFactor: 0, upstream: 12.0, supplyEfficiency: 0.6, price: 9900 },
+    { id: 'h2-blue', label: '청색 수소 (개질 + CO₂ 포집)', hydrogen: true, unit: 'kg', heatingValue: 120, carbonFactor: 0, upstream: 4.5, supplyEfficiency: 0.52, price: 9900 },
+    { id: 'h2-green', label: '녹색 수소 (재생에너지 수전해)', hydrogen: true, unit: 'kg', heatingValue: 120, carbonFactor: 0, upstream: 1.0, supplyEfficiency: 0.55, price: 9900 }
+];
+
+/**
+ * 연료 카탈로그 조회와 연료 특성 계산
+ * 
+ * 차량 카드의 연료(fuel) 또는 수소(hydrogen) 선택을 계산에 쓰는 특성
+ * {label, unit, heatingValue, combustion, upstream, supplyEfficiency, hydrogen}으로 바꿉니다.
+ * 'custom'은 고급 매개변수의 α_fuel, α_fuel,WTT, 연료 발열량, 정유·공급 효율을 그대로 씁니다.
+ */
+const FuelCatalog = {
+    CUSTOM: 'custom',
     
-    /**
-     * ICE 연비: ℓ ≈ 3.5 + 2.5 × (공차중량_kg / 1000)
-     */
-    estimateICEFuelEconomy: (weight) => 3.5 + 2.5 * (weight / 1000),
+    find: (id) => FUEL_CATALOG.find(fuel => fuel.id === id) || null,
     
     /**
-     * BEV 에너지 사용량: e ≈ 6.0 + 0.006 × 공차중량_kg
+     * 연료 단위 (L 또는 kg, 혼합 연료는 첫 성분의 단위, 직접 입력이나 모르는 id는 L)
      */
-    estimateBEVEnergyUse: (weight) => 6.0 + 0.006 * weight,
+    unitOf: (id) => {
+        const fuel = FuelCatalog.find(id);
+        if (!fuel) return 'L';
+        return fuel.blend ? FuelCatalog.find(fuel.blend[0][0]).unit : fuel.unit;
+    },
     
     /**
-     * BEV 배터리 용량: 배터리_kWh ≈ clamp(0.04 × 공차중량_kg, 45, 95)
+     * 연소 배출계수 (kgCO₂e/단위): 발열량 × 탄소배출계수 / 1000 × 44/12
      */
-    estimateBEVBatteryCapacity: (weight) => Math.max(45, Math.min(95, 0.04 * weight))
-};
-
-/**
- * 입력 검증 및 파싱
- */
-const InputParser = {
+    combustionOf: (component) => component.heatingValue * component.carbonFactor / 1000 * 44 / 12,
+    
     /**
-     * 쉼표로 구분된 거리 문자열 파싱
+     * 카탈로그 항목의 특성 (혼합 연료는 성분의 부피 가중 합)
      */
-    parseDistances: (distancesStr) => {
-        if (!distancesStr.trim()) {
-            throw new Error('거리는 비어있을 수 없습니다');
-        }
-        
-        const distances = distancesStr.split(',')
-            .map(d => d.trim())
-            .map(d => parseFloat(d))
-            .filter(d => !isNaN(d) && d >= 0)
-            .sort((a, b) => a - b);
-            
-        if (distances.length === 0) {
-            throw new Error('유효한 거리를 찾을 수 없습니다');
+    propertiesOf: (fuel) => {
+        if (!fuel.blend) {
+            return { heatingValue: fuel.heatingValue, combustion: FuelCatalog.combustionOf(fuel), upstream: fuel.upstream };
         }
         
-        return distances;
+        const components = fuel.blend.map(([id, share]) => [FuelCatalog.find(id) ?? FUEL_COMPONENTS.find(component => component.id === id), share]);
+        const sum = (valueOf) => components.reduce((total, [component, share]) => total + share * valueOf(component), 0);
+        return {
+            heatingValue: sum(component => component.heatingValue),
+            combustion: sum(FuelCatalog.combustionOf),
+            upstream: sum(component => component.upstream)
+        };
     },
     
     /**
-     * 검증과 함께 숫자 입력 파싱
+     * 차량이 쓰는 연료의 계산용 특성 (id가 카탈로그에 없으면 직접 입력 값)
      */
-    parseNumber: (value, fieldName, min = 0) => {
-        if (!value || value.trim() === '') {
-            return null; // 선택적 필드
-        }
-        
-        const num = parseFloat(value);
-        if (isNaN(num) || num < min) {
-            throw new Error(`${fieldName}은(는) ${min} 이상의 숫자여야 합니다`);
+    resolve: (inputs, id) => {
+        const fuel = FuelCatalog.find(id);
+        if (!fuel) {
+            return {
+                id: FuelCatalog.CUSTOM,
+                label: '직접 입력',
+                unit: 'L',
+                heatingValue: inputs.energy.fuelHeatingValue,
+                combustion: inputs.alphaFuel,
+                upstream: inputs.fuelUpstream,
+                supplyEfficiency: inputs.energy.refineryEfficiency,
+                hydrogen: false
+            };
         }
         
-        return num;
+        return {
+            id: fuel.id,
+            label: fuel.label,
+            unit: FuelCatalog.unitOf(id),
+            ...FuelCatalog.propertiesOf(fuel),
+            supplyEfficiency: fuel.supplyEfficiency ?? inputs.energy.refineryEfficiency,
+            hydrogen: !!fuel.hydrogen
+        };
     },
     
     /**
-     * 모든 폼 입력 파싱
+     * 휘발유 기준 연비 추정치를 고른 연료의 소비량으로 환산 (같은 에너지 ÷ 효율 배수, 직접 입력 연료는 그대로)
      */
-    parseFormInputs: () => {
-        const formData = new FormData(form);
-        
-        try {
-            const distances = InputParser.parseDistances(formData.get('distances'));
-            
-            // 공통 매개변수
-            const alphaFuel = InputParser.parseNumber(formData.get('alpha-fuel'), 'α_fuel') || 2.18;
-            const alphaGrid = InputParser.parseNumber(formData.get('alpha-grid'), 'α_grid') || 0.45;
-            const phiGrid = InputParser.parseNumber(formData.get('phi-grid'), 'φ_grid') || 8.5;
-            const alphaBatPerKwh = InputParser.parseNumber(formData.get('alpha-bat-per-kwh'), 'α_bat_per_kWh') || 177;
-            
-            // ICE 매개변수
-            const iceWeight = InputParser.parseNumber(formData.get('ice-weight'), 'ICE 중량');
-            if (!iceWeight) throw new Error('ICE 중량은 필수입니다');
-            
-            const iceFuelEconomy = InputParser.parseNumber(formData.get('ice-fuel-economy'), 'ICE 연비');
-            const iceManufacturing = InputParser.parseNumber(formData.get('ice-manufacturing'), 'ICE 제조 CO₂');
-            
-            // BEV 매개변수
-            const bevWeight = InputParser.parseNumber(formData.get('bev-weight'), 'BEV 중량');
-            if (!bevWeight) throw new Error('BEV 중량은 필수입니다');
-            
-            const bevEnergyUse = InputParser.parseNumber(formData.get('bev-energy-use'), 'BEV 에너지 사용량');
-            const bevBatteryCapacity = InputParser.parseNumber(formData.get('bev-battery-capacity'), 'BEV 배터리 용량');
-            const bevManufacturing = InputParser.parseNumber(formData.get('bev-manufacturing'), 'BEV 제조 CO₂');
-            
-            return {
-                distances,
-                alphaFuel,
-                alphaGrid,
-                phiGrid,
-                alphaBatPerKwh,
-                iceWeight,
-                iceFuelEconomy,
-                iceManufacturing,
-                bevWeight,
-                bevEnergyUse,
-                bevBatteryCapacity,
-                bevManufacturing
-            };
-        } catch (error) {
-            throw new Error(`입력 검증 오류: ${error.message}`);
-        }
+    fromGasoline: (id, litres) => {
+        const fuel = FuelCatalog.find(id);
+        if (!fuel || fuel.hydrogen) return litres;
+        const { heatingValue } = FuelCatalog.propertiesOf(fuel);
+        return litres * FuelCatalog.find('gasoline').heatingValue / heatingValue / (fuel.efficiency ?? 1);
+    },
+    
+    /**
+     * 연료의 기본 소매 가격 (원/단위, 직접 입력이나 모르는 id는 휘발유 가격)
+     */
+    priceOf: (id) => (FuelCatalog.find(id) ?? FuelCatalog.find('gasoline')).price,
+    
+    /**
+     * 차량 카드 중 "직접 입력" 연료를 고른 카드가 있는지 (없으면 고급 매개변수의 직접 입력 연료 값은 계산에 쓰이지 않음)
+     */
+    customInUse: () => Array.from(vehicleCardsContainer.querySelectorAll('[data-field="fuel"]'))
+        .some(select => !select.disabled && select.value === FuelCatalog.CUSTOM),
+    
+    /**
+     * 차량 카드의 연료·수소 선택 목록 채우기 (템플릿에 한 번)
+     */
+    populateSelects: () => {
+        const content = vehicleCardTemplate.content;
+        const fuelSelect = content.querySelector('[data-field="fuel"]');
+        const hydrogenSelect = content.querySelector('[data-field="hydrogen"]');
+        FUEL_CATALOG.forEach(fuel => {
+            (fuel.hydrogen ? hydrogenSelect : fuelSelect).appendChild(new Option(fuel.label, fuel.id));
+        });
+        fuelSelect.appendChild(new Option('직접 입력 (고급 매개변수의 α_fuel 사용)', FuelCatalog.CUSTOM));
     }
 };
 
 /**
- * 계산 엔진
+ * 배터리 화학 조성 카탈로그
+ * 
+ * specificEnergy: 팩 에너지 밀도 (Wh/kg), materials: 양극재·음극재·전해질 등 소재 채굴·정제 배출량 (kgCO₂e/kWh),
+ * efficiency: 충방전 효율 (에너지 사용량 추정에 사용).
+ * 값은 Argonne GREET 2023, IVL 배터리 LCA 보고서(2023)를 반올림한 근사값입니다.
  */
-const Calculator = {
-    /**
-     * 누락된 매개변수에 대한 파생 값 계산
-     */
-    calculateDerivedValues: (inputs) => {
-        const derived = {};
-        
-        // ICE 파생 값
-        if (inputs.iceFuelEconomy === null) {
-            derived.iceFuelEconomy = EstimationHeuristics.estimateICEFuelEconomy(inputs.iceWeight);
-        }
-        if (inputs.iceManufacturing === null) {
-            derived.iceManufacturing = EstimationHeuristics.estimateManufacturingCO2(inputs.iceWeight);
-        }
-        
-        // BEV 파생 값
-        if (inputs.bevEnergyUse === null) {
-            derived.bevEnergyUse = EstimationHeuristics.estimateBEVEnergyUse(inputs.bevWeight);
-        }
-        if (inputs.bevBatteryCapacity === null) {
-            derived.bevBatteryCapacity = EstimationHeuristics.estimateBEVBatteryCapacity(inputs.bevWeight);
-        }
-        if (inputs.bevManufacturing === null) {
-            derived.bevManufacturing = EstimationHeuristics.estimateManufacturingCO2(inputs.bevWeight);
-        }
-        
-        return derived;
-    },
+const BATTERY_CHEMISTRIES = [
+    { id: 'nmc811', label: 'NMC811 (니켈 80%)', specificEnergy: 175, materials: 48, efficiency: 0.93 },
+    { id: 'nmc622', label: 'NMC622 (니켈 60%)', specificEnergy: 160, materials: 55, efficiency: 0.93 },
+    { id: 'nca', label: 'NCA (니켈·코발트·알루미늄)', specificEnergy: 170, materials: 50, efficiency: 0.93 },
+    { id: 'lfp', label: 'LFP (리튬인산철)', specificEnergy: 140, materials: 40, efficiency: 0.95 },
+    { id: 'sodium-ion', label: '나트륨 이온', specificEnergy: 115, materials: 36, efficiency: 0.92 }
+];
+
+/**
+ * 배터리 셀·팩 생산지
+ * 
+ * alphaGrid: 생산 공장이 쓰는 전력의 배출계수 (kgCO₂e/kWh, REGION_PRESETS에 있는 국가는 같은 값)
+ */
+const BATTERY_PRODUCTION_SITES = [
+    { id: 'kr', label: '대한민국', alphaGrid: 0.459 },
+    { id: 'cn', label: '중국', alphaGrid: 0.570 },
+    { id: 'jp', label: '일본', alphaGrid: 0.457 },
+    { id: 'pl', label: '폴란드', alphaGrid: 0.662 },
+    { id: 'hu', label: '헝가리', alphaGrid: 0.222 },
+    { id: 'de', label: '독일', alphaGrid: 0.380 },
+    { id: 'us', label: '미국', alphaGrid: 0.371 },
+    { id: 'se', label: '스웨덴', alphaGrid: 0.041 }
+];
+
+/**
+ * 배터리 모델: 화학 조성·생산지에서 제조 배출계수와 질량 계산
+ * 
+ * 차량의 batterySpec은 {chemistry, site} id이며, 모르는 id는 목록의 첫 항목 (NMC811, 대한민국)으로 봅니다.
+ */
+const BatteryModel = {
+    // 셀·팩 제조 전력 (kWh/kWh): 전극 코팅·건조, 드라이룸, 화성 공정
+    MANUFACTURING_ELECTRICITY: 50,
+    
+    // 전력 외 공정 열·직접 배출 (kgCO₂e/kWh)
+    PROCESS_EMISSIONS: 8,
+    
+    chemistryOf: (spec) => BATTERY_CHEMISTRIES.find(chemistry => chemistry.id === spec?.chemistry) ?? BATTERY_CHEMISTRIES[0],
+    
+    siteOf: (spec) => BATTERY_PRODUCTION_SITES.find(site => site.id === spec?.site) ?? BATTERY_PRODUCTION_SITES[0],
     
     /**
-     * km당 배출강도 계산
+     * 배터리 제조 배출계수 (kgCO₂e/kWh): 소재 + 제조 전력 × 생산지 α_grid + 공정 배출
      */
-    calculatePerKmIntensities: (inputs, derived) => {
-        const iceFuelEconomy = inputs.iceFuelEconomy ?? derived.iceFuelEconomy;
-        const bevEnergyUse = inputs.bevEnergyUse ?? derived.bevEnergyUse;
-        
-        const kICE = (1 / iceFuelEconomy) * inputs.alphaFuel;
-        const kBEV = (1 / bevEnergyUse) * inputs.alphaGrid;
-        
-        return { kICE, kBEV };
-    },
+    factorOf: (spec) => BatteryModel.chemistryOf(spec).materials +
+        BatteryModel.MANUFACTURING_ELECTRICITY * BatteryModel.siteOf(spec).alphaGrid +
+        BatteryModel.PROCESS_EMISSIONS,
     
     /**
-     * 손익분기점 거리 계산
-     alphaBat - 배터리를 제조할 때 발생하는 이산화탄소 발생량(문헌 참고 약 177kg/kwh)
+     * 배터리 팩 질량 (kg): 용량 / 팩 에너지 밀도
      */
-    calculateBreakEven: (inputs, derived, kICE, kBEV) => {
-        const iceManufacturing = inputs.iceManufacturing ?? derived.iceManufacturing;
-        const bevManufacturing = inputs.bevManufacturing ?? derived.bevManufacturing;
-        const bevBatteryCapacity = inputs.bevBatteryCapacity ?? derived.bevBatteryCapacity;
-        
-        const alphaBat = bevBatteryCapacity * inputs.alphaBatPerKwh;
-        const deltaManuf = (bevManufacturing + alphaBat) - iceManufacturing;
-        
-        if (kICE <= kBEV) {
-            return {
-                breakEven: null,
-                message: kICE < kBEV ? 
-                    '유한한 손익분기점 없음 (BEV의 km당 배출강도가 더 낮지 않음)' :
-                    '이미 d=0에서 더 좋음 (동일한 km당 배출강도)',
-                deltaManuf
-            };
-        }
-        
-        const breakEven = deltaManuf / (kICE - kBEV);
-        
-        return {
-            breakEven: breakEven >= 0 ? breakEven : null,
-            message: breakEven >= 0 ? 
-                `${breakEven.toFixed(0)} km에서 손익분기점` :
-                'BEV가 0 km에서 더 좋음',
-            deltaManuf
-        };
-    },
+    massOf: (capacity, spec) => capacity * 1000 / BatteryModel.chemistryOf(spec).specificEnergy,
     
     /**
-     * 모든 거리에 대한 누적 배출량 계산
+     * 배터리를 뺀 차체 중량 (kg, 차체 제조 CO₂ 추정과 제조 에너지에 사용, 배터리가 없으면 공차중량)
      */
-    calculateCumulativeEmissions: (inputs, derived, kICE, kBEV) => {
-        const iceManufacturing = inputs.iceManufacturing ?? derived.iceManufacturing;
-        const bevManufacturing = inputs.bevManufacturing ?? derived.bevManufacturing;
-        const bevBatteryCapacity = inputs.bevBatteryCapacity ?? derived.bevBatteryCapacity;
-        const bevEnergyUse = inputs.bevEnergyUse ?? derived.bevEnergyUse;
-        
-        const alphaBat = bevBatteryCapacity * inputs.alphaBatPerKwh;
-        
-        return inputs.distances.map(distance => {
-            const eICE = iceManufacturing + distance * kICE;
-            const eBEV = (bevManufacturing + alphaBat) + distance * kBEV;
-            const delta = eBEV - eICE;
-            const peBEV = distance * (bevEnergyUse / 100) * inputs.phiGrid;
-            
-            return {
-                distance,
-                eICE,
-                eBEV,
-                delta,
-                kICE,
-                kBEV,
-                peBEV
-            };
-        });
-    },
+    bodyWeightOf: (vehicle) => Math.max(0, vehicle.weight - BatteryModel.massOf(vehicle.batteryCapacity ?? 0, vehicle.batterySpec)),
     
     /**
-     * 메인 계산 함수
+     * 차량 카드의 화학 조성·생산지 선택 목록 채우기 (템플릿에 한 번)
      */
-    calculate: (inputs) => {
-        const derived = Calculator.calculateDerivedValues(inputs);
-        const { kICE, kBEV } = Calculator.calculatePerKmIntensities(inputs, derived);
-        const breakEvenResult = Calculator.calculateBreakEven(inputs, derived, kICE, kBEV);
-        const results = Calculator.calculateCumulativeEmissions(inputs, derived, kICE, kBEV);
-        
-        return {
-            inputs,
-            derived,
-            kICE,
-            kBEV,
-            breakEven: breakEvenResult.breakEven,
-            breakEvenMessage: breakEvenResult.message,
-            deltaManuf: breakEvenResult.deltaManuf,
-            results
-        };
+    populateSelects: () => {
+        const content = vehicleCardTemplate.content;
+        const chemistrySelect = content.querySelector('[data-field="battery-chemistry"]');
+        const siteSelect = content.querySelector('[data-field="battery-site"]');
+        BATTERY_CHEMISTRIES.forEach(chemistry => chemistrySelect.appendChild(new Option(chemistry.label, chemistry.id)));
+        BATTERY_PRODUCTION_SITES.forEach(site => siteSelect.appendChild(new Option(site.label, site.id)));
     }
 };
 
 /**
- * UI 렌더링 함수
+ * 단위 변환
+ * 
+ * 계산은 항상 정규 단위(거리 km, 연료 소비량 L/100 km, 전력 소비량 kWh/100 km)로 하고,
+ * 폼 값을 읽을 때(InputParser)와 결과를 표시할 때만 이 모듈로 환산합니다.
+ * 소비량 단위의 toCanonical/fromCanonical은 선택 단위 값 ↔ 정규 단위 값 변환이며,
+ * km/L·mpg·km/kWh처럼 역수 관계인 단위도 같은 방식으로 정의합니다.
  */
-const UIRenderer = {
+const Units = {
+    // 거리 단위 (km: 1 단위의 km 값)
+    DISTANCE: {
+        km: { label: 'km', km: 1 },
+        mi: { label: 'mi', km: KM_PER_MILE }
+    },
+    
+    // 연료 소비량 단위 (정규: L/100 km)
+    FUEL: {
+        'l-100km': { label: 'L/100 km', toCanonical: value => value, fromCanonical: value => value },
+        'km-l': { label: 'km/L', toCanonical: value => 100 / value, fromCanonical: value => 100 / value },
+        'mpg-us': {
+            label: 'mpg (US)',
+            toCanonical: value => 100 * LITRES_PER_US_GALLON / (KM_PER_MILE * value),
+            fromCanonical: value => 100 * LITRES_PER_US_GALLON / (KM_PER_MILE * value)
+        },
+        'mpg-uk': {
+            label: 'mpg (UK)',
+            toCanonical: value => 100 * LITRES_PER_UK_GALLON / (KM_PER_MILE * value),
+            fromCanonical: value => 100 * LITRES_PER_UK_GALLON / (KM_PER_MILE * value)
+        }
+    },
+    
+    // 전력 소비량 단위 (정규: kWh/100 km)
+    ELECTRICITY: {
+        'kwh-100km': { label: 'kWh/100 km', toCanonical: value => value, fromCanonical: value => value },
+        'km-kwh': { label: 'km/kWh', toCanonical: value => 100 / value, fromCanonical: value => 100 / value },
+        'wh-mi': { label: 'Wh/mi', toCanonical: value => value / (10 * KM_PER_MILE), fromCanonical: value => value * 10 * KM_PER_MILE }
+    },
+    
     /**
-     * 검증 오류 표시
+     * 단위 표에 있는 단위 키 (없거나 알 수 없으면 첫 번째 단위)
      */
-    showError: (message) => {
-        // 기존 오류 메시지 제거
-        const existingErrors = document.querySelectorAll('.error-message');
-        existingErrors.forEach(el => el.remove());
-        
-        // 새 오류 메시지 생성
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.style.cssText = `
-            background: var(--danger-color);
-            color: white;
-            padding: var(--spacing-md);
-            border-radius: var(--border-radius-md);
-            margin-bottom: var(--spacing-md);
-            font-weight: 500;
-        `;
-        errorDiv.textContent = message;
-        
-        // 폼 상단에 삽입
-        form.insertBefore(errorDiv, form.firstChild);
-        
-        // 오류로 스크롤
-        errorDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    },
+    keyOf: (table, key) => Object.prototype.hasOwnProperty.call(Units[table], key) ? key : Object.keys(Units[table])[0],
     
     /**
-     * 주요 지표 표시 업데이트
+     * 단위 표에서 단위 찾기 (없거나 알 수 없으면 첫 번째 단위)
      */
-    updateKeyMetrics: (results) => {
-        document.getElementById('k-ice-value').textContent = results.kICE.toFixed(3);
-        document.getElementById('k-bev-value').textContent = results.kBEV.toFixed(3);
-        document.getElementById('delta-manuf-value').textContent = results.deltaManuf.toFixed(0);
-        document.getElementById('break-even-message').textContent = results.breakEvenMessage;
-        
-        // 결과에 따라 손익분기점 메시지 스타일링
-        const breakEvenEl = document.getElementById('break-even-message');
-        breakEvenEl.className = '';
-        if (results.breakEven === null) {
-            if (results.breakEvenMessage.includes('유한한 손익분기점 없음')) {
-                breakEvenEl.classList.add('text-warning');
-            } else {
-                breakEvenEl.classList.add('text-success');
-            }
-        } else {
-            breakEvenEl.classList.add('text-success');
-        }
-    },
+    find: (table, key) => Units[table][Units.keyOf(table, key)],
     
     /**
-     * 추정된 값 표시 업데이트
+     * 선택 단위 값 → 정규 단위 값 (null은 그대로)
      */
-    updateDerivedValues: (inputs, derived) => {
-        const container = document.getElementById('derived-values-content');
-        container.innerHTML = '';
-        
-        const derivedItems = [];
-        
-        // ICE 추정된 값
-        if (inputs.iceFuelEconomy === null) {
-            derivedItems.push(`ICE 연비: ${derived.iceFuelEconomy.toFixed(1)} L/100 km`);
-        }
-        if (inputs.iceManufacturing === null) {
-            derivedItems.push(`ICE 제조 CO₂: ${derived.iceManufacturing.toFixed(0)} kgCO₂e`);
-        }
-        
-        // BEV 추정된 값
-        if (inputs.bevEnergyUse === null) {
-            derivedItems.push(`BEV 에너지 사용량: ${derived.bevEnergyUse.toFixed(1)} kWh/100 km`);
-        }
-        if (inputs.bevBatteryCapacity === null) {
-            derivedItems.push(`BEV 배터리 용량: ${derived.bevBatteryCapacity.toFixed(0)} kWh`);
-        }
-        if (inputs.bevManufacturing === null) {
-            derivedItems.push(`BEV 제조 CO₂: ${derived.bevManufacturing.toFixed(0)} kgCO₂e`);
-        }
-        
-        if (derivedItems.length > 0) {
-            derivedItems.forEach(item => {
-                const span = document.createElement('span');
-                span.className = 'derived-value';
-                span.textContent = item;
-                container.appendChild(span);
-            });
-        } else {
-            container.innerHTML = '<p>추정된 값 없음 (모든 입력값 제공됨)</p>';
-        }
-    },
+    toCanonical: (table, key, value) => value === null ? null : Units.find(table, key).toCanonical(value),
     
     /**
-     * 결과 표 업데이트
+     * 정규 단위 값 → 선택 단위 값 (null은 그대로)
      */
-    updateResultsTable: (results) => {
-        const tbody = document.querySelector('#results-table tbody');
-        tbody.innerHTML = '';
-        
-        results.forEach(row => {
-            const tr = document.createElement('tr');
-            tr.innerHTML = `
-                <td>${row.distance.toLocaleString()}</td>
-                <td>${row.eICE.toFixed(0)}</td>
-                <td>${row.eBEV.toFixed(0)}</td>
-                <td class="${row.delta >= 0 ? 'text-danger' : 'text-success'}">${row.delta >= 0 ? '+' : ''}${row.delta.toFixed(0)}</td>
-                <td>${row.kICE.toFixed(3)}</td>
-                <td>${row.kBEV.toFixed(3)}</td>
-                <td>${row.peBEV.toFixed(0)}</td>
-            `;
-            tbody.appendChild(tr);
-        });
-    },
+    fromCanonical: (table, key, value) => value === null ? null : Units.find(table, key).fromCanonical(value),
     
     /**
-     * 결과 섹션 표시
+     * 폼 거리 단위 값 → km (null은 그대로)
      */
-    showResults: () => {
-        resultsSection.style.display = 'block';
-        resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
-    }
-};
-
-/**
- * Canvas 2D를 사용한 차트 렌더링
- */
-const ChartRenderer = {
+    toKm: (key, value) => value === null ? null : value * Units.find('DISTANCE', key).km,
+    
     /**
-     * 차트 초기화
+     * 폼 거리 단위당 값 → km당 값 (null은 그대로)
      */
-    init: () => {
-        const ctx = canvas.getContext('2d');
-        chart = { ctx, canvas };
-    },
+    toPerKm: (key, value) => value === null ? null : value / Units.find('DISTANCE', key).km,
     
     /**
-     * 캔버스 지우기
+     * 결과 표시에 쓰는 거리 단위
      */
-    clear: () => {
-        const { ctx, canvas } = chart;
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-    },
+    distanceUnit: (inputs) => Units.find('DISTANCE', inputs.distanceUnit),
     
     /**
-     * 배출량 데이터로 차트 그리기
+     * km → 표시 거리 단위 값
      */
-    draw: (results, breakEven) => {
-        const { ctx, canvas } = chart;
-        const padding = 60;
-        const chartWidth = canvas.width - 2 * padding;
-        const chartHeight = canvas.height - 2 * padding;
-        
-        // 캔버스 지우기
-        ChartRenderer.clear();
-        
-        // 데이터 범위 찾기
-        const distances = results.map(r => r.distance);
-        const emissions = results.map(r => [r.eICE, r.eBEV]).flat();
-        
-        const minDistance = Math.min(...distances);
+    distance: (inputs, km) => km / Units.distanceUnit(inputs).km,
+    
+    /**
+     * km당 값 → 표시 거리 단위당 값
+     */
+    perDistance: (inputs, perKm) => perKm * Units.distanceUnit(inputs).km,
+    
+    /**
+     * 거리 표시 문자열 (예: "16266 km")
+     */
+    formatDistance: (inputs, km) => `${Units.distance(inputs, km).toFixed(0)} ${Units.distanceUnit(inputs).label}`,
+    
+    /**
+     * 단위 문자열의 km를 표시 거리 단위로 바꿈 (예: "kgCO₂e/km" → "kgCO₂e/mi")
+     */
+    label: (inputs, unit = 'km') => unit.replace(/\bkm\b/, Units.distanceUnit(inputs).label),
+    
+    /**
+     * 연료 소비량 단위 라벨의 L을 연료 단위로 바꿈 (예: "L/100 km" → "kg/100 km")
+     */
+    fuelLabel: (label, fuelUnit) => label.replace(/^L\//, `${fuelUnit}/`),
+    
+    /**
+     * 차량 필드의 정규 단위 값 → 차량이 선택한 단위의 표시 값과 단위 문자열
+     */
+    vehicleField: (inputs, vehicle, field, value) => {
+        if (field.unitTable) {
+            const unit = Units.find(field.unitTable, vehicle.units[field.key]);
+            // L가 아닌 연료(CNG)는 정규 단위로만 입력하므로 라벨의 L을 연료 단위로 바꿈
+            const label = field.unitTable === 'FUEL' ? Units.fuelLabel(unit.label, FuelCatalog.unitOf(vehicle.fuel)) : unit.label;
+            return { value: unit.fromCanonical(value), unit: label };
+        }
+        if (field.perDistance) {
+            return { value: Units.perDistance(inputs, value), unit: Units.label(inputs, field.unit) };
+        }
+        return { value, unit: field.unit };
+    }
+};
+
+/**
+ * 누락된 매개변수에 대한 추정 휴리스틱
+ */
+const EstimationHeuristics = {
+    /**
+     * 제조 CO₂ (배터리 제외 차량): E_manuf_veh ≈ 1.46 × 공차중량_kg (전로 생산방식 이산화탄소 배출 계수 1.46CO2t/t)
+     */
+    estimateManufacturingCO2: (weight) => 1.46 * weight,
+    
+    /**
+     * ICE 연비: ℓ ≈ 3.5 + 2.5 × (공차중량_kg / 1000)
+     */
+    estimateICEFuelEconomy: (weight) => 3.5 + 2.5 * (weight / 1000),
+    
+    /**
+     * BEV 에너지 사용량: e ≈ (6.0 + 0.006 × 공차중량_kg) × 0.93 / 배터리 충방전 효율
+     * (NMC 계열 효율 0.93을 기준으로, LFP처럼 효율이 높은 배터리는 조금 덜 씀)
+     */
+    estimateBEVEnergyUse: (weight, batterySpec) => (6.0 + 0.006 * weight) * 0.93 / BatteryModel.chemistryOf(batterySpec).efficiency,
+    
+    /**
+     * BEV 배터리 용량: 배터리 팩이 공차중량의 약 23%라고 보고 팩 에너지 밀도로 환산
+     * 배터리_kWh ≈ clamp(0.23 × 공차중량_kg × 에너지 밀도_Wh/kg / 1000, 20, 120)
+     */
+    estimateBEVBatteryCapacity: (weight, batterySpec) =>
+        Math.max(20, Math.min(120, 0.23 * weight * BatteryModel.chemistryOf(batterySpec).specificEnergy / 1000)),
+    
+    /**
+     * HEV 연비: 같은 중량 ICE 추정치 대비 연비(km/L) 약 40% 향상, 즉 소비량 ÷ 1.4 (회생제동 + 엔진 최적 운전)
+     */
+    estimateHEVFuelEconomy: (weight) => EstimationHeuristics.estimateICEFuelEconomy(weight) / 1.4,
+    
+    /**
+     * HEV 배터리 용량: 배터리_kWh ≈ clamp(0.001 × 공차중량_kg, 1, 2)
+     */
+    estimateHEVBatteryCapacity: (weight) => Math.max(1, Math.min(2, 0.001 * weight)),
+    
+    /**
+     * PHEV 엔진 주행(충전 유지 모드) 연비: 같은 중량 HEV 추정치와 동일
+     */
+    estimatePHEVFuelEconomy: (weight) => EstimationHeuristics.estimateHEVFuelEconomy(weight),
+    
+    /**
+     * PHEV 전기 주행 에너지 사용량: 같은 중량 BEV 추정치와 동일
+     */
+    estimatePHEVEnergyUse: (weight, batterySpec) => EstimationHeuristics.estimateBEVEnergyUse(weight, batterySpec),
+    
+    /**
+     * PHEV 배터리 용량: 배터리_kWh ≈ clamp(0.008 × 공차중량_kg, 8, 25)
+     */
+    estimatePHEVBatteryCapacity: (weight) => Math.max(8, Math.min(25, 0.008 * weight)),
+    
+    /**
+     * PHEV 전기 주행 비율(UF, %): UF ≈ 100 × (1 − exp(−배터리_kWh / 15))
+     * (배터리가 클수록 일상 주행 중 전기로 달리는 비율이 포화되는 형태의 근사)
+     */
+    estimatePHEVUtilityFactor: (batteryCapacity) => 100 * (1 - Math.exp(-batteryCapacity / 15)),
+    
+    /**
+     * FCEV 수소 소비량: h ≈ 0.00045 × 공차중량_kg (kg/100 km, 넥쏘·미라이 공인 값 근처)
+     */
+    estimateFCEVHydrogenUse: (weight) => 0.00045 * weight,
+    
+    /**
+     * FCEV 보조 배터리 용량: 같은 중량 HEV 추정치와 동일
+     */
+    estimateFCEVBatteryCapacity: (weight) => EstimationHeuristics.estimateHEVBatteryCapacity(weight),
+    
+    /**
+     * 연료전지 스택·탄소섬유 수소탱크 제조 CO₂: E_FC ≈ 1.2 × 공차중량_kg
+     */
+    estimateFuelCellCO2: (weight) => 1.2 * weight,
+    
+    /**
+     * 배터리 열화에 따른 소비전력 증가: 용량 1% 감소당 소비전력 약 0.5% 증가
+     */
+    estimateDegradationConsumptionPenalty: () => 0.5,
+    
+    /**
+     * ICE 정비 CO₂ (kgCO₂e/km): 엔진오일 0.0015 + 브레이크 0.0005 + 타이어 0.003 × (공차중량_kg / 1000)
+     */
+    estimateICEMaintenanceCO2: (weight) => 0.0015 + 0.0005 + 0.003 * (weight / 1000),
+    
+    /**
+     * HEV/PHEV 정비 CO₂ (kgCO₂e/km): 엔진오일 0.0015 + 브레이크 0.0002 (회생제동) + 타이어 0.003 × (공차중량_kg / 1000)
+     */
+    estimateHybridMaintenanceCO2: (weight) => 0.0015 + 0.0002 + 0.003 * (weight / 1000),
+    
+    /**
+     * BEV 정비 CO₂ (kgCO₂e/km): 브레이크 0.0002 (회생제동) + 타이어 0.003 × (공차중량_kg / 1000), 엔진오일 없음
+     */
+    estimateBEVMaintenanceCO2: (weight) => 0.0002 + 0.003 * (weight / 1000),
+    
+    /**
+     * 폐차·재활용 CO₂ (해체, 파쇄, 소재 회수 공정): E_EoL ≈ 0.04 × 공차중량_kg
+     */
+    estimateEndOfLifeCO2: (weight) => 0.04 * weight,
+    
+    /**
+     * 주행 조건별 소비량 배수 (공인 복합 = 혼합 1.0, 회생제동 제외)
+     * 엔진은 도심 저부하·공회전에서 효율이 낮고, 전기 구동은 고속에서 공기저항 영향이 큼
+     */
+    estimateCycleFactor: (kind, cycle) => ({
+        combustion: { city: 1.25, highway: 0.85, mixed: 1.0 },
+        hybrid: { city: 1.1, highway: 0.9, mixed: 1.0 },
+        electric: { city: 1.05, highway: 1.15, mixed: 1.0 },
+        fuelCell: { city: 1.05, highway: 1.15, mixed: 1.0 }
+    })[kind][cycle],
+    
+    /**
+     * 회생제동으로 회수하는 에너지 비율: 도심 20%, 혼합 8%, 고속도로 2~3% (엔진 전용은 0)
+     */
+    estimateRegenerativeBrakingBenefit: (kind, cycle) => ({
+        combustion: { city: 0, highway: 0, mixed: 0 },
+        hybrid: { city: 0.2, highway: 0.02, mixed: 0.08 },
+        electric: { city: 0.2, highway: 0.03, mixed: 0.08 },
+        fuelCell: { city: 0.2, highway: 0.03, mixed: 0.08 }
+    })[kind][cycle],
+    
+    /**
+     * 냉난방 부하 (kW): 18°C 미만 난방 0.12 kW/°C (최대 4 kW, 엔진·연료전지 차량은 폐열 사용으로 0),
+     * 22°C 초과 냉방 0.1 kW/°C (최대 3 kW)
+     */
+    estimateHVACLoad: (kind, temperature) => {
+        const heating = kind === 'electric' ? Math.min(4, Math.max(0, 18 - temperature) * 0.12) : 0;
+        const cooling = Math.min(3, Math.max(0, temperature - 22) * 0.1);
+        return heating + cooling;
+    },
+    
+    /**
+     * 저온 소비량 증가 비율: 전기 구동은 10°C 미만 1%/°C (배터리 내부저항, 최대 25%),
+     * 엔진·연료전지는 10°C 미만 0.5%/°C (냉간 시동·예열, 최대 15%)
+     */
+    estimateColdPenalty: (kind, temperature) => kind === 'electric' ?
+        Math.min(0.25, Math.max(0, 10 - temperature) * 0.01) :
+        Math.min(0.15, Math.max(0, 10 - temperature) * 0.005)
+};
+
+/**
+ * 모든 파워트레인에 공통인 생애주기 단계 입력 (정비, 폐차·재활용)
+ */
+const createLifecycleFields = (estimateMaintenance) => [
+    {
+        key: 'maintenance',
+        name: 'maintenance',
+        label: '정비 CO₂',
+        unit: 'kgCO₂e/km',
+        perDistance: true,
+        digits: 4,
+        estimate: (vehicle) => estimateMaintenance(vehicle.weight)
+    },
+    {
+        key: 'endOfLife',
+        name: 'end-of-life',
+        label: '폐차·재활용 CO₂',
+        unit: 'kgCO₂e',
+        digits: 0,
+        estimate: (vehicle) => EstimationHeuristics.estimateEndOfLifeCO2(vehicle.weight)
+    }
+];
+
+/**
+ * 배터리가 있는 파워트레인에 공통인 배터리 제조 배출계수 입력 (비어있으면 화학 조성·생산지에서 계산)
+ */
+const BATTERY_FACTOR_FIELD = {
+    key: 'batteryFactor',
+    name: 'battery-factor',
+    label: '배터리 제조 배출계수',
+    unit: 'kgCO₂e/kWh',
+    digits: 0,
+    estimate: (vehicle) => BatteryModel.factorOf(vehicle.batterySpec)
+};
+
+/**
+ * 배터리가 있는 파워트레인의 차체 제조 CO₂ 입력 (배터리 질량을 뺀 중량으로 추정)
+ */
+const BODY_MANUFACTURING_FIELD = {
+    key: 'manufacturing',
+    name: 'manufacturing',
+    label: '제조 CO₂',
+    unit: 'kgCO₂e',
+    digits: 0,
+    estimate: (vehicle) => EstimationHeuristics.estimateManufacturingCO2(BatteryModel.bodyWeightOf(vehicle))
+};
+
+/**
+ * 파워트레인 유형별 모델
+ * 
+ * fields는 차량 카드에서 입력받는 선택적 매개변수이며, 비어있으면 estimate로 추정합니다.
+ * estimate는 앞선 필드의 추정값까지 반영된 차량 값을 받으므로 필드 순서가 의미를 가집니다.
+ * 필드 값은 정규 단위(unit)이며, unitTable이 있는 필드는 카드에서 고른 소비량 단위로,
+ * perDistance인 필드는 거리 단위당 값으로 입력받아 InputParser가 환산합니다 (Units).
+ * fuelPerKm, electricityPerKm은 km당 연료(연료 단위/km)와 전력(kWh/km) 사용량으로,
+ * k = fuelPerKm × (연료의 α_fuel + 상류) + electricityPerKm × α_grid 가 됩니다.
+ * fuelSelect는 연료를 고르는 카드 필드('fuel' 또는 'hydrogen')이며, 연료 특성은 FuelCatalog에서 가져옵니다.
+ * batteryCapacity 필드가 있는 유형은 배터리 화학 조성·생산지(batterySpec)를 받아 BatteryModel로
+ * 배터리 제조 배출계수와 질량을 구합니다 (BATTERY_FACTOR_FIELD, BODY_MANUFACTURING_FIELD).
+ * upfrontEmissions는 d=0에서의 초기 배출량을 반환합니다 (에너지 사용량은 연료·전력 사용량에서 EnergyModel이 계산).
+ * batteryLife가 true인 유형은 배터리 열화·교체(BatteryLife)를 적용합니다.
+ * drivingCycle은 연료·전력 사용분이 주행 조건(DrivingCycle)에 반응하는 방식
+ * ('combustion' 엔진 전용, 'hybrid' 하이브리드 엔진, 'electric' 전기 구동, 'fuelCell' 연료전지)이며,
+ * ratedFuel은 연료 공인 소비량 필드 키입니다 (기본 fuelEconomy).
+ */
+const Powertrains = {
+    ice: {
+        label: '내연기관차 (ICE)',
+        shortLabel: 'ICE',
+        fields: [
+            {
+                key: 'fuelEconomy',
+                name: 'fuel-economy',
+                label: '연비',
+                unit: 'L/100 km',
+                unitTable: 'FUEL',
+                digits: 1,
+                estimate: (vehicle) => FuelCatalog.fromGasoline(vehicle.fuel, EstimationHeuristics.estimateICEFuelEconomy(vehicle.weight))
+            },
+            {
+                key: 'manufacturing',
+                name: 'manufacturing',
+                label: '제조 CO₂',
+                unit: 'kgCO₂e',
+                digits: 0,
+                estimate: (vehicle) => EstimationHeuristics.estimateManufacturingCO2(vehicle.weight)
+            },
+            ...createLifecycleFields(EstimationHeuristics.estimateICEMaintenanceCO2)
+        ],
+        fuelPerKm: (values) => values.fuelEconomy / 100,
+        electricityPerKm: () => 0,
+        upfrontEmissions: (values) => values.manufacturing,
+        drivingCycle: { fuel: 'combustion', electricity: null },
+        fuelSelect: 'fuel'
+    },
+    
+    bev: {
+        label: '배터리 전기차 (BEV)',
+        shortLabel: 'BEV',
+        fields: [
+            {
+                key: 'energyUse',
+                name: 'energy-use',
+                label: '에너지 사용량',
+                unit: 'kWh/100 km',
+                unitTable: 'ELECTRICITY',
+                digits: 1,
+                estimate: (vehicle) => EstimationHeuristics.estimateBEVEnergyUse(vehicle.weight, vehicle.batterySpec)
+            },
+            {
+                key: 'batteryCapacity',
+                name: 'battery-capacity',
+                label: '배터리 용량',
+                unit: 'kWh',
+                digits: 0,
+                estimate: (vehicle) => EstimationHeuristics.estimateBEVBatteryCapacity(vehicle.weight, vehicle.batterySpec)
+            },
+            BATTERY_FACTOR_FIELD,
+            BODY_MANUFACTURING_FIELD,
+            ...createLifecycleFields(EstimationHeuristics.estimateBEVMaintenanceCO2)
+        ],
+        fuelPerKm: () => 0,
+        electricityPerKm: (values) => values.energyUse / 100,
+        upfrontEmissions: (values) => values.manufacturing + values.batteryCapacity * values.batteryFactor,
+        drivingCycle: { fuel: null, electricity: 'electric' },
+        batteryLife: true
+    },
+    
+    hev: {
+        label: '하이브리드 (HEV)',
+        shortLabel: 'HEV',
+        fields: [
+            {
+                key: 'fuelEconomy',
+                name: 'fuel-economy',
+                label: '연비',
+                unit: 'L/100 km',
+                unitTable: 'FUEL',
+                digits: 1,
+                estimate: (vehicle) => FuelCatalog.fromGasoline(vehicle.fuel, EstimationHeuristics.estimateHEVFuelEconomy(vehicle.weight))
+            },
+            {
+                key: 'batteryCapacity',
+                name: 'battery-capacity',
+                label: '배터리 용량',
+                unit: 'kWh',
+                digits: 1,
+                estimate: (vehicle) => EstimationHeuristics.estimateHEVBatteryCapacity(vehicle.weight)
+            },
+            BATTERY_FACTOR_FIELD,
+            BODY_MANUFACTURING_FIELD,
+            ...createLifecycleFields(EstimationHeuristics.estimateHybridMaintenanceCO2)
+        ],
+        fuelPerKm: (values) => values.fuelEconomy / 100,
+        electricityPerKm: () => 0,
+        upfrontEmissions: (values) => values.manufacturing + values.batteryCapacity * values.batteryFactor,
+        drivingCycle: { fuel: 'hybrid', electricity: null },
+        fuelSelect: 'fuel'
+    },
+    
+    phev: {
+        label: '플러그인 하이브리드 (PHEV)',
+        shortLabel: 'PHEV',
+        fields: [
+            {
+                key: 'fuelEconomy',
+                name: 'fuel-economy',
+                label: '연비',
+                unit: 'L/100 km',
+                unitTable: 'FUEL',
+                digits: 1,
+                estimate: (vehicle) => FuelCatalog.fromGasoline(vehicle.fuel, EstimationHeuristics.estimatePHEVFuelEconomy(vehicle.weight))
+            },
+            {
+                key: 'energyUse',
+                name: 'energy-use',
+                label: '에너지 사용량',
+                unit: 'kWh/100 km',
+                unitTable: 'ELECTRICITY',
+                digits: 1,
+                estimate: (vehicle) => EstimationHeuristics.estimatePHEVEnergyUse(vehicle.weight, vehicle.batterySpec)
+            },
+            {
+                key: 'batteryCapacity',
+                name: 'battery-capacity',
+                label: '배터리 용량',
+                unit: 'kWh',
+                digits: 1,
+                estimate: (vehicle) => EstimationHeuristics.estimatePHEVBatteryCapacity(vehicle.weight)
+            },
+            BATTERY_FACTOR_FIELD,
+            {
+                key: 'utilityFactor',
+                name: 'utility-factor',
+                label: '전기 주행 비율',
+                unit: '%',
+                digits: 0,
+                max: 100,
+                estimate: (vehicle) => EstimationHeuristics.estimatePHEVUtilityFactor(vehicle.batteryCapacity)
+            },
+            BODY_MANUFACTURING_FIELD,
+            ...createLifecycleFields(EstimationHeuristics.estimateHybridMaintenanceCO2)
+        ],
+        fuelPerKm: (values) => (1 - values.utilityFactor / 100) * (values.fuelEconomy / 100),
+        electricityPerKm: (values) => (values.utilityFactor / 100) * (values.energyUse / 100),
+        upfrontEmissions: (values) => values.manufacturing + values.batteryCapacity * values.batteryFactor,
+        drivingCycle: { fuel: 'hybrid', electricity: 'electric' },
+        fuelSelect: 'fuel'
+    },
+    
+    fcev: {
+        label: '수소연료전지차 (FCEV)',
+        shortLabel: 'FCEV',
+        fields: [
+            {
+                key: 'hydrogenUse',
+                name: 'hydrogen-use',
+                label: '수소 소비량',
+                unit: 'kg/100 km',
+                digits: 2,
+                estimate: (vehicle) => EstimationHeuristics.estimateFCEVHydrogenUse(vehicle.weight)
+            },
+            {
+                key: 'batteryCapacity',
+                name: 'battery-capacity',
+                label: '배터리 용량',
+                unit: 'kWh',
+                digits: 1,
+                estimate: (vehicle) => EstimationHeuristics.estimateFCEVBatteryCapacity(vehicle.weight)
+            },
+            BATTERY_FACTOR_FIELD,
+            {
+                key: 'fuelCell',
+                name: 'fuel-cell',
+                label: '연료전지·수소탱크 CO₂',
+                unit: 'kgCO₂e',
+                digits: 0,
+                estimate: (vehicle) => EstimationHeuristics.estimateFuelCellCO2(vehicle.weight)
+            },
+            BODY_MANUFACTURING_FIELD,
+            ...createLifecycleFields(EstimationHeuristics.estimateBEVMaintenanceCO2)
+        ],
+        fuelPerKm: (values) => values.hydrogenUse / 100,
+        electricityPerKm: () => 0,
+        upfrontEmissions: (values) => values.manufacturing + values.fuelCell + values.batteryCapacity * values.batteryFactor,
+        drivingCycle: { fuel: 'fuelCell', electricity: null, ratedFuel: 'hydrogenUse' },
+        fuelSelect: 'hydrogen'
+    }
+};
+
+/**
+ * 연도별 전력망 탄소집약도 경로
+ * 
+ * 거리 d는 연간 주행거리로 연차(0부터)로 환산하며, 한 연차 안에서는 α_grid가 일정합니다.
+ * 경로가 끝난 이후의 연차는 마지막 값을 유지합니다.
+ */
+const GridTrajectory = {
+    /**
+     * 연차별 α_grid (kgCO₂e/kWh)
+     */
+    intensityForYear: (inputs, year) => {
+        const { grid } = inputs;
+        
+        if (grid.mode === 'linear') {
+            const span = grid.targetYear - grid.startYear;
+            if (year >= span) return grid.targetIntensity;
+            return inputs.alphaGrid + (grid.targetIntensity - inputs.alphaGrid) * year / span;
+        }
+        
+        if (grid.mode === 'custom') {
+            return grid.yearlyValues[Math.min(year, grid.yearlyValues.length - 1)];
+        }
+        
+        return inputs.alphaGrid;
+    },
+    
+    /**
+     * α_grid가 변하는 연차 수 (이후로는 일정)
+     */
+    changingYears: (inputs) => {
+        const { grid } = inputs;
+        if (grid.mode === 'linear') return grid.targetYear - grid.startYear;
+        if (grid.mode === 'custom') return grid.yearlyValues.length - 1;
+        return 0;
+    },
+    
+    /**
+     * 거리에 해당하는 연차
+     */
+    yearAt: (inputs, distance) => Math.floor(distance / inputs.grid.annualMileage),
+    
+    /**
+     * 거리 d 시점의 α_grid
+     */
+    intensityAt: (inputs, distance) => GridTrajectory.intensityForYear(inputs, GridTrajectory.yearAt(inputs, distance)),
+    
+    /**
+     * 경로를 years 연차 뒤에 시작하는 입력 (나중에 산 차량 계산용)
+     */
+    shift: (inputs, years) => {
+        const { grid } = inputs;
+        if (years <= 0 || grid.mode === 'constant') return inputs;
+        
+        const shiftedGrid = { ...grid, startYear: grid.startYear + years };
+        if (grid.mode === 'custom') {
+            shiftedGrid.yearlyValues = grid.yearlyValues.slice(Math.min(years, grid.yearlyValues.length - 1));
+        }
+        return { ...inputs, alphaGrid: GridTrajectory.intensityForYear(inputs, years), grid: shiftedGrid };
+    },
+    
+    /**
+     * α_grid가 바뀌는 거리 목록 (누적 배출량 곡선의 꺾이는 점)
+     */
+    breakpoints: (inputs) => {
+        const points = [];
+        for (let year = 1; year <= GridTrajectory.changingYears(inputs); year++) {
+            points.push(year * inputs.grid.annualMileage);
+        }
+        return points;
+    }
+};
+
+/**
+ * 충전 장소·시간대별 전력 배출계수 모델
+ * 
+ * 장소 L마다 충전 비율 s_L, 충전 손실 η_L, 충전 시간대가 있고, 시간대 계수 t_L은
+ * 충전 시간대의 평균 시간별 배출계수를 하루 평균으로 나눈 값입니다.
+ * 충전 전력의 유효 배출계수 = α_grid × Σ s_L × t_L / (1 − η_L)
+ */
+const ChargingProfile = {
+    /**
+     * 충전 장소 (폼 필드 접두사와 라벨)
+     */
+    LOCATIONS: [
+        { key: 'home', label: '가정 완속' },
+        { key: 'work', label: '직장 완속' },
+        { key: 'public', label: '공용 급속' }
+    ],
+    
+    /**
+     * 장소별 계수와 전체 배수 계산
+     * 
+     * hourlyCurve가 없으면 시간대 계수는 모두 1입니다.
+     */
+    summarize: (locations, hourlyCurve) => {
+        const dailyMean = hourlyCurve ? hourlyCurve.reduce((sum, value) => sum + value, 0) / 24 : null;
+        
+        const breakdown = locations.map(location => {
+            const timeFactor = hourlyCurve && dailyMean > 0 ?
+                location.hours.reduce((sum, hour) => sum + hourlyCurve[hour], 0) / location.hours.length / dailyMean :
+                1;
+            return { ...location, timeFactor, factor: timeFactor / (1 - location.loss) };
+        });
+        
+        return {
+            locations: breakdown,
+            hourlyCurve,
+            factor: breakdown.reduce((sum, location) => sum + location.share * location.factor, 0),
+            lossFactor: breakdown.reduce((sum, location) => sum + location.share / (1 - location.loss), 0)
+        };
+    },
+    
+    /**
+     * α_grid에 곱할 배수 (충전 프로필이 없으면 1)
+     */
+    factor: (inputs) => inputs.charging ? inputs.charging.factor : 1,
+    
+    /**
+     * 충전 손실만 반영한 전력량 배수 Σ 비율_L / (1 − 충전 손실_L) (에너지·전기요금 계산용, 시간대 계수 제외, 충전 프로필이 없으면 1)
+     */
+    lossFactor: (inputs) => inputs.charging ? inputs.charging.lossFactor : 1
+};
+
+/**
+ * 주행 조건(도심·고속도로·혼합, 기온) 반영 소비량 모델
+ * 
+ * 공인 복합 소비량을 혼합 주행·온화한 기온의 기준으로 보고, 조건마다
+ * 주행 유형 배수 × 회생제동 보정 × (1 + 저온 증가율) + 냉난방 부하 / 평균 속도 / 공인 소비량
+ * 배수를 구해 주행 유형 비율과 월별 기온(월마다 같은 거리)으로 가중 평균합니다.
+ */
+const DrivingCycle = {
+    /**
+     * 주행 유형과 평균 속도 (km/h, 냉난방 부하를 거리당 소비량으로 환산)
+     */
+    CYCLES: [
+        { key: 'city', label: '도심', speed: 25 },
+        { key: 'highway', label: '고속도로', speed: 90 },
+        { key: 'mixed', label: '혼합', speed: 50 }
+    ],
+    
+    /**
+     * 엔진 차량 냉방 부하의 연료 환산: 휘발유 1 L ≈ 8.9 kWh × 엔진·발전기 효율 25%
+     */
+    FUEL_KWH_PER_LITRE: 8.9 * 0.25,
+    
+    /**
+     * 연료전지 차량 냉방 부하의 수소 환산: 수소 1 kg ≈ 33.3 kWh × 연료전지 효율 50%
+     */
+    HYDROGEN_KWH_PER_KG: 33.3 * 0.5,
+    
+    /**
+     * 한 조건에서 공인 소비량(rated: L/100 km, kg/100 km 또는 kWh/100 km) 대비 소비량 배수
+     */
+    conditionFactor: (kind, rated, cycle, temperature) => {
+        const regen = (1 - EstimationHeuristics.estimateRegenerativeBrakingBenefit(kind, cycle.key)) /
+            (1 - EstimationHeuristics.estimateRegenerativeBrakingBenefit(kind, 'mixed'));
+        const base = EstimationHeuristics.estimateCycleFactor(kind, cycle.key) * regen *
+            (1 + EstimationHeuristics.estimateColdPenalty(kind, temperature));
+        
+        // 냉난방 부하 (kW) → 시간당 소비량 → 100 km당 소비량
+        const hvacLoad = EstimationHeuristics.estimateHVACLoad(kind, temperature);
+        const kwhPerUnit = { electric: 1, fuelCell: DrivingCycle.HYDROGEN_KWH_PER_KG }[kind] ?? DrivingCycle.FUEL_KWH_PER_LITRE;
+        const hvacPerHour = hvacLoad / kwhPerUnit;
+        return base + 100 * hvacPerHour / cycle.speed / rated;
+    },
+    
+    /**
+     * 주행 유형 가중치와 기온 목록에 대한 연료·전력 소비량 배수 (해당 없는 에너지원은 1)
+     */
+    weightedFactors: (powertrain, values, cycleWeights, temperatures) => {
+        const factorFor = (kind, rated) => {
+            if (!kind) return 1;
+            return DrivingCycle.CYCLES.reduce((sum, cycle) => {
+                if (cycleWeights[cycle.key] === 0) return sum;
+                const average = temperatures.reduce((total, temperature) =>
+                    total + DrivingCycle.conditionFactor(kind, rated, cycle, temperature), 0) / temperatures.length;
+                return sum + cycleWeights[cycle.key] * average;
+            }, 0);
+        };
+        
+        return {
+            fuel: factorFor(powertrain.drivingCycle.fuel, values[powertrain.drivingCycle.ratedFuel ?? 'fuelEconomy']),
+            electricity: factorFor(powertrain.drivingCycle.electricity, values.energyUse)
+        };
+    },
+    
+    /**
+     * 차량의 전체 가중 배수와 조건별 배수
+     * (조건: 주행 유형별 연중 평균, 기온이 달라지면 가장 추운 달과 가장 더운 달)
+     */
+    factorsFor: (drivingCycle, powertrain, values) => {
+        const { shares, temperatures } = drivingCycle;
+        const only = (key) => Object.fromEntries(DrivingCycle.CYCLES.map(cycle => [cycle.key, cycle.key === key ? 1 : 0]));
+        const coldest = Math.min(...temperatures);
+        const hottest = Math.max(...temperatures);
+        
+        const conditions = [
+            ...DrivingCycle.CYCLES.map(cycle => ({
+                label: cycle.label,
+                ...DrivingCycle.weightedFactors(powertrain, values, only(cycle.key), temperatures)
+            })),
+        ];
+        if (coldest !== hottest) {
+            conditions.push(
+                { label: `가장 추운 달 (${coldest}°C)`, ...DrivingCycle.weightedFactors(powertrain, values, shares, [coldest]) },
+                { label: `가장 더운 달 (${hottest}°C)`, ...DrivingCycle.weightedFactors(powertrain, values, shares, [hottest]) }
+            );
+        }
+        
+        return {
+            ...DrivingCycle.weightedFactors(powertrain, values, shares, temperatures),
+            conditions
+        };
+    }
+};
+
+/**
+ * 배터리 열화·교체·재활용 모델
+ * 
+ * 용량(SoH)은 배터리 장착 후 연차마다 일정하게 감소하고, 소비전력은 감소한 용량에 비례해 증가합니다.
+ * 교체 시점에는 새 배터리 제조 배출량(α_bat)이 다시 더해지고 SoH가 100%로 돌아갑니다.
+ */
+const BatteryLife = {
+    /**
+     * 차량 값으로부터 열화 프로필과 계단형 배출 이벤트(steps) 생성
+     */
+    createProfile: (inputs, values) => {
+        const { battery } = values;
+        const { annualMileage } = inputs.grid;
+        
+        // 감소율을 연 단위 비율로 통일
+        const fadePerYear = battery.fadeBasis === '10000km' ?
+            (battery.capacityFade / 100) * annualMileage / 10000 :
+            battery.capacityFade / 100;
+        
+        let replacementDistance = null;
+        if (battery.replacementMode === 'distance') {
+            replacementDistance = battery.replacementDistance;
+        } else if (battery.replacementMode === 'soh' && fadePerYear > 0) {
+            const years = Math.ceil((1 - battery.replacementSoh / 100) / fadePerYear - 1e-9);
+            replacementDistance = Math.max(1, years) * annualMileage;
+        }
+        
+        // 차량 수명 이후의 교체는 일어나지 않음
+        if (replacementDistance !== null && replacementDistance >= inputs.lifetime) {
+            replacementDistance = null;
+        }
+        
+        const credit = values.batteryCapacity * battery.recyclingCredit;
+        const steps = [];
+        
+        if (replacementDistance !== null) {
+            steps.push({ distance: replacementDistance, amount: values.batteryCapacity * values.batteryFactor, label: '배터리 교체', phase: 'manufacturing', batteryReplacement: true });
+            if (credit > 0) {
+                steps.push({ distance: replacementDistance, amount: -credit, label: '퇴역 배터리 크레딧', phase: 'endOfLife' });
+            }
+        }
+        if (credit > 0) {
+            steps.push({ distance: inputs.lifetime, amount: -credit, label: '수명 종료 배터리 크레딧', phase: 'endOfLife' });
+        }
+        
+        return {
+            fadePerYear,
+            consumptionPenalty: battery.consumptionPenalty,
+            installedAt: 0,
+            replacementDistance,
+            steps
+        };
+    },
+    
+    /**
+     * 거리 offset에 새로 산 차량의 배터리 프로필 (설치·교체 거리를 offset만큼 뒤로, 그 전에는 열화 없음)
+     */
+    shift: (battery, offset) => ({
+        ...battery,
+        installedAt: battery.installedAt + offset,
+        replacementDistance: battery.replacementDistance === null ? null : battery.replacementDistance + offset
+    }),
+    
+    /**
+     * 거리 d 시점의 배터리 건강 상태 (SoH, 0~1, 설치 전에는 1)
+     */
+    stateOfHealth: (inputs, battery, distance) => {
+        if (distance < battery.installedAt) return 1;
+        const installedAt = battery.replacementDistance !== null && distance >= battery.replacementDistance ?
+            battery.replacementDistance : battery.installedAt;
+        const years = Math.floor((distance - installedAt) / inputs.grid.annualMileage);
+        return Math.max(0, 1 - battery.fadePerYear * years);
+    },
+    
+    /**
+     * 새 배터리 대비 소비전력 배율: 1 + 계수 × 용량 감소분
+     */
+    consumptionFactor: (inputs, battery, distance) => {
+        return 1 + battery.consumptionPenalty * (1 - BatteryLife.stateOfHealth(inputs, battery, distance));
+    },
+    
+    /**
+     * SoH가 바뀌는 거리 목록 (SoH가 0에 도달하면 더 이상 바뀌지 않음)
+     */
+    breakpoints: (inputs, battery) => {
+        if (battery.fadePerYear <= 0) return [];
+        
+        const { annualMileage } = inputs.grid;
+        const fadeYears = Math.ceil(1 / battery.fadePerYear);
+        const installs = battery.replacementDistance !== null ? [battery.installedAt, battery.replacementDistance] : [battery.installedAt];
+        const points = [];
+        
+        installs.forEach((installedAt, i) => {
+            const removedAt = i + 1 < installs.length ? installs[i + 1] : Infinity;
+            for (let year = 1; year <= fadeYears && installedAt + year * annualMileage < removedAt; year++) {
+                points.push(installedAt + year * annualMileage);
+            }
+        });
+        
+        return points;
+    }
+};
+
+/**
+ * 입력 검증 및 파싱
+ */
+const InputParser = {
+    /**
+     * 쉼표로 구분된 거리 문자열 파싱
+     * 
+     * 각 항목은 거리 하나 또는 "시작:끝:간격" 범위이며 (예: 0:200000:10000), 범위의 끝 거리는 항상 포함합니다.
+     */
+    parseDistances: (distancesStr) => {
+        if (!distancesStr.trim()) {
+            throw new Error('거리는 비어있을 수 없습니다');
+        }
+        
+        // 지점을 하나씩 더하며 개수 제한 확인 (쉼표 목록과 범위를 함께 셈)
+        const distances = new Set();
+        const add = (distance) => {
+            distances.add(distance);
+            if (distances.size > MAX_DISTANCE_POINTS) {
+                throw new Error(`거리 지점은 ${MAX_DISTANCE_POINTS}개 이하여야 합니다`);
+            }
+        };
+        
+        distancesStr.split(',').map(d => d.trim()).filter(d => d).forEach(item => {
+            if (!item.includes(':')) {
+                const distance = parseFloat(item);
+                if (!isNaN(distance) && distance >= 0) add(distance);
+                return;
+            }
+            
+            const parts = item.split(':').map(part => part.trim() === '' ? NaN : Number(part));
+            if (parts.length !== 3 || parts.some(part => !isFinite(part))) {
+                throw new Error(`거리 범위 "${item}"는 시작:끝:간격 형식이어야 합니다`);
+            }
+            const [start, end, step] = parts;
+            if (start < 0 || end < start) {
+                throw new Error(`거리 범위 "${item}"의 시작은 0 이상, 끝은 시작 이상이어야 합니다`);
+            }
+            if (step <= 0) {
+                throw new Error(`거리 범위 "${item}"의 간격은 0보다 커야 합니다`);
+            }
+            for (let k = 0; start + k * step <= end + step * 1e-9; k++) {
+                add(parseFloat((start + k * step).toPrecision(12)));
+            }
+            add(end);
+        });
+            
+        if (distances.size === 0) {
+            throw new Error('유효한 거리를 찾을 수 없습니다');
+        }
+        
+        return [...distances].sort((a, b) => a - b);
+    },
+    
+    /**
+     * 폼의 거리 단위 ('km' | 'mi'), 거리와 거리당 입력은 이 단위로 읽어 km 기준으로 환산
+     */
+    parseDistanceUnit: (formData) => Units.keyOf('DISTANCE', formData.get('distance-unit')),
+    
+    /**
+     * 차트 거리 범위 모드 ('manual' | 'lifetime' | 'breakEven')
+     */
+    parseChartRange: (formData) => {
+        const mode = formData.get('chart-range');
+        return ['lifetime', 'breakEven'].includes(mode) ? mode : 'manual';
+    },
+    
+    /**
+     * 검증과 함께 숫자 입력 파싱
+     */
+    parseNumber: (value, fieldName, min = 0, max = Infinity) => {
+        if (!value || value.trim() === '') {
+            return null; // 선택적 필드
+        }
+        
+        const num = parseFloat(value);
+        if (isNaN(num) || num < min) {
+            throw new Error(`${fieldName}은(는) ${min} 이상의 숫자여야 합니다`);
+        }
+        if (num > max) {
+            throw new Error(`${fieldName}은(는) ${max} 이하의 숫자여야 합니다`);
+        }
+        
+        return num;
+    },
+    
+    /**
+     * 쉼표로 구분된 숫자 목록 파싱 (잘못된 값이 있으면 오류)
+     */
+    parseNumberList: (value, fieldName) => {
+        const items = (value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+        if (items.length === 0) {
+            throw new Error(`${fieldName}은(는) 비어있을 수 없습니다`);
+        }
+        
+        return items.map(item => {
+            const num = parseFloat(item);
+            if (isNaN(num) || num < 0) {
+                throw new Error(`${fieldName}에 잘못된 값이 있습니다: ${item}`);
+            }
+            return num;
+        });
+    },
+    
+    /**
+     * 전력망 탄소집약도 경로 입력 파싱
+     */
+    parseGridTrajectory: (formData) => {
+        const mode = formData.get('grid-mode') || 'constant';
+        const distanceUnit = InputParser.parseDistanceUnit(formData);
+        const annualMileage = Units.toKm(distanceUnit, InputParser.parseNumber(formData.get('annual-mileage'), '연간 주행거리')) || 15000;
+        const startYear = Math.round(InputParser.parseNumber(formData.get('grid-start-year'), '기준 연도') || new Date().getFullYear());
+        
+        const grid = { mode, annualMileage, startYear };
+        
+        if (mode === 'linear') {
+            const targetYear = InputParser.parseNumber(formData.get('grid-target-year'), '목표 연도');
+            if (targetYear === null) throw new Error('목표 연도는 필수입니다');
+            if (targetYear <= startYear) throw new Error('목표 연도는 기준 연도보다 커야 합니다');
+            
+            const targetIntensity = InputParser.parseNumber(formData.get('grid-target-intensity'), '목표 α_grid');
+            if (targetIntensity === null) throw new Error('목표 α_grid는 필수입니다');
+            
+            grid.targetYear = Math.round(targetYear);
+            grid.targetIntensity = targetIntensity;
+        } else if (mode === 'custom') {
+            grid.yearlyValues = InputParser.parseNumberList(formData.get('grid-yearly-values'), '연도별 α_grid');
+        }
+        
+        return grid;
+    },
+    
+    /**
+     * 에너지 회계 입력 파싱 (비어있으면 기본값)
+     */
+    parseEnergySettings: (formData) => ({
+        fuelHeatingValue: InputParser.parseNumber(formData.get('fuel-heating-value'), '연료 발열량') ?? 30.1,
+        refineryEfficiency: (InputParser.parseNumber(formData.get('refinery-efficiency'), '정유·공급 효율', 1, 100) ?? 82) / 100,
+        vehicleEnergy: InputParser.parseNumber(formData.get('vehicle-energy'), '차체 제조 에너지') ?? 65,
+        batteryEnergy: InputParser.parseNumber(formData.get('battery-energy'), '배터리 제조 에너지') ?? 1000
+    }),
+    
+    /**
+     * 총소유비용 공통 입력 파싱 (사용하지 않으면 null)
+     */
+    parseCostSettings: (formData) => {
+        if (formData.get('cost-mode') !== 'on') {
+            return null;
+        }
+        
+        return {
+            electricityPrice: InputParser.parseNumber(formData.get('price-electricity'), '전기 요금') ?? 0,
+            discountRate: (InputParser.parseNumber(formData.get('discount-rate'), '할인율', 0, 100) ?? 0) / 100
+        };
+    },
+    
+    /**
+     * 차량별 비용 입력 파싱 (비어있으면 0, 연료 가격은 비어있으면 null로 두어 연료별 기본 가격 사용)
+     */
+    parseVehicleCost: (formData, prefix, name) => {
+        const parseField = (field, label) => InputParser.parseNumber(formData.get(`${prefix}-${field}`), `${name} ${label}`) ?? 0;
+        
+        return {
+            fuelPrice: InputParser.parseNumber(formData.get(`${prefix}-fuel-price`), `${name} 연료 가격`),
+            purchasePrice: parseField('purchase-price', '구매 가격'),
+            subsidy: parseField('subsidy', '보조금'),
+            maintenanceCost: Units.toPerKm(InputParser.parseDistanceUnit(formData), parseField('maintenance-cost', '정비 비용')),
+            insurance: parseField('insurance', '보험료'),
+            resaleValue: parseField('resale-value', '잔존가치')
+        };
+    },
+    
+    /**
+     * 주행 조건 입력 파싱 (사용하지 않으면 null)
+     */
+    parseDrivingCycle: (formData) => {
+        if (formData.get('cycle-mode') !== 'profile') {
+            return null;
+        }
+        
+        const shares = {};
+        DrivingCycle.CYCLES.forEach(({ key, label }) => {
+            shares[key] = (InputParser.parseNumber(formData.get(`cycle-${key}-share`), `${label} 주행 비율`, 0, 100) ?? 0) / 100;
+        });
+        const totalShare = Object.values(shares).reduce((sum, share) => sum + share, 0);
+        if (Math.abs(totalShare - 1) > 1e-6) {
+            throw new Error(`주행 유형 비율의 합은 100%여야 합니다 (현재 ${(totalShare * 100).toFixed(0)}%)`);
+        }
+        
+        // 기온은 음수가 될 수 있으므로 parseNumberList 대신 직접 파싱
+        const temperatures = (formData.get('cycle-temperatures') || '').split(',').map(item => item.trim()).filter(item => item !== '').map(item => {
+            const temperature = parseFloat(item);
+            if (isNaN(temperature) || temperature < -50 || temperature > 60) {
+                throw new Error(`월별 기온에 잘못된 값이 있습니다: ${item}`);
+            }
+            return temperature;
+        });
+        if (temperatures.length !== 1 && temperatures.length !== 12) {
+            throw new Error(`월별 기온은 12개(또는 연중 일정하면 1개)여야 합니다 (현재 ${temperatures.length}개)`);
+        }
+        
+        return { shares, temperatures };
+    },
+    
+    /**
+     * 충전 시간대 파싱: "22-6, 12-14" → 해당 시각 목록 (끝 시각 제외, 자정을 넘을 수 있음)
+     */
+    parseHours: (value, fieldName) => {
+        const hours = new Set();
+        const ranges = (value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+        if (ranges.length === 0) {
+            throw new Error(`${fieldName}은(는) 비어있을 수 없습니다`);
+        }
+        
+        ranges.forEach(range => {
+            const match = /^(\d{1,2})\s*-\s*(\d{1,2})$/.exec(range);
+            const [start, end] = match ? [parseInt(match[1], 10), parseInt(match[2], 10)] : [NaN, NaN];
+            if (!match || start > 23 || end > 24 || start === end) {
+                throw new Error(`${fieldName}에 잘못된 시간대가 있습니다: ${range}`);
+            }
+            const length = ((end - start) % 24 + 24) % 24 || 24;
+            for (let i = 0; i < length; i++) {
+                hours.add((start + i) % 24);
+            }
+        });
+        
+        return [...hours].sort((a, b) => a - b);
+    },
+    
+    /**
+     * 충전 프로필 입력 파싱 (사용하지 않으면 null)
+     */
+    parseChargingProfile: (formData) => {
+        if (formData.get('charging-mode') !== 'profile') {
+            return null;
+        }
+        
+        const locations = ChargingProfile.LOCATIONS.map(({ key, label }) => ({
+            key,
+            label,
+            share: (InputParser.parseNumber(formData.get(`charging-${key}-share`), `${label} 충전 비율`, 0, 100) ?? 0) / 100,
+            loss: (InputParser.parseNumber(formData.get(`charging-${key}-loss`), `${label} 충전 손실`, 0, 99) ?? 0) / 100,
+            hours: InputParser.parseHours(formData.get(`charging-${key}-hours`), `${label} 충전 시간대`)
+        }));
+        
+        const totalShare = locations.reduce((sum, location) => sum + location.share, 0);
+        if (Math.abs(totalShare - 1) > 1e-6) {
+            throw new Error(`충전 장소 비율의 합은 100%여야 합니다 (현재 ${(totalShare * 100).toFixed(0)}%)`);
+        }
+        
+        let hourlyCurve = null;
+        if ((formData.get('charging-hourly-curve') || '').trim() !== '') {
+            hourlyCurve = InputParser.parseNumberList(formData.get('charging-hourly-curve'), '시간대별 전력망 배출계수');
+            if (hourlyCurve.length !== 24) {
+                throw new Error(`시간대별 전력망 배출계수는 24개여야 합니다 (현재 ${hourlyCurve.length}개)`);
+            }
+        }
+        
+        return ChargingProfile.summarize(locations, hourlyCurve);
+    },
+    
+    /**
+     * 배터리 열화·교체 입력 파싱
+     */
+    parseBatteryLife: (formData, prefix, name) => {
+        const parseField = (field, label, max) => InputParser.parseNumber(formData.get(`${prefix}-${field}`), `${name} ${label}`, 0, max);
+        
+        const battery = {
+            capacityFade: parseField('capacity-fade', '용량 감소율', 100) ?? 0,
+            fadeBasis: formData.get(`${prefix}-fade-basis`) || 'year',
+            consumptionPenalty: parseField('consumption-penalty', '용량 감소당 소비전력 증가') ?? EstimationHeuristics.estimateDegradationConsumptionPenalty(),
+            replacementMode: formData.get(`${prefix}-replacement-mode`) || 'none',
+            replacementDistance: null,
+            replacementSoh: null,
+            recyclingCredit: parseField('recycling-credit', '배터리 재활용 크레딧') ?? 0
+        };
+        
+        if (battery.replacementMode === 'distance') {
+            battery.replacementDistance = Units.toKm(InputParser.parseDistanceUnit(formData), parseField('replacement-distance', '배터리 교체 거리'));
+            if (!battery.replacementDistance) throw new Error(`${name} 배터리 교체 거리는 필수입니다`);
+        } else if (battery.replacementMode === 'soh') {
+            battery.replacementSoh = parseField('replacement-soh', '배터리 교체 기준 SoH', 100);
+            if (battery.replacementSoh === null) throw new Error(`${name} 배터리 교체 기준 SoH는 필수입니다`);
+            if (battery.capacityFade === 0) throw new Error(`${name} SoH 기준 교체에는 용량 감소율이 필요합니다`);
+        }
+        
+        return battery;
+    },
+    
+    /**
+     * 차량 카드 하나의 입력 파싱 (index는 0부터 시작)
+     */
+    parseVehicle: (formData, index) => {
+        const prefix = `v${index + 1}`;
+        const type = formData.get(`${prefix}-type`);
+        const powertrain = Powertrains[type];
+        if (!powertrain) {
+            throw new Error(`차량 ${index + 1}의 파워트레인 유형을 알 수 없습니다`);
+        }
+        
+        const name = (formData.get(`${prefix}-name`) || '').trim() || `${powertrain.shortLabel} ${index + 1}`;
+        
+        const weight = InputParser.parseNumber(formData.get(`${prefix}-weight`), `${name} 중량`);
+        if (!weight) throw new Error(`${name} 중량은 필수입니다`);
+        
+        const distanceUnit = InputParser.parseDistanceUnit(formData);
+        const vehicle = { name, type, weight, model: formData.get(`${prefix}-model`) || null, fuel: null, batterySpec: null, units: {} };
+        if (powertrain.fuelSelect) {
+            // 고르지 않았거나 모르는 연료는 목록의 첫 항목 (휘발유, 회색 수소)
+            const id = formData.get(`${prefix}-${powertrain.fuelSelect}`);
+            const options = FUEL_CATALOG.filter(fuel => !!fuel.hydrogen === (powertrain.fuelSelect === 'hydrogen'));
+            vehicle.fuel = id === FuelCatalog.CUSTOM && powertrain.fuelSelect === 'fuel' ? id :
+                (options.find(fuel => fuel.id === id) ?? options[0]).id;
+        }
+        if (powertrain.fields.some(field => field.key === 'batteryCapacity')) {
+            // 모르는 화학 조성·생산지는 목록의 첫 항목
+            vehicle.batterySpec = {
+                chemistry: BatteryModel.chemistryOf({ chemistry: formData.get(`${prefix}-battery-chemistry`) }).id,
+                site: BatteryModel.siteOf({ site: formData.get(`${prefix}-battery-site`) }).id
+            };
+        }
+        powertrain.fields.forEach(field => {
+            const value = InputParser.parseNumber(formData.get(`${prefix}-${field.name}`), `${name} ${field.label}`, 0, field.max);
+            if (field.unitTable) {
+                // 소비량은 카드에서 고른 단위로 읽어 정규 단위로 환산 (역수 단위의 0은 허용하지 않음)
+                // L가 아닌 연료(CNG)의 연비는 km/L·mpg로 환산할 수 없어 항상 정규 단위(kg/100 km)
+                const fixed = field.unitTable === 'FUEL' && FuelCatalog.unitOf(vehicle.fuel) !== 'L';
+                const unit = Units.keyOf(field.unitTable, fixed ? null : formData.get(`${prefix}-${field.name}-unit`));
+                const canonical = Units.toCanonical(field.unitTable, unit, value);
+                if (canonical !== null && !isFinite(canonical)) {
+                    throw new Error(`${name} ${field.label}은(는) 0보다 커야 합니다 (${Units.find(field.unitTable, unit).label})`);
+                }
+                vehicle.units[field.key] = unit;
+                vehicle[field.key] = canonical;
+            } else {
+                vehicle[field.key] = field.perDistance ? Units.toPerKm(distanceUnit, value) : value;
+            }
+        });
+        
+        if (powertrain.batteryLife) {
+            vehicle.battery = InputParser.parseBatteryLife(formData, prefix, name);
+        }
+        
+        vehicle.cost = InputParser.parseVehicleCost(formData, prefix, name);
+        
+        return vehicle;
+    },
+    
+    /**
+     * 몬테카를로 분포 설정 파싱 (mc1-*, mc2-*, ...)
+     */
+    parseUncertainty: (formData) => {
+        const iterations = Math.round(InputParser.parseNumber(formData.get('mc-iterations'), '반복 횟수', 1, 10000) || 1000);
+        const parameters = [];
+        
+        for (let n = 1; formData.has(`mc${n}-param`); n++) {
+            const name = formData.get(`mc${n}-param`);
+            const distribution = formData.get(`mc${n}-dist`);
+            const spec = MonteCarlo.DISTRIBUTIONS[distribution];
+            if (!name || !spec) {
+                throw new Error(`분포 ${n}의 매개변수 또는 분포 유형을 선택해주세요`);
+            }
+            
+            const values = spec.params.map((label, i) => {
+                const value = parseFloat(formData.get(`mc${n}-${'abc'[i]}`));
+                if (isNaN(value)) throw new Error(`분포 ${n}의 ${label} 값이 필요합니다`);
+                return value;
+            });
+            
+            const error = spec.validate(values);
+            if (error) throw new Error(`분포 ${n}: ${error}`);
+            
+            parameters.push({ name, distribution, values });
+        }
+        
+        if (parameters.length === 0) {
+            throw new Error('불확실성을 적용할 매개변수를 하나 이상 추가해주세요');
+        }
+        
+        return { iterations, parameters };
+    },
+    
+    /**
+     * 민감도 분석 설정 파싱
+     * 
+     * 경계값은 "필드=하한:상한"을 세미콜론이나 줄바꿈으로 구분해 입력합니다 (예: alpha-grid=0.2:0.6).
+     */
+    parseSensitivity: (formData, vehicleCount) => {
+        const percent = InputParser.parseNumber(formData.get('sens-percent'), '변동 폭', 0, 100) ?? 20;
+        const distance = Units.toKm(InputParser.parseDistanceUnit(formData), InputParser.parseNumber(formData.get('sens-distance'), '기준 거리')) ?? 100000;
+        const compare = InputParser.parseNumber(formData.get('sens-compare'), '비교 차량 번호', 2, vehicleCount) ?? 2;
+        if (!Number.isInteger(compare)) {
+            throw new Error('비교 차량 번호는 정수여야 합니다');
+        }
+        
+        const bounds = {};
+        (formData.get('sens-bounds') || '').split(/[;\n]/).map(item => item.trim()).filter(item => item !== '').forEach(item => {
+            const match = /^([\w-]+)\s*=\s*(-?[\d.]+)\s*:\s*(-?[\d.]+)$/.exec(item);
+            if (!match) {
+                throw new Error(`경계값 형식이 잘못되었습니다: ${item} (예: alpha-grid=0.2:0.6)`);
+            }
+            const [low, high] = [parseFloat(match[2]), parseFloat(match[3])];
+            if (isNaN(low) || isNaN(high) || low > high) {
+                throw new Error(`경계값의 하한은 상한보다 클 수 없습니다: ${item}`);
+            }
+            bounds[match[1]] = [low, high];
+        });
+        
+        return { percent, distance, pair: [0, compare - 1], bounds };
+    },
+    
+    /**
+     * 목표 탐색 설정 파싱
+     * 
+     * 탐색 범위 "최소:최대"를 비우면 null (현재 값 기준 기본 범위 사용)
+     */
+    parseGoalSeek: (formData, vehicleCount) => {
+        const name = formData.get('goal-param');
+        if (!name) {
+            throw new Error('목표 탐색할 입력을 선택하세요');
+        }
+        
+        const metric = formData.get('goal-metric') === 'delta' ? 'delta' : 'breakEven';
+        const distanceUnit = InputParser.parseDistanceUnit(formData);
+        const value = InputParser.parseNumber(formData.get('goal-target'), '목표값', metric === 'delta' ? -Infinity : 0);
+        if (value === null) {
+            throw new Error('목표값은 필수입니다');
+        }
+        // 손익분기점 목표는 거리이므로 km로 환산
+        const target = metric === 'delta' ? value : Units.toKm(distanceUnit, value);
+        const distance = metric === 'delta' ?
+            Units.toKm(distanceUnit, InputParser.parseNumber(formData.get('goal-distance'), '목표 거리')) ?? 100000 :
+            target;
+        
+        const compare = InputParser.parseNumber(formData.get('goal-compare'), '비교 차량 번호', 2, vehicleCount) ?? 2;
+        if (!Number.isInteger(compare)) {
+            throw new Error('비교 차량 번호는 정수여야 합니다');
+        }
+        
+        const range = InputParser.parseRange(formData.get('goal-range'), '탐색 범위');
+        
+        return { name, metric, target, distance, pair: [0, compare - 1], range };
+    },
+    
+    /**
+     * "최소:최대" 범위 파싱 (비어있으면 null)
+     */
+    parseRange: (value, fieldName) => {
+        const text = (value || '').trim();
+        if (text === '') return null;
+        
+        const match = /^(-?[\d.]+)\s*:\s*(-?[\d.]+)$/.exec(text);
+        const [min, max] = match ? [parseFloat(match[1]), parseFloat(match[2])] : [NaN, NaN];
+        if (isNaN(min) || isNaN(max) || min >= max) {
+            throw new Error(`${fieldName} 형식이 잘못되었습니다: ${text} (예: 0:0.8)`);
+        }
+        return [min, max];
+    },
+    
+    /**
+     * 차량군 설정 파싱
+     * 
+     * 한 줄에 한 그룹: "이름, 대수, 연간 주행거리, 교체 예정 연도[, 현재 차량 번호[, 전환 차량 번호]]"
+     * 첫 줄의 이름 외 값이 모두 숫자가 아니면 머리글로 보고 건너뜁니다.
+     */
+    parseFleet: (formData, vehicleCount) => {
+        const parseVehicleNumber = (value, fieldName) => {
+            const number = InputParser.parseNumber(value, fieldName, 1, vehicleCount);
+            if (number !== null && !Number.isInteger(number)) {
+                throw new Error(`${fieldName}는 정수여야 합니다`);
+            }
+            return number;
+        };
+        
+        const distanceUnit = InputParser.parseDistanceUnit(formData);
+        const current = parseVehicleNumber(formData.get('fleet-current'), '현재 차량 번호') ?? 1;
+        const replacement = parseVehicleNumber(formData.get('fleet-replacement'), '전환 차량 번호') ?? 2;
+        const rate = InputParser.parseNumber(formData.get('fleet-rate'), '연간 전환율', 0, 100) ?? 20;
+        const horizon = InputParser.parseNumber(formData.get('fleet-horizon'), '분석 기간', 1, 50) ?? 15;
+        if (!Number.isInteger(horizon)) {
+            throw new Error('분석 기간은 정수여야 합니다');
+        }
+        
+        const lines = (formData.get('fleet-groups') || '').split('\n').map(line => line.trim()).filter(line => line !== '');
+        if (lines.length > 0 && lines[0].split(',').slice(1).every(cell => isNaN(parseFloat(cell)))) {
+            lines.shift();
+        }
+        if (lines.length === 0) {
+            throw new Error('차량군 목록을 한 줄 이상 입력하세요');
+        }
+        
+        const groups = lines.map((line, i) => {
+            const cells = line.split(',').map(cell => cell.trim());
+            if (cells.length < 4) {
+                throw new Error(`차량군 ${i + 1}행은 "이름, 대수, 연간 주행거리, 교체 예정 연도" 형식이어야 합니다: ${line}`);
+            }
+            const name = cells[0] || `그룹 ${i + 1}`;
+            const count = InputParser.parseNumber(cells[1], `${name} 대수`);
+            const annualMileage = Units.toKm(distanceUnit, InputParser.parseNumber(cells[2], `${name} 연간 주행거리`));
+            const replacementYear = InputParser.parseNumber(cells[3], `${name} 교체 예정 연도`, 1900, 2200);
+            if (count === null || annualMileage === null || replacementYear === null) {
+                throw new Error(`${name}의 대수, 연간 주행거리, 교체 예정 연도는 필수입니다`);
+            }
+            if (!Number.isInteger(count)) {
+                throw new Error(`${name} 대수는 정수여야 합니다`);
+            }
+            
+            return {
+                name,
+                count,
+                annualMileage,
+                replacementYear: Math.round(replacementYear),
+                current: (parseVehicleNumber(cells[4], `${name} 현재 차량 번호`) ?? current) - 1,
+                replacement: (parseVehicleNumber(cells[5], `${name} 전환 차량 번호`) ?? replacement) - 1
+            };
+        });
+        
+        return { groups, rate: rate / 100, horizon };
+    },
+    
+    /**
+     * 유지 vs 교체 설정 파싱 (차량 1이 기존 차량)
+     * 
+     * 남은 수명을 비우면 차량 수명 − 현재 주행거리를 씁니다.
+     */
+    parseReplacement: (formData, vehicleCount, lifetime) => {
+        const target = InputParser.parseNumber(formData.get('replace-target'), '교체 차량 번호', 2, vehicleCount) ?? 2;
+        if (!Number.isInteger(target)) {
+            throw new Error('교체 차량 번호는 정수여야 합니다');
+        }
+        
+        const distanceUnit = InputParser.parseDistanceUnit(formData);
+        const odometer = Units.toKm(distanceUnit, InputParser.parseNumber(formData.get('replace-odometer'), '현재 주행거리')) ?? 0;
+        const remaining = Units.toKm(distanceUnit, InputParser.parseNumber(formData.get('replace-remaining'), '남은 수명')) ?? lifetime - odometer;
+        if (remaining <= 0) {
+            throw new Error('기존 차량의 남은 수명은 0보다 커야 합니다 (현재 주행거리가 차량 수명 이상이면 남은 수명을 직접 입력하세요)');
+        }
+        
+        return {
+            existing: 0,
+            replacement: target - 1,
+            odometer,
+            remaining,
+            manufacturing: formData.get('replace-manufacturing') === 'amortized' ? 'amortized' : 'sunk',
+            disposal: formData.get('replace-disposal') === 'sell' ? 'sell' : 'scrap'
+        };
+    },
+    
+    /**
+     * 히트맵 설정 파싱 (두 축의 입력과 범위, 격자 수)
+     */
+    parseHeatmap: (formData, vehicleCount) => {
+        const parseAxis = (axis, label) => {
+            const name = formData.get(`heatmap-${axis}-param`);
+            if (!name) {
+                throw new Error(`히트맵 ${label} 입력을 선택하세요`);
+            }
+            return { name, range: InputParser.parseRange(formData.get(`heatmap-${axis}-range`), `${label} 범위`) };
+        };
+        
+        const x = parseAxis('x', 'X축');
+        const y = parseAxis('y', 'Y축');
+        if (x.name === y.name) {
+            throw new Error('히트맵의 두 축에는 서로 다른 입력을 선택하세요');
+        }
+        
+        const steps = InputParser.parseNumber(formData.get('heatmap-steps'), '격자 수', 2, 50) ?? 15;
+        const compare = InputParser.parseNumber(formData.get('heatmap-compare'), '비교 차량 번호', 2, vehicleCount) ?? 2;
+        if (!Number.isInteger(steps) || !Number.isInteger(compare)) {
+            throw new Error('격자 수와 비교 차량 번호는 정수여야 합니다');
+        }
+        
+        return { x, y, steps, pair: [0, compare - 1] };
+    },
+    
+    /**
+     * 모든 폼 입력 파싱
+     * 
+     * formData를 넘기면 폼 대신 그 값을 파싱합니다 (몬테카를로 표본 등).
+     */
+    parseFormInputs: (formData = new FormData(form)) => {
+        
+        try {
+            const distanceUnit = InputParser.parseDistanceUnit(formData);
+            const distances = InputParser.parseDistances(formData.get('distances')).map(distance => Units.toKm(distanceUnit, distance));
+            
+            // 공통 매개변수
+            const alphaFuel = InputParser.parseNumber(formData.get('alpha-fuel'), 'α_fuel') ?? 2.18;
+            const alphaGrid = InputParser.parseNumber(formData.get('alpha-grid'), 'α_grid') ?? 0.45;
+            const phiGrid = InputParser.parseNumber(formData.get('phi-grid'), 'φ_grid') ?? 8.5;
+            const lifetime = Units.toKm(distanceUnit, InputParser.parseNumber(formData.get('lifetime'), '차량 수명')) || 200000;
+            
+            // 연료·전력 상류 배출 (0 허용)
+            const fuelUpstream = InputParser.parseNumber(formData.get('fuel-upstream'), 'α_fuel,WTT') ?? 0.55;
+            const gridLoss = (InputParser.parseNumber(formData.get('grid-loss'), '송배전 손실률', 0, 99) ?? 3.5) / 100;
+            const grid = InputParser.parseGridTrajectory(formData);
+            const energy = InputParser.parseEnergySettings(formData);
+            
+            // 차량별 매개변수
+            let vehicleCount = 0;
+            while (formData.has(`v${vehicleCount + 1}-type`)) {
+                vehicleCount++;
+            }
+            if (vehicleCount < MIN_VEHICLES) {
+                throw new Error(`비교하려면 차량이 ${MIN_VEHICLES}대 이상 필요합니다`);
+            }
+            
+            const vehicles = [];
+            for (let i = 0; i < vehicleCount; i++) {
+                vehicles.push(InputParser.parseVehicle(formData, i));
+            }
+            
+            return {
+                distances,
+                distanceUnit,
+                chartRange: InputParser.parseChartRange(formData),
+                region: RegionPresets.find(formData.get('region')) ? formData.get('region') : null,
+                alphaFuel,
+                alphaGrid,
+                phiGrid,
+                fuelUpstream,
+                gridLoss,
+                lifetime,
+                grid,
+                energy,
+                charging: InputParser.parseChargingProfile(formData),
+                drivingCycle: InputParser.parseDrivingCycle(formData),
+                cost: InputParser.parseCostSettings(formData),
+                vehicles
+            };
+        } catch (error) {
+            // 프로그램 오류(TypeError 등)는 검증 오류로 감싸지 않고 그대로 전달
+            if (error.name !== 'Error') throw error;
+            throw Object.assign(new Error(`입력 검증 오류: ${error.message}`), { validation: true });
+        }
+    }
+};
+
+/**
+ * 계산 엔진
+ */
+const Calculator = {
+    /**
+     * 누락된 매개변수에 대한 파생 값 계산 (차량별 배열)
+     */
+    calculateDerivedValues: (inputs) => {
+        return inputs.vehicles.map(vehicle => {
+            const derived = {};
+            
+            Powertrains[vehicle.type].fields.forEach(field => {
+                if (vehicle[field.key] === null) {
+                    derived[field.key] = field.estimate({ ...vehicle, ...derived });
+                }
+            });
+            
+            return derived;
+        });
+    },
+    
+    /**
+     * 입력값과 파생 값을 합친 차량별 유효 매개변수
+     */
+    resolveVehicles: (inputs, derived) => {
+        return inputs.vehicles.map((vehicle, i) => ({ ...vehicle, ...derived[i] }));
+    },
+    
+    /**
+     * 차량별 배출 프로필: 초기 배출량과 km당 연료·전력 사용량
+     */
+    calculateProfiles: (inputs, derived) => {
+        return Calculator.resolveVehicles(inputs, derived).map(values => {
+            const powertrain = Powertrains[values.type];
+            const battery = powertrain.batteryLife ? BatteryLife.createProfile(inputs, values) : null;
+            
+            const steps = battery ? [...battery.steps] : [];
+            if (values.endOfLife !== 0) {
+                steps.push({ distance: inputs.lifetime, amount: values.endOfLife, label: '폐차·재활용', phase: 'endOfLife' });
+            }
+            
+            // 공인 소비량 기준 값과 주행 조건 배수
+            const rated = { fuelPerKm: powertrain.fuelPerKm(values), electricityPerKm: powertrain.electricityPerKm(values) };
+            const cycle = inputs.drivingCycle ? DrivingCycle.factorsFor(inputs.drivingCycle, powertrain, values) : null;
+            const fuelFactor = cycle ? cycle.fuel : 1;
+            const electricityFactor = cycle ? cycle.electricity : 1;
+            
+            return {
+                upfront: powertrain.upfrontEmissions(values, inputs),
+                manufacturingEnergy: EnergyModel.manufacturingOf(inputs, values),
+                fuel: FuelCatalog.resolve(inputs, values.fuel),
+                fuelPerKm: rated.fuelPerKm * fuelFactor,
+                electricityPerKm: rated.electricityPerKm * electricityFactor,
+                maintenancePerKm: values.maintenance,
+                rated,
+                cycle,
+                battery,
+                steps
+            };
+        });
+    },
+    
+    /**
+     * 거리 d 시점의 km당 전력 사용량 (배터리 열화 반영)
+     */
+    electricityPerKmAt: (inputs, profile, distance) => {
+        const factor = profile.battery ? BatteryLife.consumptionFactor(inputs, profile.battery, distance) : 1;
+        return profile.electricityPerKm * factor;
+    },
+    
+    /**
+     * 거리 d 시점(해당 연차)의 km당 배출강도 (주행 + 연료·전력 상류 + 정비)
+     */
+    intensityAt: (inputs, profile, distance) => {
+        const gridFactor = GridTrajectory.intensityAt(inputs, distance) * ChargingProfile.factor(inputs) / (1 - inputs.gridLoss);
+        return profile.fuelPerKm * (profile.fuel.combustion + profile.fuel.upstream) +
+            Calculator.electricityPerKmAt(inputs, profile, distance) * gridFactor +
+            profile.maintenancePerKm;
+    },
+    
+    /**
+     * 누적 배출량 곡선이 꺾이거나 계단형으로 변하는 거리 목록 (오름차순)
+     */
+    breakpointsFor: (inputs, ...profiles) => {
+        const points = new Set(GridTrajectory.breakpoints(inputs));
+        
+        profiles.forEach(profile => {
+            if (profile.battery) {
+                BatteryLife.breakpoints(inputs, profile.battery).forEach(point => points.add(point));
+            }
+            profile.steps.forEach(step => points.add(step.distance));
+        });
+        
+        return [...points].filter(point => point > 0).sort((a, b) => a - b);
+    },
+    
+    /**
+     * 거리 d까지의 생애주기 단계별 누적 배출량
+     * 
+     * 전력 사용분은 α_grid와 소비전력이 일정한 구간별로 적분하고, 계단형 이벤트(배터리 교체, 폐차 등)를
+     * 해당 단계에 더합니다. leftLimit이 true이면 거리 d에서 발생하는 이벤트 직전 값을 반환합니다.
+     */
+    phaseEmissionsAt: (inputs, profile, distance, leftLimit = false) => {
+        const fuel = distance * profile.fuelPerKm;
+        
+        // 차량이 사용한 전력의 발전 배출량 (충전 손실·시간대 배수 포함)
+        let gridEmissions = 0;
+        if (profile.electricityPerKm > 0) {
+            let start = 0;
+            const ends = Calculator.breakpointsFor(inputs, profile).filter(point => point < distance).concat(distance);
+            ends.forEach(end => {
+                gridEmissions += (end - start) * Calculator.electricityPerKmAt(inputs, profile, start) * GridTrajectory.intensityAt(inputs, start);
+                start = end;
+            });
+            gridEmissions *= ChargingProfile.factor(inputs);
+        }
+        
+        const phases = {
+            manufacturing: profile.upfront,
+            use: fuel * profile.fuel.combustion + gridEmissions,
+            // 송배전 손실만큼 더 발전해야 하는 전력: 손실률 / (1 − 손실률)
+            upstream: fuel * profile.fuel.upstream + gridEmissions * inputs.gridLoss / (1 - inputs.gridLoss),
+            maintenance: distance * profile.maintenancePerKm,
+            endOfLife: 0
+        };
+        
+        profile.steps.forEach(step => {
+            if (step.distance < distance || (step.distance === distance && !leftLimit)) {
+                phases[step.phase] += step.amount;
+            }
+        });
+        
+        return phases;
+    },
+    
+    /**
+     * 거리 d까지의 누적 배출량 (모든 생애주기 단계 합계)
+     */
+    emissionsAt: (inputs, profile, distance, leftLimit = false) => {
+        const phases = Calculator.phaseEmissionsAt(inputs, profile, distance, leftLimit);
+        return LIFECYCLE_PHASES.reduce((total, phase) => total + phases[phase.key], 0);
+    },
+    
+    /**
+     * km당 배출강도 계산 (차량별 배열, 첫 연차 기준)
+     */
+    calculatePerKmIntensities: (inputs, profiles) => {
+        return profiles.map(profile => Calculator.intensityAt(inputs, profile, 0));
+    },
+    
+    /**
+     * 주행 조건별 km당 배출강도 (첫 연차 기준, 주행 조건을 쓰지 않으면 null)
+     * 
+     * 조건별 행과 마지막 가중 평균 행: [{label, intensities}]
+     */
+    calculateConditionIntensities: (inputs, profiles) => {
+        if (!inputs.drivingCycle) return null;
+        
+        const intensitiesFor = (conditionIndex) => profiles.map(profile => {
+            const condition = profile.cycle.conditions[conditionIndex];
+            return Calculator.intensityAt(inputs, {
+                ...profile,
+                fuelPerKm: profile.rated.fuelPerKm * condition.fuel,
+                electricityPerKm: profile.rated.electricityPerKm * condition.electricity
+            }, 0);
+        });
+        
+        return [
+            ...profiles[0].cycle.conditions.map((condition, c) => ({ label: condition.label, intensities: intensitiesFor(c) })),
+            { label: '가중 평균', intensities: Calculator.calculatePerKmIntensities(inputs, profiles) }
+        ];
+    },
+    
+    /**
+     * 차이 함수 diffAt(d)의 부호가 바뀌는 모든 거리 (오름차순)
+     * 
+     * diffAt(d, leftLimit)은 breakpoints 사이에서 선형이고 마지막 breakpoint 이후로도 선형이어야 하며,
+     * breakpoint에서는 계단형으로 바뀔 수 있습니다 (leftLimit으로 직전 값 조회).
+     */
+    findCrossings: (diffAt, breakpoints) => {
+        const crossings = [];
+        let prevDistance = 0;
+        let prevDiff = diffAt(0);
+        
+        for (const distance of breakpoints) {
+            // 구간 안에서의 교차 (선형 보간)
+            const diffBefore = diffAt(distance, true);
+            if ((prevDiff > 0) !== (diffBefore > 0)) {
+                crossings.push(prevDistance + (distance - prevDistance) * prevDiff / (prevDiff - diffBefore));
+            }
+            
+            // 계단형 변화로 인한 교차
+            const diff = diffAt(distance);
+            if ((diffBefore > 0) !== (diff > 0)) {
+                crossings.push(distance);
+            }
+            
+            prevDistance = distance;
+            prevDiff = diff;
+        }
+        
+        // 마지막 구간은 선형이므로 기울기로 교차점 계산
+        const step = 1000;
+        const slope = (diffAt(prevDistance + step) - prevDiff) / step;
+        if ((prevDiff > 0 && slope < 0) || (prevDiff <= 0 && slope > 0)) {
+            crossings.push(prevDistance - prevDiff / slope);
+        }
+        
+        return crossings;
+    },
+    
+    /**
+     * 두 차량 사이의 손익분기점 거리 계산
+     * 
+     * 초기 배출량이 큰 차량 A가 작은 차량 B의 누적 배출량을 따라잡는 거리를
+     * 누적 배출량 곡선에서 직접 구합니다 (α_grid가 일정하면 닫힌 형태의 d*와 같음).
+     * 배터리 교체 등으로 곡선이 여러 번 교차하면 마지막 교차 지점을 손익분기점으로 봅니다.
+     */
+    calculatePairBreakEven: (inputs, profiles, i, j) => {
+        const { vehicles } = inputs;
+        const deltaManuf = profiles[j].upfront - profiles[i].upfront;
+        const pair = { vehicles: [i, j], deltaManuf };
+        
+        if (deltaManuf === 0) {
+            const kI = Calculator.intensityAt(inputs, profiles[i], 0);
+            const kJ = Calculator.intensityAt(inputs, profiles[j], 0);
+            if (kI === kJ) {
+                return { ...pair, crossings: [], breakEven: null, status: 'never', message: '유한한 손익분기점 없음 (동일한 배출량)' };
+            }
+            const better = kI < kJ ? i : j;
+            return { ...pair, crossings: [0], breakEven: 0, status: 'crossing', message: `${Units.formatDistance(inputs, 0)}에서 손익분기점 (이후 ${vehicles[better].name} 유리)` };
+        }
+        
+        const [a, b] = deltaManuf > 0 ? [j, i] : [i, j];
+        const diffAt = (distance, leftLimit) =>
+            Calculator.emissionsAt(inputs, profiles[a], distance, leftLimit) - Calculator.emissionsAt(inputs, profiles[b], distance, leftLimit);
+        const crossings = Calculator.findCrossings(diffAt, Calculator.breakpointsFor(inputs, profiles[a], profiles[b]));
+        const crossingList = `${crossings.map(distance => Units.distance(inputs, distance).toFixed(0)).join(' / ')} ${Units.distanceUnit(inputs).label}`;
+        
+        // 교차 횟수가 짝수이면 결국 B가 더 좋은 상태로 끝남
+        if (crossings.length % 2 === 0) {
+            return {
+                ...pair,
+                crossings,
+                breakEven: null,
+                status: 'never',
+                message: crossings.length === 0 ?
+                    `유한한 손익분기점 없음 (${vehicles[b].name}이(가) 계속 더 좋음)` :
+                    `유한한 손익분기점 없음 (${vehicles[b].name}이(가) 최종적으로 더 좋음, 교차 지점: ${crossingList})`
+            };
+        }
+        
+        const breakEven = crossings[crossings.length - 1];
+        
+        return {
+            ...pair,
+            crossings,
+            breakEven,
+            status: 'crossing',
+            message: crossings.length === 1 ?
+                `${Units.formatDistance(inputs, breakEven)}에서 손익분기점 (이후 ${vehicles[a].name} 유리)` :
+                `${Units.formatDistance(inputs, breakEven)}에서 손익분기점 (이후 ${vehicles[a].name} 유리, 교차 지점: ${crossingList})`
+        };
+    },
+    
+    /**
+     * 모든 차량 쌍에 대한 손익분기점 거리 계산
+     */
+    calculateBreakEven: (inputs, profiles) => {
+        const pairs = [];
+        
+        for (let i = 0; i < inputs.vehicles.length; i++) {
+            for (let j = i + 1; j < inputs.vehicles.length; j++) {
+                pairs.push(Calculator.calculatePairBreakEven(inputs, profiles, i, j));
+            }
+        }
+        
+        return pairs;
+    },
+    
+    /**
+     * 표와 차트에 표시할 지점 목록 (기본은 입력 거리)
+     * 
+     * 거리 범위 안의 계단형 이벤트(배터리 교체 등)는 직전·직후 두 지점으로 추가해
+     * 누적 배출량이 뛰는 모습이 드러나도록 합니다.
+     */
+    calculateSamplePoints: (inputs, profiles, distances = inputs.distances) => {
+        const minDistance = Math.min(...distances);
+        const maxDistance = Math.max(...distances);
+        const points = distances.map(distance => ({ distance, leftLimit: false, events: [] }));
+        
+        profiles.forEach((profile, i) => {
+            profile.steps
+                .filter(step => step.distance >= minDistance && step.distance <= maxDistance)
+                .forEach(step => {
+                    const label = `${step.label} (${inputs.vehicles[i].name})`;
+                    let before = points.find(point => point.distance === step.distance && point.leftLimit);
+                    let after = points.find(point => point.distance === step.distance && !point.leftLimit);
+                    
+                    if (!before) {
+                        before = { distance: step.distance, leftLimit: true, events: [] };
+                        points.push(before);
+                    }
+                    if (!after) {
+                        after = { distance: step.distance, leftLimit: false, events: [] };
+                        points.push(after);
+                    }
+                    before.events.push(`${label} 직전`);
+                    after.events.push(label);
+                });
+        });
+        
+        return points.sort((a, b) => a.distance - b.distance || (b.leftLimit - a.leftLimit));
+    },
+    
+    /**
+     * 모든 거리에 대한 누적 배출량 계산
+     * 
+     * deltas는 첫 번째 차량(기준 차량) 대비 배출량 차이, phases는 차량별 생애주기 단계별 누적 배출량이며,
+     * intensities와 alphaGrid는 해당 거리가 속한 연차의 값입니다.
+     */
+    calculateCumulativeEmissions: (inputs, profiles, distances = inputs.distances) => {
+        return Calculator.calculateSamplePoints(inputs, profiles, distances).map(({ distance, leftLimit, events }) => {
+            const year = GridTrajectory.yearAt(inputs, distance);
+            const phases = profiles.map(profile => Calculator.phaseEmissionsAt(inputs, profile, distance, leftLimit));
+            const emissions = phases.map(phase => LIFECYCLE_PHASES.reduce((total, { key }) => total + phase[key], 0));
+            const deltas = emissions.map(e => e - emissions[0]);
+            const intensities = profiles.map(profile => Calculator.intensityAt(inputs, profile, distance));
+            
+            return {
+                distance,
+                leftLimit,
+                year,
+                alphaGrid: GridTrajectory.intensityAt(inputs, distance),
+                emissions,
+                phases,
+                deltas,
+                intensities,
+                events
+            };
+        });
+    },
+    
+    /**
+     * 자동 범위 차트의 끝 거리 (차량 수명 또는 가장 먼 손익분기점의 2배)
+     * 
+     * 손익분기점이 없거나 0 km이면 차량 수명을 씁니다.
+     */
+    autoRangeEnd: (inputs, breakEvens) => {
+        if (inputs.chartRange === 'breakEven') {
+            const finite = breakEvens.map(pair => pair.breakEven).filter(distance => distance !== null && distance > 0);
+            if (finite.length > 0) return 2 * Math.max(...finite);
+        }
+        return inputs.lifetime;
+    },
+    
+    /**
+     * 자동 범위 차트용 촘촘한 누적 배출량 곡선 (수동 범위면 null)
+     * 
+     * 0부터 끝 거리까지 균등 표본에 곡선이 꺾이는 지점과 손익분기점을 더해, 선이 정확한 모양을 따르게 합니다.
+     * 표와 CSV는 계속 입력 거리(results.results)를 씁니다.
+     */
+    calculateCurve: ({ inputs, profiles, breakEvens }) => {
+        if (inputs.chartRange === 'manual') return null;
+        
+        const end = Calculator.autoRangeEnd(inputs, breakEvens);
+        const distances = new Set(Array.from({ length: AUTO_RANGE_SAMPLES + 1 }, (_, k) => parseFloat((end * k / AUTO_RANGE_SAMPLES).toPrecision(12))));
+        Calculator.breakpointsFor(inputs, ...profiles).filter(point => point < end).forEach(point => distances.add(point));
+        breakEvens.flatMap(pair => pair.crossings).filter(point => point < end).forEach(point => distances.add(point));
+        
+        const curve = Calculator.calculateCumulativeEmissions(inputs, profiles, [...distances].sort((a, b) => a - b));
+        if (inputs.cost) CostModel.annotate(inputs, profiles, curve);
+        EnergyModel.annotate(inputs, profiles, curve);
+        return curve;
+    },
+    
+    /**
+     * 메인 계산 함수
+     */
+    calculate: (inputs) => {
+        const derived = Calculator.calculateDerivedValues(inputs);
+        const profiles = Calculator.calculateProfiles(inputs, derived);
+        const intensities = Calculator.calculatePerKmIntensities(inputs, profiles);
+        const conditionIntensities = Calculator.calculateConditionIntensities(inputs, profiles);
+        const upfront = profiles.map(profile => profile.upfront);
+        const breakEvens = Calculator.calculateBreakEven(inputs, profiles);
+        const results = Calculator.calculateCumulativeEmissions(inputs, profiles);
+        const costs = inputs.cost ? CostModel.calculate(inputs, profiles, results) : null;
+        const energy = EnergyModel.calculate(inputs, profiles, results);
+        
+        return {
+            inputs,
+            derived,
+            profiles,
+            intensities,
+            conditionIntensities,
+            upfront,
+            breakEvens,
+            costs,
+            energy,
+            results
+        };
+    }
+};
+
+/**
+ * 총소유비용(TCO) 모델
+ * 
+ * 누적 비용 C(d) = (구매 가격 − 보조금) + Σ 연차별 (연료비 + 전기요금 + 정비비 + 보험료) × (1 + r)^(−연차)
+ *                − [d ≥ 차량 수명] 잔존가치 × (1 + r)^(−수명 연차)
+ * 보험료는 연간 주행거리로 나눠 km당 비용으로 환산하고, 전기요금은 충전 손실만큼 더 산 전력에 부과합니다.
+ */
+const CostModel = {
+    /**
+     * 연차 y의 비용 할인 계수
+     */
+    discountFactor: (inputs, year) => Math.pow(1 + inputs.cost.discountRate, -year),
+    
+    /**
+     * 차량 연료의 가격 (원/연료 단위, 카드에 비어있으면 연료별 기본 가격, 연료가 없으면 0)
+     */
+    fuelPriceOf: (vehicle) => {
+        if (!vehicle.fuel) return 0;
+        return vehicle.cost.fuelPrice ?? FuelCatalog.priceOf(vehicle.fuel);
+    },
+    
+    /**
+     * 누적 비용이 꺾이거나 계단형으로 변하는 거리 (배출량 꺾임점 + until까지의 연차 경계 + 차량 수명)
+     */
+    breakpoints: (inputs, until, ...profiles) => {
+        const points = new Set(Calculator.breakpointsFor(inputs, ...profiles));
+        const { annualMileage } = inputs.grid;
+        for (let distance = annualMileage; distance < until; distance += annualMileage) {
+            points.add(distance);
+        }
+        points.add(inputs.lifetime);
+        return [...points].filter(point => point > 0).sort((a, b) => a - b);
+    },
+    
+    /**
+     * 거리 d까지의 할인된 누적 비용 (원)
+     * 
+     * leftLimit이 true이면 거리 d에서 반영되는 잔존가치 직전 값을 반환합니다.
+     */
+    costAt: (inputs, vehicle, profile, distance, leftLimit = false) => {
+        const { cost } = inputs;
+        const electricityPrice = cost.electricityPrice * ChargingProfile.lossFactor(inputs);
+        const fuelPrice = CostModel.fuelPriceOf(vehicle);
+        const insurancePerKm = vehicle.cost.insurance / inputs.grid.annualMileage;
+        let total = vehicle.cost.purchasePrice - vehicle.cost.subsidy;
+        
+        let start = 0;
+        const ends = CostModel.breakpoints(inputs, distance, profile).filter(point => point < distance).concat(distance);
+        ends.forEach(end => {
+            const perKm = profile.fuelPerKm * fuelPrice +
+                Calculator.electricityPerKmAt(inputs, profile, start) * electricityPrice +
+                vehicle.cost.maintenanceCost + insurancePerKm;
+            total += (end - start) * perKm * CostModel.discountFactor(inputs, GridTrajectory.yearAt(inputs, start));
+            start = end;
+        });
+        
+        if (distance > inputs.lifetime || (distance === inputs.lifetime && !leftLimit)) {
+            total -= vehicle.cost.resaleValue * CostModel.discountFactor(inputs, GridTrajectory.yearAt(inputs, inputs.lifetime));
+        }
+        
+        return total;
+    },
+    
+    /**
+     * 두 차량 사이의 비용 손익분기점 (차량 수명 안에서 구매 비용이 큰 차량이 더 저렴해지는 거리)
+     */
+    calculatePairBreakEven: (inputs, profiles, i, j) => {
+        const { vehicles } = inputs;
+        const costAt = (k, distance, leftLimit) => CostModel.costAt(inputs, vehicles[k], profiles[k], distance, leftLimit);
+        const [a, b] = costAt(j, 0) > costAt(i, 0) ? [j, i] : [i, j];
+        
+        const diffAt = (distance, leftLimit) => costAt(a, distance, leftLimit) - costAt(b, distance, leftLimit);
+        const crossings = Calculator.findCrossings(diffAt, CostModel.breakpoints(inputs, inputs.lifetime, profiles[a], profiles[b]))
+            .filter(distance => distance <= inputs.lifetime);
+        
+        if (crossings.length % 2 === 0) {
+            return {
+                vehicles: [i, j],
+                breakEven: null,
+                status: 'never',
+                message: `차량 수명 안에 비용 손익분기점 없음 (${vehicles[b].name}이(가) 더 저렴)`
+            };
+        }
+        
+        const breakEven = crossings[crossings.length - 1];
+        return {
+            vehicles: [i, j],
+            breakEven,
+            status: 'crossing',
+            message: `${Units.formatDistance(inputs, breakEven)}에서 비용 손익분기점 (이후 ${vehicles[a].name} 저렴)`
+        };
+    },
+    
+    /**
+     * 차량 수명 시점의 CO₂ 1톤 감축 비용: (저배출 차량 비용 − 고배출 차량 비용) / 감축량 (원/tCO₂e)
+     * 음수이면 비용도 아끼면서 감축하는 경우입니다.
+     */
+    calculateAbatementCost: (inputs, profiles, i, j) => {
+        const { vehicles, lifetime } = inputs;
+        const emissions = [i, j].map(k => Calculator.emissionsAt(inputs, profiles[k], lifetime));
+        const costs = [i, j].map(k => CostModel.costAt(inputs, vehicles[k], profiles[k], lifetime));
+        const [low, high] = emissions[0] <= emissions[1] ? [0, 1] : [1, 0];
+        const avoided = (emissions[high] - emissions[low]) / 1000;
+        
+        return {
+            vehicles: [i, j],
+            lowEmission: [i, j][low],
+            avoided,
+            extraCost: costs[low] - costs[high],
+            costPerTonne: avoided > 0 ? (costs[low] - costs[high]) / avoided : null
+        };
+    },
+    
+    /**
+     * 각 행에 차량별 누적 비용(row.costs) 추가
+     */
+    annotate: (inputs, profiles, rows) => {
+        rows.forEach(row => {
+            row.costs = inputs.vehicles.map((vehicle, i) => CostModel.costAt(inputs, vehicle, profiles[i], row.distance, row.leftLimit));
+        });
+    },
+    
+    /**
+     * 결과 행에 차량별 누적 비용(row.costs)을 더하고 차량 쌍별 비용 지표 계산
+     */
+    calculate: (inputs, profiles, results) => {
+        const { vehicles } = inputs;
+        CostModel.annotate(inputs, profiles, results);
+        
+        const breakEvens = [];
+        const abatement = [];
+        for (let i = 0; i < vehicles.length; i++) {
+            for (let j = i + 1; j < vehicles.length; j++) {
+                breakEvens.push(CostModel.calculatePairBreakEven(inputs, profiles, i, j));
+                abatement.push(CostModel.calculateAbatementCost(inputs, profiles, i, j));
+            }
+        }
+        
+        return {
+            breakEvens,
+            abatement,
+            lifetimeCosts: vehicles.map((vehicle, i) => CostModel.costAt(inputs, vehicle, profiles[i], inputs.lifetime))
+        };
+    }
+};
+
+/**
+ * 에너지 회계 모델 (MJ)
+ * 
+ * 탱크-휠(TTW)은 차량에 들어간 연료·전력 에너지, 웰-휠(WTW)은 그 에너지를 만드는 데 든 1차 에너지입니다.
+ * 연료는 차량이 쓰는 연료(FuelCatalog)의 발열량과 공급 효율(수소는 생산·압축 효율)을 씁니다.
+ * WTW 전력은 충전 손실과 송배전 손실을 더한 발전량에 φ_grid를 곱합니다 (시간대 배수는 탄소집약도만 바꾸므로 CO₂에만 적용).
+ * 누적 에너지(CED)는 차체·배터리 제조 에너지(배터리 교체 포함)에 WTW를 더한 값이며, 제조 에너지는 배출량과 따로
+ * 중량·용량당 입력값으로 계산합니다 (배터리 생산지 전력이 깨끗해도 드는 에너지는 같음).
+ */
+const EnergyModel = {
+    // 1 kWh의 열량 (MJ)
+    MJ_PER_KWH: 3.6,
+    
+    /**
+     * 거리 d까지의 연료·전력 에너지 ({tankToWheel, wellToWheel}, MJ)
+     */
+    useAt: (inputs, profile, distance) => {
+        const fuel = distance * profile.fuelPerKm;
+        
+        // 배터리 열화로 소비전력이 바뀌는 구간별로 적분
+        let electricity = 0;
+        if (profile.electricityPerKm > 0) {
+            let start = 0;
+            const ends = Calculator.breakpointsFor(inputs, profile).filter(point => point < distance).concat(distance);
+            ends.forEach(end => {
+                electricity += (end - start) * Calculator.electricityPerKmAt(inputs, profile, start);
+                start = end;
+            });
+        }
+        
+        return {
+            tankToWheel: fuel * profile.fuel.heatingValue + electricity * EnergyModel.MJ_PER_KWH,
+            wellToWheel: fuel * profile.fuel.heatingValue / profile.fuel.supplyEfficiency +
+                electricity * ChargingProfile.lossFactor(inputs) * inputs.phiGrid / (1 - inputs.gridLoss)
+        };
+    },
+    
+    /**
+     * 차량 한 대의 제조 에너지 ({vehicle, battery}, MJ): 배터리를 뺀 차체 중량 × 차체 제조 에너지, 배터리 용량 × 배터리 제조 에너지
+     */
+    manufacturingOf: (inputs, values) => ({
+        vehicle: BatteryModel.bodyWeightOf(values) * inputs.energy.vehicleEnergy,
+        battery: (values.batteryCapacity ?? 0) * inputs.energy.batteryEnergy
+    }),
+    
+    /**
+     * 거리 d까지의 제조 단계 내재 에너지 (배터리 교체마다 배터리 몫을 더함, MJ)
+     * 
+     * leftLimit이 true이면 거리 d에서 일어나는 배터리 교체 직전 값을 반환합니다.
+     */
+    embodiedAt: (inputs, profile, distance, leftLimit = false) => {
+        const replacements = profile.steps
+            .filter(step => step.batteryReplacement && (step.distance < distance || (step.distance === distance && !leftLimit)))
+            .length;
+        return profile.manufacturingEnergy.vehicle + profile.manufacturingEnergy.battery * (1 + replacements);
+    },
+    
+    /**
+     * 거리 d까지의 누적 에너지 CED (내재 에너지 + WTW, MJ)
+     */
+    cumulativeAt: (inputs, profile, distance, leftLimit = false) =>
+        EnergyModel.embodiedAt(inputs, profile, distance, leftLimit) + EnergyModel.useAt(inputs, profile, distance).wellToWheel,
+    
+    /**
+     * km당 TTW·WTW 에너지 (첫 연차, 배터리 열화 전 기준, MJ/km)
+     */
+    perKm: (inputs, profile) => EnergyModel.useAt(inputs, profile, 1),
+    
+    /**
+     * 두 차량 사이의 에너지 손익분기점 (누적 에너지가 큰 차량이 작은 차량의 누적 에너지를 따라잡는 거리)
+     */
+    calculatePairBreakEven: (inputs, profiles, i, j) => {
+        const { vehicles } = inputs;
+        const energyAt = (k, distance, leftLimit) => EnergyModel.cumulativeAt(inputs, profiles[k], distance, leftLimit);
+        const [a, b] = energyAt(j, 0) > energyAt(i, 0) ? [j, i] : [i, j];
+        
+        const diffAt = (distance, leftLimit) => energyAt(a, distance, leftLimit) - energyAt(b, distance, leftLimit);
+        const crossings = Calculator.findCrossings(diffAt, Calculator.breakpointsFor(inputs, profiles[a], profiles[b]));
+        
+        if (crossings.length % 2 === 0) {
+            return {
+                vehicles: [i, j],
+                breakEven: null,
+                status: 'never',
+                message: `유한한 에너지 손익분기점 없음 (${vehicles[b].name}이(가) 에너지를 덜 씀)`
+            };
+        }
+        
+        const breakEven = crossings[crossings.length - 1];
+        return {
+            vehicles: [i, j],
+            breakEven,
+            status: 'crossing',
+            message: `${Units.formatDistance(inputs, breakEven)}에서 에너지 손익분기점 (이후 ${vehicles[a].name} 유리)`
+        };
+    },
+    
+    /**
+     * 각 행에 차량별 에너지(row.energy: [{tankToWheel, wellToWheel, cumulative}]) 추가
+     */
+    annotate: (inputs, profiles, rows) => {
+        rows.forEach(row => {
+            row.energy = profiles.map(profile => ({
+                ...EnergyModel.useAt(inputs, profile, row.distance),
+                cumulative: EnergyModel.cumulativeAt(inputs, profile, row.distance, row.leftLimit)
+            }));
+        });
+    },
+    
+    /**
+     * 결과 행에 차량별 에너지를 더하고 km당 에너지와 차량 쌍별 에너지 손익분기점 계산
+     */
+    calculate: (inputs, profiles, results) => {
+        EnergyModel.annotate(inputs, profiles, results);
+        
+        const breakEvens = [];
+        for (let i = 0; i < profiles.length; i++) {
+            for (let j = i + 1; j < profiles.length; j++) {
+                breakEvens.push(EnergyModel.calculatePairBreakEven(inputs, profiles, i, j));
+            }
+        }
+        
+        return {
+            perKm: profiles.map(profile => EnergyModel.perKm(inputs, profile)),
+            breakEvens,
+            lifetimeEnergy: profiles.map(profile => EnergyModel.cumulativeAt(inputs, profile, inputs.lifetime))
+        };
+    }
+};
+
+/**
+ * 결과 표 및 CSV 열 정의
+ */
+const ResultColumns = {
+    /**
+     * 차량 목록에 맞는 열 목록 생성
+     */
+    build: (inputs, results) => {
+        const { vehicles } = inputs;
+        const columns = [
+            { header: `거리 (${Units.distanceUnit(inputs).label})`, value: row => Units.distance(inputs, row.distance), kind: 'distance' }
+        ];
+        
+        // 배터리 교체 등 계단형 이벤트가 있으면 이벤트 열 표시
+        if (results.some(row => row.events.length > 0)) {
+            columns.push({ header: '이벤트', value: row => row.events.join(', '), kind: 'text' });
+        }
+        
+        // α_grid가 연도별로 변하면 해당 연도와 α_grid 표시
+        if (inputs.grid.mode !== 'constant') {
+            columns.push({ header: '연도', value: row => inputs.grid.startYear + row.year, kind: 'year' });
+            columns.push({ header: 'α_grid (kgCO₂e/kWh)', value: row => row.alphaGrid, digits: 3 });
+        }
+        
+        vehicles.forEach((vehicle, i) => {
+            columns.push({ header: `E_${vehicle.name}(d) (kgCO₂e)`, value: row => row.emissions[i], digits: 0 });
+        });
+        
+        vehicles.slice(1).forEach((vehicle, i) => {
+            columns.push({
+                header: `Δ (${vehicle.name} - ${vehicles[0].name}) (kgCO₂e)`,
+                value: row => row.deltas[i + 1],
+                digits: 0,
+                kind: 'delta'
+            });
+        });
+        
+        vehicles.forEach((vehicle, i) => {
+            columns.push({ header: `k_${vehicle.name} (${Units.label(inputs, 'kgCO₂e/km')})`, value: row => Units.perDistance(inputs, row.intensities[i]), digits: 3 });
+        });
+        
+        // 에너지: 탱크-휠, 웰-휠(1차 에너지), 제조 내재 에너지를 더한 누적 에너지
+        if (results.length > 0 && results[0].energy) {
+            vehicles.forEach((vehicle, i) => {
+                columns.push({ header: `TTW_${vehicle.name}(d) (MJ)`, value: row => row.energy[i].tankToWheel, digits: 0 });
+            });
+            vehicles.forEach((vehicle, i) => {
+                columns.push({ header: `WTW_${vehicle.name}(d) (MJ)`, value: row => row.energy[i].wellToWheel, digits: 0 });
+            });
+            vehicles.forEach((vehicle, i) => {
+                columns.push({ header: `CED_${vehicle.name}(d) (MJ)`, value: row => row.energy[i].cumulative, digits: 0 });
+            });
+        }
+        
+        // 총소유비용을 계산했으면 누적 비용과 기준 차량 대비 비용 차이 표시
+        if (results.length > 0 && results[0].costs) {
+            vehicles.forEach((vehicle, i) => {
+                columns.push({ header: `C_${vehicle.name}(d) (원)`, value: row => row.costs[i], digits: 0 });
+            });
+            vehicles.slice(1).forEach((vehicle, i) => {
+                columns.push({
+                    header: `ΔC (${vehicle.name} - ${vehicles[0].name}) (원)`,
+                    value: row => row.costs[i + 1] - row.costs[0],
+                    digits: 0,
+                    kind: 'delta'
+                });
+            });
+        }
+        
+        // 생애주기 단계별 배출량은 별도 표로 표시하고 CSV에만 열로 포함
+        vehicles.forEach((vehicle, i) => {
+            LIFECYCLE_PHASES.forEach(phase => {
+                columns.push({
+                    header: `${vehicle.name} ${phase.label} (kgCO₂e)`,
+                    value: row => row.phases[i][phase.key],
+                    digits: 0,
+                    csvOnly: true
+                });
+            });
+        });
+        
+        return columns;
+    },
+    
+    /**
+     * 표시용 셀 값 포맷
+     */
+    format: (column, value) => {
+        if (value === null) return '-';
+        if (column.kind === 'distance') return value.toLocaleString();
+        if (column.kind === 'year' || column.kind === 'text') return String(value);
+        if (column.kind === 'delta') return `${value >= 0 ? '+' : ''}${value.toFixed(column.digits)}`;
+        return value.toFixed(column.digits);
+    }
+};
+
+/**
+ * 보고서·XLSX·JSON에 싣는 가정 목록
+ */
+const Assumptions = {
+    /**
+     * 계산에 쓴 입력을 행 목록으로 정리 ({section, label, value, unit, source})
+     * 
+     * 차량 값의 출처는 직접 입력, 데이터베이스, 추정식 중 하나입니다.
+     */
+    build: (results) => {
+        const { inputs, derived } = results;
+        const rows = [];
+        const add = (section, label, value, unit = '', source = '') => rows.push({ section, label, value, unit, source });
+        const common = '공통';
+        
+        const region = RegionPresets.find(inputs.region);
+        const distanceLabel = Units.distanceUnit(inputs).label;
+        const distance = (km) => +Units.distance(inputs, km).toFixed(2);
+        add(common, '거리 지점', inputs.distances.map(distance).join(', '), distanceLabel);
+        add(common, '차량 수명', distance(inputs.lifetime), distanceLabel);
+        add(common, '지역 프리셋', region ? `${region.label} (${region.year})` : '직접 입력', '', region ? region.source : '');
+        add(common, 'α_grid', inputs.alphaGrid, 'kgCO₂e/kWh');
+        add(common, 'φ_grid', inputs.phiGrid, 'MJ/kWh');
+        add(common, '송배전 손실률', +(inputs.gridLoss * 100).toFixed(2), '%');
+        if (inputs.vehicles.some(vehicle => vehicle.fuel === FuelCatalog.CUSTOM)) {
+            add(common, 'α_fuel (직접 입력 연료)', inputs.alphaFuel, 'kgCO₂e/L');
+            add(common, 'α_fuel,WTT (직접 입력 연료)', inputs.fuelUpstream, 'kgCO₂e/L');
+            add(common, '연료 발열량 (직접 입력 연료)', inputs.energy.fuelHeatingValue, 'MJ/L');
+        }
+        add(common, '정유·공급 효율', +(inputs.energy.refineryEfficiency * 100).toFixed(2), '%');
+        add(common, '차체 제조 에너지', inputs.energy.vehicleEnergy, 'MJ/kg');
+        add(common, '배터리 제조 에너지', inputs.energy.batteryEnergy, 'MJ/kWh');
+        add(common, '전력망 경로', { constant: '일정', linear: `${inputs.grid.startYear}→${inputs.grid.targetYear} 선형`, custom: '연도별 직접 입력' }[inputs.grid.mode] ?? inputs.grid.mode);
+        add(common, '연간 주행거리', distance(inputs.grid.annualMileage), distanceLabel);
+        if (inputs.charging) {
+            add(common, '충전 전력 배출계수 배수', +ChargingProfile.factor(inputs).toFixed(3));
+        }
+        if (inputs.drivingCycle) {
+            add(common, '주행 유형 비율 (도심/고속도로/혼합)', DrivingCycle.CYCLES.map(cycle => inputs.drivingCycle.shares[cycle.key]).join(' / '), '%');
+        }
+        if (inputs.cost) {
+            add(common, '전기 요금', inputs.cost.electricityPrice, '원/kWh');
+            add(common, '할인율', +(inputs.cost.discountRate * 100).toFixed(2), '%/년');
+        }
+        
+        inputs.vehicles.forEach((vehicle, i) => {
+            const entry = vehicle.model ? VehicleDatabase.find(vehicle.model) : null;
+            const fromDatabase = VehicleDatabase.matchedKeys(vehicle);
+            const sourceOf = (key) => {
+                if (vehicle[key] === null) return '추정식';
+                return fromDatabase.includes(key) ? `데이터베이스 (${VehicleDatabase.labelFor(entry)})` : '직접 입력';
+            };
+            
+            add(vehicle.name, '파워트레인', Powertrains[vehicle.type].label);
+            add(vehicle.name, '공차중량', vehicle.weight, 'kg', sourceOf('weight'));
+            if (vehicle.fuel) {
+                const fuel = FuelCatalog.resolve(inputs, vehicle.fuel);
+                add(vehicle.name, '연료', fuel.label);
+                add(vehicle.name, '연료 연소 배출계수', +fuel.combustion.toFixed(3), `kgCO₂e/${fuel.unit}`);
+                add(vehicle.name, '연료 상류 배출', +fuel.upstream.toFixed(3), `kgCO₂e/${fuel.unit}`);
+                add(vehicle.name, '연료 발열량', +fuel.heatingValue.toFixed(2), `MJ/${fuel.unit}`);
+            }
+            Powertrains[vehicle.type].fields.forEach(field => {
+                const { value, unit } = Units.vehicleField(inputs, vehicle, field, vehicle[field.key] ?? derived[i][field.key]);
+                add(vehicle.name, field.label, +value.toFixed(field.digits), unit, sourceOf(field.key));
+            });
+            if (vehicle.batterySpec) {
+                const chemistry = BatteryModel.chemistryOf(vehicle.batterySpec);
+                const site = BatteryModel.siteOf(vehicle.batterySpec);
+                const batteryCapacity = vehicle.batteryCapacity ?? derived[i].batteryCapacity;
+                add(vehicle.name, '배터리 화학 조성', chemistry.label, '', `팩 ${chemistry.specificEnergy} Wh/kg, 소재 ${chemistry.materials} kgCO₂e/kWh`);
+                add(vehicle.name, '배터리 생산지', site.label, '', `제조 전력 α_grid ${site.alphaGrid} kgCO₂e/kWh`);
+                add(vehicle.name, '배터리 질량', +BatteryModel.massOf(batteryCapacity, vehicle.batterySpec).toFixed(0), 'kg', '용량 / 팩 에너지 밀도');
+            }
+            if (inputs.cost) {
+                add(vehicle.name, '구매 가격 − 보조금', vehicle.cost.purchasePrice - vehicle.cost.subsidy, '원');
+                if (vehicle.fuel) {
+                    add(vehicle.name, '연료 가격', CostModel.fuelPriceOf(vehicle), `원/${FuelCatalog.unitOf(vehicle.fuel)}`,
+                        vehicle.cost.fuelPrice === null ? '연료별 기본 가격' : '직접 입력');
+                }
+            }
+        });
+        
+        return rows;
+    }
+};
+
+/**
+ * 몬테카를로 불확실성 분석
+ * 
+ * 분포를 지정한 폼 필드 값을 표본 추출해 Calculator.calculate를 반복 실행하고,
+ * 거리별 누적 배출량과 손익분기점 거리의 백분위수를 구합니다.
+ */
+const MonteCarlo = {
+    /**
+     * 지원하는 분포: 입력값 이름(params), 검증, 표본 추출
+     */
+    DISTRIBUTIONS: {
+        uniform: {
+            label: '균등',
+            params: ['최소', '최대'],
+            validate: ([min, max]) => min > max ? '최소는 최대보다 클 수 없습니다' : null,
+            sample: ([min, max]) => min + (max - min) * Math.random()
+        },
+        triangular: {
+            label: '삼각',
+            params: ['최소', '최빈값', '최대'],
+            validate: ([min, mode, max]) => (min <= mode && mode <= max) ? null : '최소 ≤ 최빈값 ≤ 최대여야 합니다',
+            sample: ([min, mode, max]) => {
+                const u = Math.random();
+                const split = max === min ? 0 : (mode - min) / (max - min);
+                return u < split ?
+                    min + Math.sqrt(u * (max - min) * (mode - min)) :
+                    max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+            }
+        },
+        normal: {
+            label: '정규',
+            params: ['평균', '표준편차'],
+            validate: ([, sd]) => sd < 0 ? '표준편차는 0 이상이어야 합니다' : null,
+            sample: ([mean, sd]) => {
+                // Box-Muller 변환
+                const u = 1 - Math.random();
+                const v = Math.random();
+                return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+            }
+        }
+    },
+    
+    /**
+     * 정렬된 배열의 백분위수 (선형 보간)
+     */
+    percentile: (sorted, p) => {
+        if (sorted.length === 0) return null;
+        const index = (sorted.length - 1) * p;
+        const lower = Math.floor(index);
+        const upper = Math.ceil(index);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+    },
+    
+    /**
+     * P5/P50/P95 요약
+     */
+    summarize: (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return {
+            p5: MonteCarlo.percentile(sorted, 0.05),
+            p50: MonteCarlo.percentile(sorted, 0.5),
+            p95: MonteCarlo.percentile(sorted, 0.95)
+        };
+    },
+    
+    // 한 번에 계산하는 표본 수 (묶음 사이마다 UI 스레드에 양보)
+    CHUNK_SIZE: 200,
+    
+    /**
+     * 다음 이벤트 루프 차례까지 대기 (화면 갱신과 입력 처리가 끼어들 수 있게)
+     */
+    yieldToUI: () => new Promise(resolve => setTimeout(resolve, 0)),
+    
+    /**
+     * 시뮬레이션 실행 (Promise, onProgress(완료 수, 전체 수)는 묶음마다 호출)
+     * 
+     * 표본 값이 입력 검증을 통과하지 못하면(예: 음수) 그 표본은 버리고 개수만 세며,
+     * 그 밖의 예외는 그대로 전달합니다.
+     */
+    run: async (baseFormData, { iterations, parameters }, onProgress = () => {}) => {
+        const samples = [];
+        let rejected = 0;
+        
+        for (let n = 0; n < iterations; n++) {
+            if (n > 0 && n % MonteCarlo.CHUNK_SIZE === 0) {
+                onProgress(n, iterations);
+                await MonteCarlo.yieldToUI();
+            }
+            
+            const formData = new FormData();
+            for (const [key, value] of baseFormData.entries()) {
+                formData.append(key, value);
+            }
+            parameters.forEach(param => {
+                formData.set(param.name, String(MonteCarlo.DISTRIBUTIONS[param.distribution].sample(param.values)));
+            });
+            
+            let inputs;
+            try {
+                inputs = InputParser.parseFormInputs(formData);
+            } catch (error) {
+                if (!error.validation) throw error;
+                rejected++;
+                continue;
+            }
+            samples.push(Calculator.calculate(inputs));
+        }
+        
+        if (samples.length === 0) {
+            throw new Error('유효한 표본이 없습니다. 분포 범위를 확인해주세요');
+        }
+        
+        const { distances, vehicles } = samples[0].inputs;
+        
+        // 입력 거리별 차량 누적 배출량 분포
+        const emissions = distances.map(distance => ({
+            distance,
+            vehicles: vehicles.map((vehicle, i) => MonteCarlo.summarize(samples.map(sample =>
+                sample.results.find(row => row.distance === distance && !row.leftLimit).emissions[i]
+            )))
+        }));
+        
+        // 차량 쌍별 손익분기점 분포 (유한한 손익분기점이 없는 표본 비율 포함)
+        const breakEvens = samples[0].breakEvens.map((pair, k) => {
+            const values = samples.map(sample => sample.breakEvens[k].breakEven).filter(value => value !== null);
+            return {
+                vehicles: pair.vehicles,
+                ...MonteCarlo.summarize(values),
+                noBreakEvenShare: 1 - values.length / samples.length
+            };
+        });
+        
+        return {
+            iterations,
+            accepted: samples.length,
+            rejected,
+            emissions,
+            breakEvens
+        };
+    }
+};
+
+/**
+ * 민감도 분석 (토네이도 차트용)
+ * 
+ * 입력을 하나씩 하한·상한으로 바꿔 계산하고, 기준 차량과 비교 차량 사이의
+ * 손익분기점 거리와 기준 거리에서의 배출량 차이가 얼마나 움직이는지 구합니다.
+ */
+const Sensitivity = {
+    /**
+     * 공통 매개변수 (폼 이름, inputs 키, 라벨, customFuel: "직접 입력" 연료 차량이 있을 때만 계산에 쓰임)
+     */
+    COMMON_PARAMETERS: [
+        { name: 'alpha-fuel', key: 'alphaFuel', label: 'α_fuel', customFuel: true },
+        { name: 'alpha-grid', key: 'alphaGrid', label: 'α_grid' }
+    ],
+    
+    /**
+     * 차량별로 변화시킬 필드 (파워트레인에 있는 것만 사용)
+     */
+    VEHICLE_FIELDS: ['fuel-economy', 'energy-use', 'hydrogen-use', 'battery-capacity', 'battery-factor', 'manufacturing'],
+    
+    /**
+     * 변화시킬 매개변수와 기준값 목록
+     * 
+     * 비어있어 추정된 필드는 추정값을 기준값으로 사용합니다.
+     */
+    listParameters: (baseline) => {
+        const { inputs, derived } = baseline;
+        const customFuel = inputs.vehicles.some(vehicle => vehicle.fuel === FuelCatalog.CUSTOM);
+        const parameters = Sensitivity.COMMON_PARAMETERS.filter(param => !param.customFuel || customFuel).map(param => ({
+            name: param.name,
+            label: param.label,
+            base: inputs[param.key]
+        }));
+        
+        inputs.vehicles.forEach((vehicle, i) => {
+            const prefix = `v${i + 1}`;
+            parameters.push({ name: `${prefix}-weight`, label: `${vehicle.name} 공차중량`, base: vehicle.weight });
+            
+            Powertrains[vehicle.type].fields
+                .filter(field => Sensitivity.VEHICLE_FIELDS.includes(field.name))
+                .forEach(field => {
+                    // 폼 값을 바꿔 가며 계산하므로 기준값도 카드에서 고른 단위로 표시
+                    const value = vehicle[field.key] ?? derived[i][field.key];
+                    parameters.push({
+                        name: `${prefix}-${field.name}`,
+                        label: `${vehicle.name} ${field.label}`,
+                        base: field.unitTable ? Units.fromCanonical(field.unitTable, vehicle.units[field.key], value) : value
+                    });
+                });
+        });
+        
+        return parameters;
+    },
+    
+    /**
+     * 폼에 입력된 값, 비어있으면 추정값 (둘 다 없으면 null)
+     */
+    baseValueOf: (baseFormData, name) => {
+        const text = (baseFormData.get(name) ?? '').trim();
+        if (text !== '') return parseFloat(text);
+        
+        const baseline = Calculator.calculate(InputParser.parseFormInputs(baseFormData));
+        const param = Sensitivity.listParameters(baseline).find(p => p.name === name);
+        return param ? param.base : null;
+    },
+    
+    /**
+     * 계산 결과에서 비교 지표 추출: 손익분기점 거리(없으면 null), 기준 거리에서의 배출량 차이 (비교 − 기준)
+     */
+    metrics: (results, [a, b], distance) => {
+        const pair = results.breakEvens.find(p => p.vehicles[0] === a && p.vehicles[1] === b);
+        const emissionsAt = (i) => Calculator.emissionsAt(results.inputs, results.profiles[i], distance);
+        return {
+            breakEven: pair.breakEven,
+            delta: emissionsAt(b) - emissionsAt(a)
+        };
+    },
+    
+    /**
+     * 분석 실행
+     * 
+     * 변화시킨 값이 검증을 통과하지 못하면(예: 음수 하한) 해당 끝점은 오류 메시지로 남깁니다.
+     */
+    run: (baseFormData, { percent, distance, pair, bounds }) => {
+        const baseline = Calculator.calculate(InputParser.parseFormInputs(baseFormData));
+        const base = Sensitivity.metrics(baseline, pair, distance);
+        const parameters = Sensitivity.listParameters(baseline);
+        
+        const unknown = Object.keys(bounds).filter(name => !parameters.some(param => param.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`민감도 분석에 사용할 수 없는 필드입니다: ${unknown.join(', ')}`);
+        }
+        
+        const evaluate = (name, value) => {
+            const formData = new FormData();
+            for (const [key, existing] of baseFormData.entries()) {
+                formData.append(key, existing);
+            }
+            formData.set(name, String(value));
+            
+            let inputs;
+            try {
+                inputs = InputParser.parseFormInputs(formData);
+            } catch (error) {
+                // 검증 오류만 막대의 오류로 표시하고 프로그램 오류는 그대로 전달
+                if (!error.validation) throw error;
+                return { error: error.message };
+            }
+            return Sensitivity.metrics(Calculator.calculate(inputs), pair, distance);
+        };
+        
+        const rows = parameters.map(param => {
+            const [low, high] = bounds[param.name] ??
+                [param.base * (1 - percent / 100), param.base * (1 + percent / 100)];
+            return { ...param, low, high, atLow: evaluate(param.name, low), atHigh: evaluate(param.name, high) };
+        });
+        
+        // 손익분기점 변동 폭이 큰 순서 (손익분기점이 사라지는 경우가 가장 위)
+        const swing = (row) => {
+            if (row.atLow.error || row.atHigh.error) return -1;
+            const values = [row.atLow.breakEven, row.atHigh.breakEven, base.breakEven];
+            if (values.includes(null)) return values.every(value => value === null) ? 0 : Infinity;
+            return Math.abs(row.atHigh.breakEven - row.atLow.breakEven);
+        };
+        rows.sort((x, y) => (swing(y) - swing(x)) || 0);
+        
+        return { pair, distance, distanceUnit: baseline.inputs.distanceUnit, percent, base, rows };
+    }
+};
+
+/**
+ * 목표 탐색 (역산)
+ * 
+ * 입력 하나를 바꿔 가며 손익분기점 거리 또는 특정 거리의 배출량 차이가 목표값이 되는 값을 찾습니다.
+ * 손익분기점 목표 d*는 "목표 거리에서 두 차량의 누적 배출량이 같다"로 바꿔 풀고,
+ * 찾은 값으로 다시 계산한 손익분기점이 목표와 같은지 확인합니다 (다른 교차점이 있으면 버림).
+ */
+const GoalSeek = {
+    SCAN_STEPS: 40,
+    MAX_ITERATIONS: 60,
+    
+    /**
+     * 범위를 지정하지 않았을 때 탐색 범위: [0, 현재 값의 10배] (현재 값이 음수·0이면 대칭 범위)
+     */
+    defaultRange: (base) => {
+        if (base > 0) return [0, base * 10];
+        const span = Math.max(Math.abs(base) * 10, 1);
+        return [base - span, base + span];
+    },
+    
+    /**
+     * 분석 실행
+     * 
+     * 해가 없으면 value가 null이고, 탐색 범위에서 나온 지표 범위를 함께 돌려줍니다.
+     */
+    run: (baseFormData, { name, metric, target, distance, pair, range }) => {
+        const base = Sensitivity.baseValueOf(baseFormData, name);
+        if (!range && base === null) {
+            throw new Error('비어있는 입력은 탐색 범위를 직접 지정해야 합니다');
+        }
+        const [min, max] = range ?? GoalSeek.defaultRange(base);
+        
+        // 값 x에서 [지표, 목표와의 차이] (계산할 수 없는 값이면 null)
+        const evaluate = (value) => {
+            const formData = new FormData();
+            for (const [key, existing] of baseFormData.entries()) {
+                formData.append(key, existing);
+            }
+            formData.set(name, String(value));
+            
+            let inputs;
+            try {
+                inputs = InputParser.parseFormInputs(formData);
+            } catch (error) {
+                // 검증 오류만 계산할 수 없는 값으로 보고 프로그램 오류는 그대로 전달
+                if (!error.validation) throw error;
+                return null;
+            }
+            const outcome = Sensitivity.metrics(Calculator.calculate(inputs), pair, distance);
+            const residual = metric === 'delta' ? outcome.delta - target : outcome.delta;
+            return { ...outcome, residual };
+        };
+        
+        const scan = [];
+        for (let step = 0; step <= GoalSeek.SCAN_STEPS; step++) {
+            const value = min + (max - min) * step / GoalSeek.SCAN_STEPS;
+            scan.push({ value, outcome: evaluate(value) });
+        }
+        
+        // 부호가 바뀌는 구간마다 이분법으로 근을 찾고, 손익분기점 목표는 다시 계산해 검증
+        const tolerance = Math.max(1, Math.abs(target) * 1e-3);
+        const solutions = [];
+        for (let i = 0; i < scan.length; i++) {
+            const left = scan[i];
+            const right = scan[i + 1];
+            if (!left.outcome) continue;
+            
+            let root = null;
+            if (left.outcome.residual === 0) {
+                root = left;
+            } else if (right?.outcome && Math.sign(left.outcome.residual) !== Math.sign(right.outcome.residual) && right.outcome.residual !== 0) {
+                let [lo, hi] = [left, right];
+                for (let iteration = 0; iteration < GoalSeek.MAX_ITERATIONS; iteration++) {
+                    const value = (lo.value + hi.value) / 2;
+                    const outcome = evaluate(value);
+                    if (!outcome) break;
+                    const mid = { value, outcome };
+                    if (outcome.residual === 0 || Math.abs(hi.value - lo.value) <= Math.abs(value) * 1e-12) {
+                        lo = hi = mid;
+                        break;
+                    }
+                    if (Math.sign(outcome.residual) === Math.sign(lo.outcome.residual)) {
+                        lo = mid;
+                    } else {
+                        hi = mid;
+                    }
+                }
+                root = Math.abs(lo.outcome.residual) <= Math.abs(hi.outcome.residual) ? lo : hi;
+            }
+            if (!root) continue;
+            
+            const valid = metric === 'delta' ?
+                Math.abs(root.outcome.residual) <= tolerance :
+                root.outcome.breakEven !== null && Math.abs(root.outcome.breakEven - target) <= tolerance;
+            if (valid && !solutions.some(solution => solution.value === root.value)) {
+                solutions.push(root);
+            }
+        }
+        
+        // 현재 값에 가장 가까운 해를 대표값으로 사용
+        const reference = base ?? (min + max) / 2;
+        solutions.sort((x, y) => Math.abs(x.value - reference) - Math.abs(y.value - reference));
+        
+        const achieved = scan.map(point => point.outcome && point.outcome[metric]).filter(value => value !== null && value !== undefined);
+        return {
+            name,
+            metric,
+            target,
+            distance,
+            pair,
+            base,
+            range: [min, max],
+            value: solutions.length > 0 ? solutions[0].value : null,
+            outcome: solutions.length > 0 ? solutions[0].outcome : null,
+            alternatives: solutions.slice(1).map(solution => solution.value),
+            achievedRange: achieved.length > 0 ? [Math.min(...achieved), Math.max(...achieved)] : null
+        };
+    }
+};
+
+/**
+ * 2차원 손익분기점 지도 (히트맵)
+ * 
+ * 두 입력을 각 범위에서 격자로 바꿔 가며 차량 1과 비교 차량의 손익분기점 거리를 계산합니다.
+ */
+const Heatmap = {
+    /**
+     * 범위를 지정하지 않았을 때 현재 값(비어있으면 추정값) ±50%
+     */
+    defaultRange: (baseFormData, name) => {
+        const base = Sensitivity.baseValueOf(baseFormData, name);
+        if (base === null) {
+            throw new Error(`비어있는 입력(${name})은 범위를 직접 지정해야 합니다`);
+        }
+        return base === 0 ? [0, 1] : [base * 0.5, base * 1.5].sort((a, b) => a - b);
+    },
+    
+    /**
+     * 분석 실행
+     * 
+     * cells[yi][xi]는 손익분기점 거리 (km), 손익분기점이 없으면 null, 계산할 수 없는 조합이면 undefined입니다.
+     * distanceUnit은 표시에 쓰는 폼의 거리 단위입니다.
+     */
+    run: (baseFormData, { x, y, steps, pair }) => {
+        const axisValues = (axis) => {
+            const [min, max] = axis.range ?? Heatmap.defaultRange(baseFormData, axis.name);
+            return Array.from({ length: steps }, (_, i) => parseFloat((min + (max - min) * i / (steps - 1)).toPrecision(12)));
+        };
+        const xValues = axisValues(x);
+        const yValues = axisValues(y);
+        
+        const evaluate = (xValue, yValue) => {
+            const formData = new FormData();
+            for (const [key, existing] of baseFormData.entries()) {
+                formData.append(key, existing);
+            }
+            formData.set(x.name, String(xValue));
+            formData.set(y.name, String(yValue));
+            
+            let inputs;
+            try {
+                inputs = InputParser.parseFormInputs(formData);
+            } catch (error) {
+                // 검증 오류만 빈 칸으로 두고 프로그램 오류는 그대로 전달
+                if (!error.validation) throw error;
+                return undefined;
+            }
+            const results = Calculator.calculate(inputs);
+            return results.breakEvens.find(p => p.vehicles[0] === pair[0] && p.vehicles[1] === pair[1]).breakEven;
+        };
+        
+        return {
+            pair,
+            distanceUnit: InputParser.parseDistanceUnit(baseFormData),
+            x: { name: x.name, values: xValues },
+            y: { name: y.name, values: yValues },
+            cells: yValues.map(yValue => xValues.map(xValue => evaluate(xValue, yValue)))
+        };
+    },
+    
+    /**
+     * 손익분기점 거리를 색으로 변환 (짧을수록 초록, 길수록 빨강)
+     */
+    colorFor: (value, min, max) => {
+        const t = max > min ? (value - min) / (max - min) : 0;
+        return `hsl(${(120 * (1 - t)).toFixed(0)}, 65%, 50%)`;
+    }
+};
+
+/**
+ * 차량군(플릿) 전환 모델
+ * 
+ * 차량 카드를 차종 정의로 사용하고, 그룹별 대수·연간 주행거리·교체 예정 연도로 연도별 차량군 배출량을 구합니다.
+ * - ICE 유지: 교체 예정 연도에 같은 차종을 새로 사서 제조 배출이 한 번 더 발생
+ * - 전환 계획: 매년 각 그룹의 X%씩 (누적 min(1, X × 경과 연수)) 전환 차량으로 바꾸고, 바꾸는 해에 전환 차량 제조 배출 발생.
+ *   교체 예정 연도까지 남은 기존 차량은 ICE 유지와 같이 새 차로 교체
+ * 연도별 km당 배출강도는 기준 연도부터의 연차로 Calculator.intensityAt을 계산해 전력망 경로를 따릅니다
+ * (배터리 열화는 기본 연간 주행거리 기준 연차로 근사). 분석 기간 안에서 교체는 한 번만 고려합니다.
+ */
+const Fleet = {
+    /**
+     * 분석 실행
+     * 
+     * 회수 연도는 누적 절감량이 마지막으로 0 이상이 된 해 (끝까지 음수면 null)입니다.
+     */
+    run: (results, { groups, rate, horizon }) => {
+        const { inputs, profiles, upfront } = results;
+        const startYear = inputs.grid.startYear;
+        const perKm = (vehicle, yearIndex) => Calculator.intensityAt(inputs, profiles[vehicle], yearIndex * inputs.grid.annualMileage);
+        const electrifiedAt = (group, yearIndex) => yearIndex < 0 ? 0 : Math.round(group.count * Math.min(1, rate * (yearIndex + 1)));
+        
+        let cumulativeSavings = 0;
+        const rows = [];
+        for (let yearIndex = 0; yearIndex < horizon; yearIndex++) {
+            const year = startYear + yearIndex;
+            let keepIce = 0;
+            let transition = 0;
+            let electrified = 0;
+            
+            groups.forEach(group => {
+                const distance = group.annualMileage;
+                const replacing = year === group.replacementYear;
+                
+                keepIce += group.count * distance * perKm(group.current, yearIndex) +
+                    (replacing ? group.count * upfront[group.current] : 0);
+                
+                const converted = electrifiedAt(group, yearIndex);
+                const newlyConverted = converted - electrifiedAt(group, yearIndex - 1);
+                const remaining = group.count - converted;
+                transition += remaining * distance * perKm(group.current, yearIndex) +
+                    converted * distance * perKm(group.replacement, yearIndex) +
+                    newlyConverted * upfront[group.replacement] +
+                    (replacing ? remaining * upfront[group.current] : 0);
+                electrified += converted;
+            });
+            
+            cumulativeSavings += keepIce - transition;
+            rows.push({ year, keepIce, transition, electrified, savings: keepIce - transition, cumulativeSavings });
+        }
+        
+        const lastDeficit = rows.map(row => row.cumulativeSavings < 0).lastIndexOf(true);
+        const paybackYear = lastDeficit === rows.length - 1 ? null : rows[lastDeficit + 1].year;
+        
+        return {
+            rows,
+            paybackYear,
+            vehicleCount: groups.reduce((sum, group) => sum + group.count, 0),
+            groups
+        };
+    }
+};
+
+/**
+ * 현재 차량 유지 vs 교체 판단
+ * 
+ * 이미 타고 있는 차량(기존 차량)을 남은 수명 R km 동안 계속 탈 때와 지금 교체 차량을 새로 살 때를
+ * 지금부터의 주행거리 d로 비교합니다.
+ * - 유지: E_keep(d) = 배분된 기존 제조 배출 + 기존 차량 주행·상류·정비 + [d ≥ R] 폐차 배출
+ *   (제조 배출은 매몰 처리하면 0, 부분 상각이면 제조 × R / (현재 주행거리 + R))
+ * - 지금 교체: E_switch(d) = 교체 차량 생애주기 배출 + 지금 폐차하면 기존 차량 폐차 배출 (판매하면 다음 소유자 몫)
+ * 탄소 회수 거리는 E_switch가 E_keep 이하로 내려오는 마지막 교차 지점이고, 수명이 다할 때 교체하는 경우는
+ * 그 시점의 전력망(연차 단위로 이동)에서 기존 차종을 새로 살 때와 교체 차량의 손익분기점으로 봅니다.
+ */
+const Replacement = {
+    /**
+     * switchProfile이 keepProfile의 누적 배출량을 따라잡은 뒤 계속 앞서기 시작하는 거리 (처음부터 앞서면 0, 끝내 못 앞서면 null)
+     */
+    paybackDistance: (inputs, switchProfile, keepProfile) => {
+        const diffAt = (distance, leftLimit) =>
+            Calculator.emissionsAt(inputs, switchProfile, distance, leftLimit) - Calculator.emissionsAt(inputs, keepProfile, distance, leftLimit);
+        const crossings = Calculator.findCrossings(diffAt, Calculator.breakpointsFor(inputs, switchProfile, keepProfile));
+        const endsAhead = (diffAt(0) > 0) === (crossings.length % 2 === 1);
+        if (!endsAhead) return null;
+        return crossings.length > 0 ? crossings[crossings.length - 1] : 0;
+    },
+    
+    /**
+     * 분석 실행
+     */
+    run: (results, settings) => {
+        const { inputs, derived, profiles } = results;
+        const { existing, replacement, odometer, remaining } = settings;
+        const { annualMileage } = inputs.grid;
+        const existingProfile = profiles[existing];
+        const { endOfLife } = Calculator.resolveVehicles(inputs, derived)[existing];
+        const chargedManufacturing = settings.manufacturing === 'amortized' ?
+            existingProfile.upfront * remaining / (odometer + remaining) : 0;
+        
+        // 기존 차량은 배터리 열화·교체 없이 지금부터의 거리로 계산
+        const keepExisting = {
+            ...existingProfile,
+            upfront: chargedManufacturing,
+            battery: null,
+            steps: endOfLife !== 0 ? [{ distance: remaining, amount: endOfLife, label: '폐차·재활용', phase: 'endOfLife' }] : []
+        };
+        // 남은 수명 R 이후에는 같은 차종 신차를 사서 계속 탐 (거리는 지금부터이므로 그 연차의 전력망을 쓰고,
+        // 신차의 배터리 열화·교체와 폐차 같은 단계 이벤트는 R만큼 뒤로 미룸, 기존 차량 구간은 열화 없음)
+        const keep = {
+            ...keepExisting,
+            battery: existingProfile.battery ? BatteryLife.shift(existingProfile.battery, remaining) : null,
+            steps: [
+                ...keepExisting.steps,
+                { distance: remaining, amount: existingProfile.upfront, label: '같은 차종 신차', phase: 'manufacturing' },
+                ...existingProfile.steps.map(step => ({ ...step, distance: remaining + step.distance }))
+            ]
+        };
+        const switchNow = {
+            ...profiles[replacement],
+            steps: settings.disposal === 'scrap' && endOfLife !== 0 ?
+                [{ distance: 0, amount: endOfLife, label: '기존 차량 폐차', phase: 'endOfLife' }, ...profiles[replacement].steps] :
+                profiles[replacement].steps
+        };
+        
+        const payback = Replacement.paybackDistance(inputs, switchNow, keep);
+        
+        // 수명이 다할 때 교체: 그 연차의 전력망에서 기존 차종 신차와 교체 차량 비교
+        const shiftYears = Math.floor(remaining / annualMileage);
+        const shifted = GridTrajectory.shift(inputs, shiftYears);
+        const laterPayback = Replacement.paybackDistance(shifted, profiles[replacement], existingProfile);
+        
+        const end = Math.max(remaining, payback ?? 0) * 1.2;
+        const distances = new Set(Array.from({ length: AUTO_RANGE_SAMPLES + 1 }, (_, k) => end * k / AUTO_RANGE_SAMPLES));
+        const breakpoints = Calculator.breakpointsFor(inputs, keep, switchNow).filter(point => point < end);
+        const points = [...distances].map(distance => ({ distance, leftLimit: false }))
+            .concat(breakpoints.flatMap(distance => [{ distance, leftLimit: true }, { distance, leftLimit: false }]))
+            .sort((a, b) => a.distance - b.distance || (b.leftLimit - a.leftLimit));
+        const rows = points.map(({ distance, leftLimit }) => ({
+            distance,
+            values: [keep, switchNow].map(profile => Calculator.emissionsAt(inputs, profile, distance, leftLimit))
+        }));
+        
+        const keepAtEnd = Calculator.emissionsAt(inputs, keepExisting, remaining);
+        const switchAtEnd = Calculator.emissionsAt(inputs, switchNow, remaining);
+        
+        return {
+            ...settings,
+            chargedManufacturing,
+            endOfLife,
+            payback: payback === null ? null : { distance: payback, years: payback / annualMileage },
+            keepAtEnd,
+            switchAtEnd,
+            savings: keepAtEnd - switchAtEnd,
+            later: {
+                year: inputs.grid.startYear + shiftYears,
+                payback: laterPayback === null ? null : {
+                    distance: laterPayback,
+                    years: laterPayback / annualMileage,
+                    yearsFromNow: (remaining + laterPayback) / annualMileage
+                }
+            },
+            rows
+        };
+    }
+};
+
+/**
+ * 시나리오 일괄 계산
+ * 
+ * CSV(머리글이 폼 필드 이름인 표) 또는 JSON(필드 이름을 키로 하는 객체 배열)의 각 행을 시나리오 하나로 보고
+ * 현재 폼 값 위에 덮어써 계산합니다 (빈 칸은 현재 값 사용). 행마다 검증 오류를 따로 기록하고 나머지 행은 계속 계산합니다.
+ */
+const ScenarioBatch = {
+    /**
+     * 시나리오 이름 열 (폼 필드가 아님)
+     */
+    NAME_FIELD: 'scenario',
+    
+    /**
+     * 따옴표로 감싼 필드를 지원하는 CSV 파서 (행 배열의 배열)
+     */
+    parseCSV: (text) => {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    },
+    
+    /**
+     * 파일 내용을 시나리오 목록({name, values})으로 변환
+     */
+    parseFile: (text, filename) => {
+        const content = text.replace(/^\uFEFF/, '');
+        let records;
+        
+        if (/\.json$/i.test(filename) || /^\s*[[{]/.test(content)) {
+            let data;
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                throw new Error(`JSON 파일을 읽을 수 없습니다: ${error.message}`);
+            }
+            records = Array.isArray(data) ? data : data.scenarios;
+            if (!Array.isArray(records)) {
+                throw new Error('JSON 파일은 시나리오 객체 배열이거나 {"scenarios": [...]} 형식이어야 합니다');
+            }
+        } else {
+            const [header, ...rows] = ScenarioBatch.parseCSV(content);
+            if (!header) {
+                throw new Error('CSV 파일이 비어있습니다');
+            }
+            const keys = header.map(key => key.trim());
+            records = rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ''])));
+        }
+        
+        if (records.length === 0) {
+            throw new Error('파일에 시나리오가 없습니다');
+        }
+        
+        return records.map((record, i) => {
+            const values = {};
+            Object.entries(record ?? {}).forEach(([key, value]) => {
+                if (key === ScenarioBatch.NAME_FIELD || value === null || value === undefined) return;
+                const text = Array.isArray(value) ? value.join(',') : String(value).trim();
+                if (text !== '') values[key] = text;
+            });
+            return { name: String(record?.[ScenarioBatch.NAME_FIELD] ?? '').trim() || `시나리오 ${i + 1}`, values };
+        });
+    },
+    
+    /**
+     * 시나리오 값을 기준 폼 값 위에 덮어쓴 FormData
+     * 
+     * 시나리오에 차량 필드(v1-*, ...)가 있으면 폼의 차량은 모두 버리고 시나리오 차량만 사용하며,
+     * 지역 프리셋(region)을 지정하면 프리셋 값을 먼저 채운 뒤 시나리오 값을 덮어씁니다.
+     */
+    toFormData: (baseFormData, values) => {
+        const hasVehicles = Object.keys(values).some(key => /^v\d+-/.test(key));
+        const formData = new FormData();
+        for (const [key, existing] of baseFormData.entries()) {
+            if (!(hasVehicles && /^v\d+-/.test(key))) {
+                formData.append(key, existing);
+            }
+        }
+        
+        const preset = RegionPresets.find(values.region);
+        if (preset) {
+            Object.entries(REGION_PRESET_FIELDS).forEach(([key, field]) => {
+                if (preset[key] !== undefined) formData.set(field, String(preset[key]));
+            });
+        }
+        Object.entries(values).forEach(([key, value]) => formData.set(key, value));
+        URLState.migrateLegacyParams(formData);
+        
+        return formData;
+    },
+    
+    /**
+     * 모든 시나리오 계산 (행마다 결과 또는 오류 메시지)
+     */
+    run: (baseFormData, scenarios) => scenarios.map(scenario => {
+        try {
+            const results = Calculator.calculate(InputParser.parseFormInputs(ScenarioBatch.toFormData(baseFormData, scenario.values)));
+            return { name: scenario.name, results, error: null };
+        } catch (error) {
+            return { name: scenario.name, results: null, error: error.message };
+        }
+    }),
+    
+    /**
+     * 요약 열 (차량 수가 가장 많은 시나리오 기준, 차량 번호로 맞춤)
+     * 
+     * 각 열의 value(entry)는 값이 없으면 null을 반환합니다.
+     */
+    summaryColumns: (entries) => {
+        const vehicleCount = Math.max(MIN_VEHICLES, ...entries.filter(entry => entry.results).map(entry => entry.results.inputs.vehicles.length));
+        const pairWithFirst = (results, n) => results.breakEvens.find(pair => pair.vehicles[0] === 0 && pair.vehicles[1] === n);
+        // 시나리오마다 거리 단위가 달라도 열 하나에는 첫 계산 결과의 단위를 사용
+        const units = { distanceUnit: entries.find(entry => entry.results)?.results.inputs.distanceUnit };
+        const columns = [];
+        
+        for (let n = 0; n < vehicleCount; n++) {
+            columns.push({
+                header: `차량 ${n + 1}`,
+                kind: 'text',
+                value: entry => entry.results?.inputs.vehicles[n]?.name ?? null
+            });
+        }
+        for (let n = 0; n < vehicleCount; n++) {
+            columns.push({
+                header: `k_${n + 1} (${Units.label(units, 'kgCO₂e/km')})`,
+                digits: 3,
+                value: entry => entry.results && n < entry.results.intensities.length ? Units.perDistance(units, entry.results.intensities[n]) : null
+            });
+        }
+        for (let n = 1; n < vehicleCount; n++) {
+            columns.push({
+                header: `ΔE_manuf (${n + 1} − 1) (kgCO₂e)`,
+                digits: 0,
+                kind: 'delta',
+                value: entry => entry.results && n < entry.results.upfront.length ? entry.results.upfront[n] - entry.results.upfront[0] : null
+            });
+        }
+        for (let n = 1; n < vehicleCount; n++) {
+            columns.push({
+                header: `d* (1 ↔ ${n + 1}) (${Units.distanceUnit(units).label})`,
+                kind: 'text',
+                value: entry => {
+                    const pair = entry.results && pairWithFirst(entry.results, n);
+                    if (!pair) return null;
+                    return pair.breakEven === null ? '없음' : Units.distance(units, pair.breakEven).toFixed(0);
+                }
+            });
+        }
+        
+        return columns;
+    }
+};
+
+/**
+ * 저장된 시나리오 라이브러리 (브라우저 localStorage)
+ * 
+ * 시나리오는 {id, name, savedAt, values} 형식이며, values는 공유 URL과 같은 폼 필드 이름 → 값 객체입니다.
+ * 빈 칸도 저장해 불러올 때 추정값 필드가 그대로 비워지게 합니다.
+ */
+const ScenarioLibrary = {
+    STORAGE_KEY: 'ice-vs-bev-scenarios',
+    
+    /**
+     * 저장된 시나리오 목록 (저장소를 읽을 수 없으면 빈 목록)
+     */
+    load: () => {
+        try {
+            const list = JSON.parse(window.localStorage.getItem(ScenarioLibrary.STORAGE_KEY) ?? '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (error) {
+            console.error('시나리오 라이브러리 읽기 오류:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * 시나리오 목록 저장
+     */
+    store: (list) => {
+        try {
+            window.localStorage.setItem(ScenarioLibrary.STORAGE_KEY, JSON.stringify(list));
+        } catch (error) {
+            throw new Error('브라우저 저장소에 시나리오를 저장할 수 없습니다 (저장 공간 부족 또는 사용 불가)');
+        }
+    },
+    
+    /**
+     * 새 시나리오 ID
+     */
+    createId: () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    
+    /**
+     * 폼 데이터를 저장용 값 객체로 변환
+     */
+    valuesFrom: (formData) => {
+        const values = {};
+        for (const [key, value] of formData.entries()) {
+            values[key] = value;
+        }
+        return values;
+    },
+    
+    /**
+     * 시나리오 이름 검증 (앞뒤 공백 제거)
+     */
+    parseName: (name) => {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) {
+            throw new Error('시나리오 이름을 입력해주세요');
+        }
+        return trimmed;
+    },
+    
+    find: (id) => ScenarioLibrary.load().find(scenario => scenario.id === id) ?? null,
+    
+    /**
+     * 현재 입력을 새 시나리오로 저장
+     */
+    save: (name, formData) => {
+        const scenario = {
+            id: ScenarioLibrary.createId(),
+            name: ScenarioLibrary.parseName(name),
+            savedAt: new Date().toISOString(),
+            values: ScenarioLibrary.valuesFrom(formData)
+        };
+        ScenarioLibrary.store([...ScenarioLibrary.load(), scenario]);
+        return scenario;
+    },
+    
+    rename: (id, name) => {
+        const newName = ScenarioLibrary.parseName(name);
+        ScenarioLibrary.store(ScenarioLibrary.load().map(scenario => scenario.id === id ? { ...scenario, name: newName } : scenario));
+    },
+    
+    /**
+     * 시나리오 복제 (원본 바로 뒤에 "(사본)"으로 추가)
+     */
+    duplicate: (id) => {
+        const list = ScenarioLibrary.load();
+        const index = list.findIndex(scenario => scenario.id === id);
+        if (index === -1) {
+            throw new Error('시나리오를 찾을 수 없습니다');
+        }
+        const copy = {
+            ...list[index],
+            id: ScenarioLibrary.createId(),
+            name: `${list[index].name} (사본)`,
+            savedAt: new Date().toISOString(),
+            values: { ...list[index].values }
+        };
+        list.splice(index + 1, 0, copy);
+        ScenarioLibrary.store(list);
+        return copy;
+    },
+    
+    remove: (id) => {
+        ScenarioLibrary.store(ScenarioLibrary.load().filter(scenario => scenario.id !== id));
+    },
+    
+    /**
+     * 라이브러리 JSON 파일 가져오기 (기존 목록 뒤에 추가, 겹치는 ID는 새로 발급)
+     * 
+     * 내보낸 형식({scenarios: [...]})과 시나리오 배열을 모두 받으며, 가져온 시나리오 수를 반환합니다.
+     */
+    importJSON: (text) => {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`JSON을 읽을 수 없습니다: ${error.message}`);
+        }
+        
+        const scenarios = Array.isArray(data) ? data : data?.scenarios;
+        if (!Array.isArray(scenarios)) {
+            throw new Error('시나리오 라이브러리 JSON은 배열이거나 scenarios 배열을 가진 객체여야 합니다');
+        }
+        
+        const list = ScenarioLibrary.load();
+        const ids = new Set(list.map(scenario => scenario.id));
+        scenarios.forEach((scenario, index) => {
+            if (!scenario || typeof scenario.values !== 'object' || scenario.values === null || Array.isArray(scenario.values)) {
+                throw new Error(`${index + 1}번째 시나리오에 values 객체가 없습니다`);
+            }
+        });
+        scenarios.forEach((scenario, index) => {
+            const values = {};
+            Object.entries(scenario.values).forEach(([key, value]) => {
+                values[key] = value === null || value === undefined ? '' : String(value);
+            });
+            const id = typeof scenario.id === 'string' && !ids.has(scenario.id) ? scenario.id : ScenarioLibrary.createId();
+            ids.add(id);
+            list.push({
+                id,
+                name: String(scenario.name ?? '').trim() || `가져온 시나리오 ${index + 1}`,
+                savedAt: scenario.savedAt ?? new Date().toISOString(),
+                values
+            });
+        });
+        
+        ScenarioLibrary.store(list);
+        return scenarios.length;
+    },
+    
+    /**
+     * 저장된 값으로 계산 ({name, results, error}, 일괄 계산 결과와 같은 형식)
+     */
+    calculate: (scenario) => {
+        try {
+            const formData = new FormData();
+            Object.entries(scenario.values).forEach(([key, value]) => formData.append(key, value));
+            URLState.migrateLegacyParams(formData);
+            return { name: scenario.name, results: Calculator.calculate(InputParser.parseFormInputs(formData)), error: null };
+        } catch (error) {
+            return { name: scenario.name, results: null, error: error.message };
+        }
+    },
+    
+    /**
+     * 폼 필드 이름의 표시 이름 (차량 필드는 "차량 n · 항목")
+     */
+    fieldLabel: (name) => {
+        const labelText = (label) => label ? label.textContent.trim().replace(/:$/, '') : null;
+        const match = /^v(\d+)-(.+)$/.exec(name);
+        if (match) {
+            const label = document.getElementById('vehicle-card-template').content.querySelector(`label[data-for="${match[2]}"]`);
+            return `차량 ${match[1]} · ${labelText(label) ?? match[2]}`;
+        }
+        return labelText(form.querySelector(`label[for="${name}"]`)) ?? name;
+    },
+    
+    /**
+     * 두 시나리오 비교 행 ({section, label, values: [a, b], changed}, 값이 없으면 null)
+     * 
+     * 입력은 두 시나리오의 모든 필드를, 결과는 요약 지표와 두 시나리오 거리 전체에서의 차량별 누적 배출량을 비교합니다.
+     */
+    diff: (a, b) => {
+        const rows = [];
+        const keys = [...new Set([...Object.keys(a.values), ...Object.keys(b.values)])];
+        keys.forEach(key => {
+            const values = [a.values[key] ?? null, b.values[key] ?? null];
+            rows.push({ section: '입력', label: ScenarioLibrary.fieldLabel(key), values, changed: values[0] !== values[1] });
+        });
+        
+        const entries = [a, b].map(ScenarioLibrary.calculate);
+        if (entries.some(entry => entry.error)) {
+            rows.push({ section: '결과', label: '계산 오류', values: entries.map(entry => entry.error), changed: true });
+        }
+        
+        const calculated = entries.filter(entry => entry.results);
+        const vehicleCount = Math.max(0, ...calculated.map(entry => entry.results.inputs.vehicles.length));
+        const distances = [...new Set(calculated.flatMap(entry => entry.results.inputs.distances))].sort((x, y) => x - y);
+        const columns = calculated.length > 0 ? ScenarioBatch.summaryColumns(entries) : [];
+        const units = calculated.length > 0 ? calculated[0].results.inputs : {};
+        distances.forEach(distance => {
+            for (let n = 0; n < vehicleCount; n++) {
+                columns.push({
+                    header: `E_${n + 1}(${Units.formatDistance(units, distance)}) (kgCO₂e)`,
+                    digits: 0,
+                    value: entry => entry.results && n < entry.results.profiles.length ?
+                        Calculator.emissionsAt(entry.results.inputs, entry.results.profiles[n], distance) : null
+                });
+            }
+        });
+        columns.forEach(column => {
+            const values = entries.map(entry => {
+                const value = column.value(entry);
+                return value === null ? null : ResultColumns.format(column, value);
+            });
+            rows.push({ section: '결과', label: column.header, values, changed: values[0] !== values[1] });
+        });
+        
+        return { names: [a.name, b.name], rows };
+    }
+};
+
+/**
+ * UI 렌더링 함수
+ */
+const UIRenderer = {
+    /**
+     * 검증 오류 표시
+     */
+    showError: (message) => {
+        // 기존 오류 메시지 제거
+        const existingErrors = document.querySelectorAll('.error-message');
+        existingErrors.forEach(el => el.remove());
+        
+        // 새 오류 메시지 생성
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.style.cssText = `
+            background: var(--danger-color);
+            color: white;
+            padding: var(--spacing-md);
+            border-radius: var(--border-radius-md);
+            margin-bottom: var(--spacing-md);
+            font-weight: 500;
+        `;
+        errorDiv.textContent = message;
+        
+        // 폼 상단에 삽입
+        form.insertBefore(errorDiv, form.firstChild);
+        
+        // 오류로 스크롤
+        errorDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+    
+    /**
+     * 지표 한 줄(라벨, 값, 단위) 요소 생성
+     */
+    createMetricValue: (label, value, unit = '') => {
+        const div = document.createElement('div');
+        div.className = 'metric-value';
+        
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'label';
+        labelSpan.textContent = `${label}:`;
+        
+        const valueSpan = document.createElement('span');
+        valueSpan.textContent = value;
+        
+        div.append(labelSpan, ' ', valueSpan);
+        if (unit) div.append(` ${unit}`);
+        
+        return div;
+    },
+    
+    /**
+     * 주요 지표 표시 업데이트
+     */
+    updateKeyMetrics: (results) => {
+        const { vehicles } = results.inputs;
+        
+        // α_grid가 연도별로 변하면 첫 해 기준, 주행 조건을 쓰면 가중 평균임을 표시
+        const kNotes = [
+            results.inputs.grid.mode !== 'constant' ? '첫 해' : null,
+            results.inputs.drivingCycle ? '주행 조건 가중' : null
+        ].filter(note => note !== null);
+        const kSuffix = kNotes.length > 0 ? ` (${kNotes.join(', ')})` : '';
+        const kContainer = document.getElementById('k-values');
+        kContainer.innerHTML = '';
+        vehicles.forEach((vehicle, i) => {
+            kContainer.appendChild(UIRenderer.createMetricValue(`k_${vehicle.name}${kSuffix}`, Units.perDistance(results.inputs, results.intensities[i]).toFixed(3), Units.label(results.inputs, 'kgCO₂e/km')));
+        });
+        
+        const deltaContainer = document.getElementById('delta-manuf-values');
+        deltaContainer.innerHTML = '';
+        vehicles.slice(1).forEach((vehicle, i) => {
+            const deltaManuf = results.upfront[i + 1] - results.upfront[0];
+            deltaContainer.appendChild(UIRenderer.createMetricValue(`ΔE_manuf (${vehicle.name} − ${vehicles[0].name})`, deltaManuf.toFixed(0), 'kgCO₂e'));
+        });
+        
+        // 결과에 따라 손익분기점 메시지 스타일링
+        const breakEvenContainer = document.getElementById('break-even-list');
+        breakEvenContainer.innerHTML = '';
+        results.breakEvens.forEach(pair => {
+            const [i, j] = pair.vehicles;
+            const item = UIRenderer.createMetricValue(`${vehicles[i].name} ↔ ${vehicles[j].name}`, pair.message);
+            item.lastChild.classList.add(pair.status === 'never' ? 'text-warning' : 'text-success');
+            breakEvenContainer.appendChild(item);
+        });
+        
+        UIRenderer.updateChargingBreakdown(results);
+        UIRenderer.updateCostMetrics(results);
+        UIRenderer.updateEnergyMetrics(results);
+    },
+    
+    /**
+     * 에너지 지표 표시 (km당 TTW·WTW 에너지, 에너지 손익분기점)
+     */
+    updateEnergyMetrics: (results) => {
+        const { inputs, energy } = results;
+        const container = document.getElementById('energy-values');
+        container.innerHTML = '';
+        
+        const { vehicles } = inputs;
+        const unit = Units.label(inputs, 'MJ/km');
+        vehicles.forEach((vehicle, i) => {
+            const { tankToWheel, wellToWheel } = energy.perKm[i];
+            container.appendChild(UIRenderer.createMetricValue(`${vehicle.name} TTW / WTW`,
+                `${Units.perDistance(inputs, tankToWheel).toFixed(2)} / ${Units.perDistance(inputs, wellToWheel).toFixed(2)}`, unit));
+        });
+        energy.breakEvens.forEach(pair => {
+            const [i, j] = pair.vehicles;
+            const item = UIRenderer.createMetricValue(`${vehicles[i].name} ↔ ${vehicles[j].name}`, pair.message);
+            item.lastChild.classList.add(pair.status === 'never' ? 'text-warning' : 'text-success');
+            container.appendChild(item);
+        });
+    },
+    
+    /**
+     * 총소유비용 지표 표시 (비용 손익분기점, 수명 시점 총비용, CO₂ 1톤 감축 비용)
+     */
+    updateCostMetrics: (results) => {
+        const { inputs, costs } = results;
+        const card = document.getElementById('cost-metric');
+        const container = document.getElementById('cost-values');
+        container.innerHTML = '';
+        card.classList.toggle('hidden', !costs);
+        if (!costs) return;
+        
+        const { vehicles } = inputs;
+        vehicles.forEach((vehicle, i) => {
+            container.appendChild(UIRenderer.createMetricValue(`TCO_${vehicle.name} (${Units.formatDistance(inputs, inputs.lifetime)})`, Math.round(costs.lifetimeCosts[i]).toLocaleString(), '원'));
+        });
+        costs.breakEvens.forEach(pair => {
+            const [i, j] = pair.vehicles;
+            const item = UIRenderer.createMetricValue(`${vehicles[i].name} ↔ ${vehicles[j].name}`, pair.message);
+            item.lastChild.classList.add(pair.status === 'never' ? 'text-warning' : 'text-success');
+            container.appendChild(item);
+        });
+        costs.abatement.forEach(pair => {
+            const [i, j] = pair.vehicles;
+            const value = pair.costPerTonne === null ?
+                '감축량 없음' :
+                `${Math.round(pair.costPerTonne).toLocaleString()} 원/tCO₂e (${vehicles[pair.lowEmission].name}, ${pair.avoided.toFixed(1)} t 감축)`;
+            container.appendChild(UIRenderer.createMetricValue(`감축 비용 ${vehicles[i].name} ↔ ${vehicles[j].name}`, value));
+        });
+    },
+    
+    /**
+     * 주행 조건별 km당 배출강도 표 업데이트 (주행 조건을 쓰지 않으면 숨김)
+     */
+    updateConditionTable: (results) => {
+        const container = document.getElementById('condition-intensities');
+        container.classList.toggle('hidden', !results.conditionIntensities);
+        if (!results.conditionIntensities) return;
+        
+        const headRow = document.querySelector('#condition-table thead tr');
+        headRow.innerHTML = '';
+        const { inputs } = results;
+        ['주행 조건', ...inputs.vehicles.map(vehicle => `k_${vehicle.name} (${Units.label(inputs, 'kgCO₂e/km')})`)].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        
+        const tbody = document.querySelector('#condition-table tbody');
+        tbody.innerHTML = '';
+        results.conditionIntensities.forEach(row => {
+            const tr = document.createElement('tr');
+            [row.label, ...row.intensities.map(k => Units.perDistance(inputs, k).toFixed(3))].forEach(cell => {
+                const td = document.createElement('td');
+                td.textContent = cell;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+    },
+    
+    /**
+     * 충전 프로필 배출계수 분해 표시 (주요 지표 옆)
+     */
+    updateChargingBreakdown: (results) => {
+        const { inputs, profiles } = results;
+        const card = document.getElementById('charging-metric');
+        const container = document.getElementById('charging-breakdown');
+        container.innerHTML = '';
+        card.classList.toggle('hidden', !inputs.charging);
+        if (!inputs.charging) return;
+        
+        const alphaGrid = GridTrajectory.intensityForYear(inputs, 0);
+        inputs.charging.locations.forEach(location => {
+            container.appendChild(UIRenderer.createMetricValue(
+                `${location.label} ${(location.share * 100).toFixed(0)}%`,
+                `${(alphaGrid * location.factor).toFixed(3)}`,
+                `kgCO₂e/kWh (시간대 ×${location.timeFactor.toFixed(2)}, 손실 ${(location.loss * 100).toFixed(1)}%)`
+            ));
+        });
+        container.appendChild(UIRenderer.createMetricValue('유효 α_grid', (alphaGrid * inputs.charging.factor).toFixed(3), `kgCO₂e/kWh (α_grid ${alphaGrid.toFixed(3)})`));
+        
+        // 충전 프로필 반영 전후 k 비교 (전력을 쓰는 차량만)
+        inputs.vehicles.forEach((vehicle, i) => {
+            const electricityPerKm = Calculator.electricityPerKmAt(inputs, profiles[i], 0);
+            if (electricityPerKm === 0) return;
+            const k = results.intensities[i];
+            const kFlat = k - electricityPerKm * alphaGrid * (inputs.charging.factor - 1) / (1 - inputs.gridLoss);
+            container.appendChild(UIRenderer.createMetricValue(
+                `k_${vehicle.name}`,
+                Units.perDistance(inputs, k).toFixed(3),
+                `${Units.label(inputs, 'kgCO₂e/km')} (α_grid만 사용 시 ${Units.perDistance(inputs, kFlat).toFixed(3)})`
+            ));
+        });
+    },
+    
+    /**
+     * 추정된 값 표시 업데이트
+     */
+    updateDerivedValues: (inputs, derived, profiles) => {
+        const container = document.getElementById('derived-values-content');
+        container.innerHTML = '';
+        
+        const derivedItems = [];
+        
+        inputs.vehicles.forEach((vehicle, i) => {
+            // 데이터베이스에서 불러온 값 (불러온 뒤 고치지 않은 값만)
+            const entry = vehicle.model ? VehicleDatabase.find(vehicle.model) : null;
+            const matchedKeys = VehicleDatabase.matchedKeys(vehicle);
+            if (matchedKeys.length > 0) {
+                const values = matchedKeys.map(key => {
+                    const field = Powertrains[vehicle.type].fields.find(f => f.key === key) || { label: '공차중량', unit: 'kg', digits: 0 };
+                    const { value, unit } = Units.vehicleField(inputs, vehicle, field, vehicle[key]);
+                    return `${field.label} ${value.toFixed(field.digits)} ${unit}`;
+                });
+                derivedItems.push(`${vehicle.name} 데이터베이스 (${VehicleDatabase.labelFor(entry)}): ${values.join(', ')}`);
+            }
+            
+            Powertrains[vehicle.type].fields.forEach(field => {
+                if (vehicle[field.key] === null) {
+                    const { value, unit } = Units.vehicleField(inputs, vehicle, field, derived[i][field.key]);
+                    derivedItems.push(`${vehicle.name} ${field.label}: ${value.toFixed(field.digits)} ${unit} (추정식)`);
+                }
+            });
+            
+            // 배터리 질량 (용량 / 팩 에너지 밀도)
+            if (vehicle.batterySpec) {
+                const chemistry = BatteryModel.chemistryOf(vehicle.batterySpec);
+                const mass = BatteryModel.massOf(vehicle.batteryCapacity ?? derived[i].batteryCapacity, vehicle.batterySpec);
+                derivedItems.push(`${vehicle.name} 배터리 질량: ${mass.toFixed(0)} kg (${chemistry.label}, 팩 ${chemistry.specificEnergy} Wh/kg)`);
+            }
+            
+            // SoH 기준 배터리 교체 시점
+            if (vehicle.battery && vehicle.battery.replacementMode === 'soh') {
+                const { replacementDistance } = profiles[i].battery;
+                derivedItems.push(replacementDistance !== null ?
+                    `${vehicle.name} 배터리 교체: ${Units.formatDistance(inputs, replacementDistance)} (SoH ${vehicle.battery.replacementSoh}% 도달)` :
+                    `${vehicle.name} 배터리 교체: 차량 수명 안에 SoH ${vehicle.battery.replacementSoh}%에 도달하지 않음`);
+            }
+        });
+        
+        if (derivedItems.length > 0) {
+            derivedItems.forEach(item => {
+                const span = document.createElement('span');
+                span.className = 'derived-value';
+                span.textContent = item;
+                container.appendChild(span);
+            });
+        } else {
+            container.innerHTML = '<p>추정하거나 데이터베이스에서 불러온 값 없음 (모든 입력값 직접 제공됨)</p>';
+        }
+    },
+    
+    /**
+     * 결과 표 업데이트
+     */
+    updateResultsTable: (results) => {
+        const columns = ResultColumns.build(results.inputs, results.results).filter(column => !column.csvOnly);
+        
+        const headRow = document.querySelector('#results-table thead tr');
+        headRow.innerHTML = '';
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.header;
+            headRow.appendChild(th);
+        });
+        
+        const tbody = document.querySelector('#results-table tbody');
+        tbody.innerHTML = '';
+        
+        results.results.forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(column => {
+                const value = column.value(row);
+                const td = document.createElement('td');
+                if (column.kind === 'delta' && value !== null) {
+                    td.className = value >= 0 ? 'text-danger' : 'text-success';
+                }
+                td.textContent = ResultColumns.format(column, value);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+    },
+    
+    /**
+     * 생애주기 단계별 배출량 표 업데이트 (거리 × 차량마다 한 행)
+     */
+    updatePhaseTable: (results) => {
+        const { vehicles } = results.inputs;
+        
+        const headRow = document.querySelector('#phase-table thead tr');
+        headRow.innerHTML = '';
+        [`거리 (${Units.distanceUnit(results.inputs).label})`, '차량', ...LIFECYCLE_PHASES.map(phase => `${phase.label} (kgCO₂e)`), '합계 (kgCO₂e)'].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        
+        const tbody = document.querySelector('#phase-table tbody');
+        tbody.innerHTML = '';
+        
+        results.results.filter(row => !row.leftLimit).forEach(row => {
+            vehicles.forEach((vehicle, i) => {
+                const cells = [
+                    i === 0 ? Units.distance(results.inputs, row.distance).toLocaleString() : '',
+                    vehicle.name,
+                    ...LIFECYCLE_PHASES.map(phase => row.phases[i][phase.key].toFixed(0)),
+                    row.emissions[i].toFixed(0)
+                ];
+                
+                const tr = document.createElement('tr');
+                cells.forEach(cell => {
+                    const td = document.createElement('td');
+                    td.textContent = cell;
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+        });
+    },
+    
+    /**
+     * 몬테카를로 결과 표 업데이트 (거리별 P5/P50/P95, 손익분기점 분포)
+     */
+    updateUncertaintyResults: (inputs, uncertainty) => {
+        const { vehicles } = inputs;
+        const fillTable = (table, headers, rows) => {
+            const headRow = table.querySelector('thead tr');
+            headRow.innerHTML = '';
+            headers.forEach(header => {
+                const th = document.createElement('th');
+                th.textContent = header;
+                headRow.appendChild(th);
+            });
+            
+            const tbody = table.querySelector('tbody');
+            tbody.innerHTML = '';
+            rows.forEach(cells => {
+                const tr = document.createElement('tr');
+                cells.forEach(cell => {
+                    const td = document.createElement('td');
+                    td.textContent = cell;
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+        };
+        const distanceLabel = Units.distanceUnit(inputs).label;
+        const formatDistance = (value) => value === null ? '—' : Units.distance(inputs, value).toFixed(0);
+        
+        fillTable(
+            document.getElementById('uncertainty-emissions-table'),
+            [`거리 (${distanceLabel})`, ...vehicles.flatMap(vehicle => ['P5', 'P50', 'P95'].map(p => `${vehicle.name} ${p} (kgCO₂e)`))],
+            uncertainty.emissions.map(point => [
+                Units.distance(inputs, point.distance).toLocaleString(),
+                ...point.vehicles.flatMap(band => [band.p5, band.p50, band.p95].map(value => value.toFixed(0)))
+            ])
+        );
+        
+        fillTable(
+            document.getElementById('uncertainty-break-even-table'),
+            ['차량 쌍', ...['P5', 'P50', 'P95'].map(p => `${p} (${distanceLabel})`), '손익분기점 없음'],
+            uncertainty.breakEvens.map(pair => [
+                `${vehicles[pair.vehicles[0]].name} ↔ ${vehicles[pair.vehicles[1]].name}`,
+                formatDistance(pair.p5),
+                formatDistance(pair.p50),
+                formatDistance(pair.p95),
+                `${(pair.noBreakEvenShare * 100).toFixed(1)}%`
+            ])
+        );
+        
+        const summary = `유효 표본 ${uncertainty.accepted.toLocaleString()} / ${uncertainty.iterations.toLocaleString()}회` +
+            (uncertainty.rejected > 0 ? ` (검증 실패로 제외 ${uncertainty.rejected.toLocaleString()}회)` : '') +
+            ' · 손익분기점 백분위수는 유한한 손익분기점이 있는 표본 기준';
+        document.getElementById('uncertainty-summary').textContent = summary;
+        document.getElementById('uncertainty-results').style.display = 'block';
+    },
+    
+    /**
+     * 민감도 분석 표 업데이트
+     */
+    updateSensitivityResults: (inputs, sensitivity) => {
+        const [a, b] = sensitivity.pair;
+        const distanceLabel = Units.distanceUnit(inputs).label;
+        const formatBreakEven = (value) => value === null ? '없음' : Units.distance(inputs, value).toFixed(0);
+        const formatInput = (value) => String(parseFloat(value.toPrecision(4)));
+        const formatOutcome = (outcome) => outcome.error ?
+            ['계산 불가', '계산 불가'] :
+            [formatBreakEven(outcome.breakEven), outcome.delta.toFixed(0)];
+        
+        const headRow = document.querySelector('#sensitivity-table thead tr');
+        headRow.innerHTML = '';
+        ['입력', '기준값', '하한', '상한', `손익분기점 @하한 (${distanceLabel})`, `손익분기점 @상한 (${distanceLabel})`,
+            'ΔE @하한 (kgCO₂e)', 'ΔE @상한 (kgCO₂e)'].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        
+        const tbody = document.querySelector('#sensitivity-table tbody');
+        tbody.innerHTML = '';
+        sensitivity.rows.forEach(row => {
+            const [breakEvenLow, deltaLow] = formatOutcome(row.atLow);
+            const [breakEvenHigh, deltaHigh] = formatOutcome(row.atHigh);
+            const cells = [row.label, formatInput(row.base), formatInput(row.low), formatInput(row.high),
+                breakEvenLow, breakEvenHigh, deltaLow, deltaHigh];
+            
+            const tr = document.createElement('tr');
+            cells.forEach(cell => {
+                const td = document.createElement('td');
+                td.textContent = cell;
+                tr.appendChild(td);
+            });
+            const error = row.atLow.error || row.atHigh.error;
+            if (error) tr.title = error;
+            tbody.appendChild(tr);
+        });
+        
+        document.getElementById('sensitivity-summary').textContent =
+            `${inputs.vehicles[a].name} ↔ ${inputs.vehicles[b].name} · 기준 손익분기점 ${formatBreakEven(sensitivity.base.breakEven)} ${distanceLabel} · ` +
+            `${Units.formatDistance(inputs, sensitivity.distance)}에서 ΔE (${inputs.vehicles[b].name} − ${inputs.vehicles[a].name}) ${sensitivity.base.delta.toFixed(0)} kgCO₂e`;
+        document.getElementById('sensitivity-container').style.display = 'block';
+    },
+    
+    /**
+     * 목표 탐색 결과 표시
+     */
+    updateGoalSeekResult: (inputs, goal, label) => {
+        const [a, b] = goal.pair;
+        const formatInput = (value) => String(parseFloat(value.toPrecision(6)));
+        const targetText = goal.metric === 'delta' ?
+            `${Units.formatDistance(inputs, goal.distance)}에서 ΔE (${inputs.vehicles[b].name} − ${inputs.vehicles[a].name}) = ${goal.target.toLocaleString()} kgCO₂e` :
+            `${inputs.vehicles[a].name} ↔ ${inputs.vehicles[b].name} 손익분기점 = ${Units.formatDistance(inputs, goal.target)}`;
+        
+        const container = document.getElementById('goal-seek-values');
+        container.innerHTML = '';
+        container.appendChild(UIRenderer.createMetricValue('목표', targetText));
+        
+        if (goal.value === null) {
+            const unit = goal.metric === 'delta' ? 'kgCO₂e' : Units.distanceUnit(inputs).label;
+            const display = (value) => goal.metric === 'delta' ? value : Units.distance(inputs, value);
+            const achieved = goal.achievedRange ?
+                ` (${goal.metric === 'delta' ? 'ΔE' : '손익분기점'} 범위: ${goal.achievedRange.map(value => display(value).toFixed(0)).join(' ~ ')} ${unit})` :
+                '';
+            const item = UIRenderer.createMetricValue(label, `탐색 범위 ${goal.range.map(formatInput).join(' ~ ')}에서 해 없음${achieved}`);
+            item.lastChild.classList.add('text-warning');
+            container.appendChild(item);
+        } else {
+            const item = UIRenderer.createMetricValue(label, formatInput(goal.value));
+            item.lastChild.classList.add('text-success');
+            container.appendChild(item);
+            if (goal.base !== null) {
+                container.appendChild(UIRenderer.createMetricValue('현재 값', formatInput(goal.base)));
+            }
+            if (goal.alternatives.length > 0) {
+                container.appendChild(UIRenderer.createMetricValue('다른 해', goal.alternatives.map(formatInput).join(', ')));
+            }
+        }
+        
+        document.getElementById('goal-seek-metric').classList.remove('hidden');
+    },
+    
+    /**
+     * 차량군 분석 결과 표시 (요약, 연도별 표)
+     */
+    updateFleetResults: (fleet) => {
+        const last = fleet.rows[fleet.rows.length - 1];
+        const toTonnes = (value) => (value / 1000).toFixed(1);
+        let payback = `${fleet.paybackYear}년에 전환의 제조 배출 회수`;
+        if (fleet.paybackYear === null) {
+            payback = '분석 기간 안에 제조 배출을 회수하지 못함';
+        } else if (fleet.paybackYear === fleet.rows[0].year) {
+            payback = '첫해부터 누적 절감';
+        }
+        document.getElementById('fleet-summary').textContent =
+            `${fleet.groups.length}개 그룹 ${fleet.vehicleCount.toLocaleString()}대 · ${fleet.rows[0].year}–${last.year}년 누적 절감 ${toTonnes(last.cumulativeSavings)} tCO₂e · ${payback}`;
+        
+        const headRow = document.querySelector('#fleet-table thead tr');
+        headRow.innerHTML = '';
+        ['연도', 'ICE 유지 (tCO₂e)', '전환 계획 (tCO₂e)', '전환 차량 수', '연간 절감 (tCO₂e)', '누적 절감 (tCO₂e)'].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        
+        const tbody = document.querySelector('#fleet-table tbody');
+        tbody.innerHTML = '';
+        fleet.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            [row.year, toTonnes(row.keepIce), toTonnes(row.transition), row.electrified.toLocaleString(),
+                toTonnes(row.savings), toTonnes(row.cumulativeSavings)].forEach(cell => {
+                const td = document.createElement('td');
+                td.textContent = cell;
+                tr.appendChild(td);
+            });
+            if (row.year === fleet.paybackYear) tr.classList.add('highlight-row');
+            tbody.appendChild(tr);
+        });
+        
+        document.getElementById('fleet-results').style.display = 'block';
+    },
+    
+    /**
+     * 유지 vs 교체 요약 (탄소 회수 거리·기간과 남은 수명 동안의 배출량 차이)
+     */
+    updateReplacementResults: (inputs, replacement) => {
+        const { vehicles } = inputs;
+        const existingName = vehicles[replacement.existing].name;
+        const replacementName = vehicles[replacement.replacement].name;
+        const formatPayback = ({ distance, years }) => `${Units.formatDistance(inputs, distance)} (약 ${years.toFixed(1)}년)`;
+        
+        let now = `지금 ${replacementName}(으)로 교체: ${existingName}을(를) 계속 타는 것보다 배출량이 줄지 않음`;
+        if (replacement.payback) {
+            now = replacement.payback.distance === 0 ?
+                `지금 ${replacementName}(으)로 교체: 처음부터 배출량이 더 적음` :
+                `지금 ${replacementName}(으)로 교체: ${formatPayback(replacement.payback)} 뒤 탄소 회수`;
+            if (replacement.payback.distance > replacement.remaining) {
+                now += ` - 기존 차량의 남은 수명(${Units.formatDistance(inputs, replacement.remaining)})보다 길어, 그 뒤는 새 ${existingName}을(를) 탈 때와 비교`;
+            }
+        }
+        
+        const delta = replacement.savings;
+        const later = replacement.later.payback ?
+            `수명이 다할 때(${replacement.later.year}년경) 교체: 새 ${existingName}보다 ${formatPayback(replacement.later.payback)} 뒤 탄소 회수 (지금부터 약 ${replacement.later.payback.yearsFromNow.toFixed(1)}년)` :
+            `수명이 다할 때(${replacement.later.year}년경) 교체: 새 ${existingName}보다 배출량이 줄지 않음`;
+        const manufacturing = replacement.manufacturing === 'amortized' ?
+            `기존 차량 제조 배출 중 남은 수명 몫 ${replacement.chargedManufacturing.toFixed(0)} kgCO₂e를 계속 타는 쪽에 배분` :
+            '기존 차량 제조 배출은 매몰 처리 (비교에서 제외)';
+        const disposal = replacement.disposal === 'scrap' ?
+            `지금 폐차하면 폐차·재활용 ${replacement.endOfLife.toFixed(0)} kgCO₂e를 교체 쪽에 바로 반영` :
+            '기존 차량은 판매 (폐차 배출은 다음 소유자 몫)';
+        
+        const list = document.getElementById('replacement-summary');
+        list.innerHTML = '';
+        [
+            now,
+            `남은 수명 ${Units.formatDistance(inputs, replacement.remaining)} 동안: 계속 타기 ${replacement.keepAtEnd.toFixed(0)} kgCO₂e, 지금 교체 ${replacement.switchAtEnd.toFixed(0)} kgCO₂e (지금 교체 시 ${delta >= 0 ? `${delta.toFixed(0)} kgCO₂e 절감` : `${(-delta).toFixed(0)} kgCO₂e 증가`})`,
+            later,
+            `${manufacturing} · ${disposal}`
+        ].forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        
+        document.getElementById('replacement-results').style.display = 'block';
+    },
+    
+    /**
+     * 시나리오 일괄 계산 요약 표 (오류 행은 오류 메시지 표시)
+     */
+    updateBatchResults: (entries) => {
+        const columns = ScenarioBatch.summaryColumns(entries);
+        
+        const headRow = document.querySelector('#batch-table thead tr');
+        headRow.innerHTML = '';
+        ['시나리오', ...columns.map(column => column.header)].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        
+        const tbody = document.querySelector('#batch-table tbody');
+        tbody.innerHTML = '';
+        entries.forEach(entry => {
+            const tr = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.textContent = entry.name;
+            tr.appendChild(nameCell);
+            
+            if (entry.error) {
+                const errorCell = document.createElement('td');
+                errorCell.colSpan = columns.length;
+                errorCell.className = 'text-warning';
+                errorCell.textContent = entry.error;
+                tr.appendChild(errorCell);
+            } else {
+                columns.forEach(column => {
+                    const td = document.createElement('td');
+                    td.textContent = ResultColumns.format(column, column.value(entry));
+                    tr.appendChild(td);
+                });
+            }
+            tbody.appendChild(tr);
+        });
+        
+        const failed = entries.filter(entry => entry.error).length;
+        document.getElementById('batch-summary').textContent =
+            `시나리오 ${entries.length}개 중 ${entries.length - failed}개 계산 완료` + (failed > 0 ? `, ${failed}개 검증 오류` : '');
+        document.getElementById('batch-results').style.display = 'block';
+    },
+    
+    /**
+     * 저장된 시나리오 목록 표시 (비교용 선택 상태 유지)
+     */
+    updateLibraryList: (list, selectedIds = new Set()) => {
+        const listElement = document.getElementById('library-list');
+        listElement.innerHTML = '';
+        list.forEach(scenario => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            item.dataset.id = scenario.id;
+            
+            const select = document.createElement('input');
+            select.type = 'checkbox';
+            select.dataset.field = 'select';
+            select.checked = selectedIds.has(scenario.id);
+            select.setAttribute('aria-label', '비교할 시나리오 선택');
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.dataset.field = 'name';
+            name.defaultValue = scenario.name;
+            name.setAttribute('aria-label', '시나리오 이름 (수정하면 이름 바꾸기)');
+            
+            const savedAt = document.createElement('small');
+            savedAt.textContent = new Date(scenario.savedAt).toLocaleString();
+            
+            const actions = document.createElement('div');
+            actions.className = 'analysis-actions';
+            [['load', '불러오기'], ['duplicate', '복제'], ['delete', '삭제']].forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-secondary';
+                button.dataset.action = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            });
+            
+            item.append(select, name, savedAt, actions);
+            listElement.appendChild(item);
+        });
+        document.getElementById('library-empty').classList.toggle('hidden', list.length > 0);
+    },
+    
+    /**
+     * 두 시나리오 비교 표 표시 (바뀐 값은 강조)
+     */
+    updateLibraryDiff: (diff) => {
+        const headRow = document.querySelector('#library-diff-table thead tr');
+        headRow.innerHTML = '';
+        ['항목', ...diff.names].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        
+        const tbody = document.querySelector('#library-diff-table tbody');
+        tbody.innerHTML = '';
+        let section = null;
+        diff.rows.forEach(row => {
+            if (row.section !== section) {
+                section = row.section;
+                const sectionRow = document.createElement('tr');
+                sectionRow.className = 'section-row';
+                const th = document.createElement('th');
+                th.colSpan = 3;
+                th.textContent = section;
+                sectionRow.appendChild(th);
+                tbody.appendChild(sectionRow);
+            }
+            
+            const tr = document.createElement('tr');
+            tr.classList.toggle('changed-row', row.changed);
+            [row.label, ...row.values.map(value => value === null ? '-' : value === '' ? '(빈 칸)' : value)].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        
+        const changed = diff.rows.filter(row => row.changed).length;
+        document.getElementById('library-diff-title').textContent = `${diff.names[0]} ↔ ${diff.names[1]} (바뀐 항목 ${changed}개)`;
+        document.getElementById('library-diff').classList.remove('hidden');
+    },
+    
+    /**
+     * 결과 섹션 표시
+     */
+    showResults: () => {
+        resultsSection.style.display = 'block';
+        resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+};
+
+/**
+ * Canvas 2D를 사용한 차트 렌더링
+ */
+const ChartRenderer = {
+    /**
+     * 차트 초기화
+     */
+    init: () => {
+        const ctx = canvas.getContext('2d');
+        chart = { ctx, canvas, width: canvas.width, height: canvas.height };
+        
+        canvas.addEventListener('mousedown', ChartRenderer.handleMouseDown);
+        canvas.addEventListener('mousemove', ChartRenderer.handleMouseMove);
+        canvas.addEventListener('mouseleave', () => {
+            chartView.hover = null;
+            ChartRenderer.redraw();
+        });
+        canvas.addEventListener('dblclick', () => {
+            chartView.xRange = null;
+            ChartRenderer.redraw();
+        });
+        canvas.addEventListener('click', ChartRenderer.handleLegendClick);
+        window.addEventListener('mouseup', ChartRenderer.handleMouseUp);
+        
+        // 컨테이너 너비에 맞춰 다시 그림
+        if (window.ResizeObserver) {
+            new ResizeObserver(ChartRenderer.resize).observe(canvas.parentElement);
+        } else {
+            window.addEventListener('resize', ChartRenderer.resize);
+        }
+        ChartRenderer.resize();
+    },
+    
+    /**
+     * 캔버스를 표시 너비와 기기 픽셀 비율에 맞춤 (좌표는 CSS 픽셀 기준)
+     */
+    resize: () => {
+        const cssWidth = Math.round(canvas.clientWidth) || 800;
+        const cssHeight = Math.round(Math.min(Math.max(cssWidth * 0.5, 280), 480));
+        const ratio = window.devicePixelRatio || 1;
+        if (cssWidth === chart.width && cssHeight === chart.height && canvas.width === Math.round(cssWidth * ratio)) return;
+        
+        canvas.width = Math.round(cssWidth * ratio);
+        canvas.height = Math.round(cssHeight * ratio);
+        canvas.style.height = `${cssHeight}px`;
+        chart.width = cssWidth;
+        chart.height = cssHeight;
+        chart.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ChartRenderer.redraw();
+    },
+    
+    /**
+     * 차량 순서에 해당하는 시리즈 색상
+     */
+    colorFor: (index) => SERIES_COLORS[index % SERIES_COLORS.length],
+    
+    /**
+     * 캔버스 지우기
+     */
+    clear: () => {
+        chartView.results = null;
+        chart.ctx.clearRect(0, 0, chart.width, chart.height);
+    },
+    
+    /**
+     * 계산 결과를 배출량 차트에 표시 (새 결과면 확대와 마우스 상태 초기화)
+     */
+    render: (results, uncertainty = null) => {
+        if (chartView.results !== results) {
+            const vehicleCount = chartView.results ? chartView.results.inputs.vehicles.length : 0;
+            if (vehicleCount !== results.inputs.vehicles.length) chartView.hidden.clear();
+            chartView.xRange = null;
+            chartView.hover = null;
+            chartView.drag = null;
+        }
+        chartView.results = results;
+        chartView.uncertainty = uncertainty;
+        ChartRenderer.redraw();
+    },
+    
+    /**
+     * 현재 보기 상태로 다시 그리기
+     * 
+     * 화면 차트에는 드래그 선택 영역과 십자선 툴팁을 덧그리고, 다른 target(SVG 등)에는 차트만 그립니다.
+     */
+    redraw: (target = chart) => {
+        const { results } = chartView;
+        if (!results) return;
+        
+        const layout = ChartRenderer.draw(results.curve ?? results.results, results.breakEvens, results.inputs.vehicles, chartView.uncertainty, target, {
+            xRange: chartView.xRange,
+            hidden: chartView.hidden,
+            markers: results.results,
+            distanceUnit: Units.distanceUnit(results.inputs)
+        });
+        if (target !== chart) return;
+        
+        chartView.layout = layout;
+        const { ctx } = chart;
+        const { drag, hover } = chartView;
+        if (drag && !drag.pan) {
+            ctx.fillStyle = 'rgba(13, 110, 253, 0.12)';
+            ctx.fillRect(Math.min(drag.startX, drag.currentX), layout.top, Math.abs(drag.currentX - drag.startX), layout.bottom - layout.top);
+        }
+        if (hover !== null && !drag) {
+            ChartRenderer.drawCrosshair(layout, hover);
+        }
+    },
+    
+    /**
+     * 커서 거리의 십자선과 정확한 누적 배출량·차이 툴팁
+     */
+    drawCrosshair: (layout, distance) => {
+        const { ctx } = chart;
+        const { inputs, profiles } = chartView.results;
+        const { vehicles } = inputs;
+        const visible = vehicles.map((vehicle, i) => !chartView.hidden.has(i));
+        const emissions = profiles.map(profile => Calculator.emissionsAt(inputs, profile, distance));
+        const x = layout.scaleX(distance);
+        
+        ctx.strokeStyle = '#6c757d';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, layout.top);
+        ctx.lineTo(x, layout.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        emissions.forEach((emission, i) => {
+            if (!visible[i]) return;
+            ctx.fillStyle = ChartRenderer.colorFor(i);
+            ctx.beginPath();
+            ctx.arc(x, layout.scaleY(emission), 5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        
+        const lines = [`${Math.round(Units.distance(inputs, distance)).toLocaleString()} ${Units.distanceUnit(inputs).label}`];
+        vehicles.forEach((vehicle, i) => {
+            if (visible[i]) lines.push(`E_${vehicle.name}: ${emissions[i].toFixed(0)} kgCO₂e`);
+        });
+        vehicles.slice(1).forEach((vehicle, i) => {
+            if (!visible[0] || !visible[i + 1]) return;
+            const delta = emissions[i + 1] - emissions[0];
+            lines.push(`Δ (${vehicle.name} − ${vehicles[0].name}): ${delta >= 0 ? '+' : ''}${delta.toFixed(0)} kgCO₂e`);
+        });
+        
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        const lineHeight = 16;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const boxHeight = lines.length * lineHeight + 8;
+        const boxX = x + 12 + boxWidth > layout.right ? x - 12 - boxWidth : x + 12;
+        const boxY = layout.top + 8;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.strokeStyle = '#adb5bd';
+        ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.fillStyle = '#212529';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 8, boxY + 16 + i * lineHeight));
+    },
+    
+    /**
+     * 마우스 위치를 차트 좌표(CSS 픽셀)로 변환
+     */
+    pointerPosition: (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const scale = rect.width > 0 ? chart.width / rect.width : 1;
+        return { x: (event.clientX - rect.left) * scale, y: (event.clientY - rect.top) * scale };
+    },
+    
+    /**
+     * 그림 영역에서 드래그 시작 (Shift를 누르면 이동, 아니면 확대 범위 선택)
+     */
+    handleMouseDown: (event) => {
+        const { layout } = chartView;
+        if (!layout) return;
+        const { x, y } = ChartRenderer.pointerPosition(event);
+        if (x < layout.left || x > layout.right || y < layout.top || y > layout.bottom) return;
+        
+        event.preventDefault();
+        chartView.drag = { startX: x, currentX: x, pan: event.shiftKey, startRange: layout.xRange };
+    },
+    
+    /**
+     * 마우스 이동: 십자선 위치 갱신, 드래그 중이면 선택 영역 또는 이동
+     */
+    handleMouseMove: (event) => {
+        const { layout, drag } = chartView;
+        if (!layout) return;
+        const { x } = ChartRenderer.pointerPosition(event);
+        
+        if (drag) {
+            drag.currentX = x;
+            if (drag.pan) {
+                const [start, end] = drag.startRange;
+                const shift = (drag.startX - x) / (layout.right - layout.left) * (end - start);
+                chartView.xRange = [start + shift, end + shift];
+            }
+        }
+        chartView.hover = x >= layout.left && x <= layout.right ? layout.invertX(x) : null;
+        ChartRenderer.redraw();
+    },
+    
+    /**
+     * 드래그 끝: 충분히 넓게 선택했으면 그 거리 범위로 확대
+     */
+    handleMouseUp: () => {
+        const { layout, drag } = chartView;
+        if (!drag) return;
+        
+        chartView.drag = null;
+        if (!drag.pan && Math.abs(drag.currentX - drag.startX) > 5) {
+            chartView.xRange = [drag.startX, drag.currentX].map(layout.invertX).sort((a, b) => a - b);
+        }
+        ChartRenderer.redraw();
+    },
+    
+    /**
+     * 범례 항목을 누르면 해당 차량 선 표시/숨김
+     */
+    handleLegendClick: (event) => {
+        const { layout } = chartView;
+        if (!layout) return;
+        const { x, y } = ChartRenderer.pointerPosition(event);
+        const item = layout.legend.find(entry => x >= entry.x && x <= entry.x + entry.width && y >= entry.y && y <= entry.y + entry.height);
+        if (!item) return;
+        
+        if (chartView.hidden.has(item.index)) {
+            chartView.hidden.delete(item.index);
+        } else {
+            chartView.hidden.add(item.index);
+        }
+        ChartRenderer.redraw();
+    },
+    
+    /**
+     * 1·2·5 × 10^n 간격의 보기 좋은 눈금 (약 count개)
+     */
+    niceTicks: (min, max, count = 6) => {
+        const range = max - min;
+        if (!(range > 0)) return [min];
+        
+        const rough = range / Math.max(count - 1, 1);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= rough);
+        
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            ticks.push(parseFloat(value.toPrecision(12)));
+        }
+        return ticks;
+    },
+    
+    /**
+     * 배출량 데이터로 차트 그리기
+     * 
+     * uncertainty(몬테카를로 결과)가 있으면 차량별 P5–P95 구간을 반투명 띠로 그립니다.
+     * target을 넘기면 화면 차트 대신 그 컨텍스트에 그립니다 (SVG 내보내기 등).
+     * view로 확대 범위(xRange), 숨길 차량(hidden), 점을 찍을 행(markers), 거리 표시 단위(distanceUnit)를 넘길 수 있으며,
+     * 그림 영역 배치를 반환합니다.
+     */
+    draw: (results, breakEvens, vehicles, uncertainty = null, target = chart, view = {}) => {
+        return ChartRenderer.drawLineChart(target, results, {
+            ...view,
+            vehicles,
+            values: row => row.emissions,
+            breakEvens,
+            bands: uncertainty ? uncertainty.emissions.map(point => ({
+                distance: point.distance,
+                ranges: point.vehicles.map(band => [band.p5, band.p95])
+            })) : null,
+            yLabel: '누적 CO₂ 배출량 (kgCO₂e)',
+            breakEvenLabel: '손익분기점'
+        });
+    },
+    
+    /**
+     * 손익분기점 히트맵 그리기 (손익분기점이 없는 칸은 회색 빗금)
+     */
+    drawHeatmap: (heatmap, labels) => {
+        const ctx = heatmapCanvas.getContext('2d');
+        const padding = { top: 50, right: 110, bottom: 60, left: 90 };
+        const width = heatmapCanvas.width - padding.left - padding.right;
+        const height = heatmapCanvas.height - padding.top - padding.bottom;
+        const { values: xValues } = heatmap.x;
+        const { values: yValues } = heatmap.y;
+        const cellWidth = width / xValues.length;
+        const cellHeight = height / yValues.length;
+        
+        const finite = heatmap.cells.flat().filter(value => value !== null && value !== undefined);
+        const min = finite.length > 0 ? Math.min(...finite) : 0;
+        const max = finite.length > 0 ? Math.max(...finite) : 1;
+        
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, heatmapCanvas.width, heatmapCanvas.height);
+        
+        // 칸 (Y축은 아래에서 위로 증가)
+        const drawNever = (left, top, w, h) => {
+            ctx.fillStyle = '#ccc';
+            ctx.fillRect(left, top, w, h);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, top, w, h);
+            ctx.clip();
+            ctx.strokeStyle = '#888';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let offset = -h; offset < w; offset += 6) {
+                ctx.moveTo(left + offset, top + h);
+                ctx.lineTo(left + offset + h, top);
+            }
+            ctx.stroke();
+            ctx.restore();
+        };
+        heatmap.cells.forEach((row, yi) => {
+            row.forEach((value, xi) => {
+                const left = padding.left + xi * cellWidth;
+                const top = padding.top + (yValues.length - 1 - yi) * cellHeight;
+                if (value === undefined) return;
+                if (value === null) {
+                    drawNever(left, top, cellWidth + 0.5, cellHeight + 0.5);
+                } else {
+                    ctx.fillStyle = Heatmap.colorFor(value, min, max);
+                    ctx.fillRect(left, top, cellWidth + 0.5, cellHeight + 0.5);
+                }
+            });
+        });
+        
+        // 축 눈금 (양 끝과 가운데)
+        const formatTick = (value) => String(parseFloat(value.toPrecision(3)));
+        const tickIndices = (count) => [...new Set([0, Math.floor((count - 1) / 2), count - 1])];
+        ctx.fillStyle = '#333';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        tickIndices(xValues.length).forEach(i => {
+            ctx.fillText(formatTick(xValues[i]), padding.left + (i + 0.5) * cellWidth, padding.top + height + 16);
+        });
+        ctx.textAlign = 'right';
+        tickIndices(yValues.length).forEach(i => {
+            ctx.fillText(formatTick(yValues[i]), padding.left - 6, padding.top + (yValues.length - 0.5 - i) * cellHeight + 4);
+        });
+        
+        // 축 라벨과 제목
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(labels.x, padding.left + width / 2, padding.top + height + 40);
+        ctx.save();
+        ctx.translate(20, padding.top + height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(labels.y, 0, 0);
+        ctx.restore();
+        ctx.font = '13px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(labels.title, padding.left, 24);
+        
+        // 색 범례와 "손익분기 없음" 범례
+        const legendLeft = padding.left + width + 20;
+        const legendWidth = 16;
+        for (let i = 0; i < height; i++) {
+            ctx.fillStyle = Heatmap.colorFor(max - (max - min) * i / height, min, max);
+            ctx.fillRect(legendLeft, padding.top + i, legendWidth, 1);
+        }
+        ctx.fillStyle = '#333';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(Units.formatDistance(heatmap, max), legendLeft + legendWidth + 4, padding.top + 8);
+        ctx.fillText(Units.formatDistance(heatmap, min), legendLeft + legendWidth + 4, padding.top + height);
+        if (finite.length < heatmap.cells.flat().length) {
+            drawNever(legendLeft, padding.top + height + 20, legendWidth, 12);
+            ctx.fillStyle = '#333';
+            ctx.fillText('없음', legendLeft + legendWidth + 4, padding.top + height + 30);
+        }
+    },
+    
+    /**
+     * 연도별 차량군 배출량 차트 그리기 (ICE 유지 vs 전환 계획, tCO₂e)
+     */
+    drawFleet: (fleet) => {
+        const rows = fleet.rows.map(row => ({ distance: row.year, values: [row.keepIce / 1000, row.transition / 1000] }));
+        ChartRenderer.drawLineChart({ ctx: fleetCanvas.getContext('2d'), canvas: fleetCanvas }, rows, {
+            vehicles: [{ name: 'ICE 유지' }, { name: '전환 계획' }],
+            values: row => row.values,
+            breakEvens: [],
+            yLabel: '연간 차량군 배출량 (tCO₂e)',
+            xLabel: '연도',
+            formatX: String
+        });
+    },
+    
+    /**
+     * 유지 vs 지금 교체 누적 배출량 차트 (X축은 지금부터의 주행거리)
+     */
+    drawReplacement: (replacement, vehicles, distanceUnit = Units.DISTANCE.km) => {
+        const payback = replacement.payback && replacement.payback.distance > 0 ? replacement.payback.distance : null;
+        ChartRenderer.drawLineChart({ ctx: replacementCanvas.getContext('2d'), canvas: replacementCanvas }, replacement.rows, {
+            vehicles: [
+                { name: `계속 타기 (${vehicles[replacement.existing].name}, 수명 뒤 같은 차종 신차)` },
+                { name: `지금 교체 (${vehicles[replacement.replacement].name})` }
+            ],
+            values: row => row.values,
+            markers: [],
+            breakEvens: [{ vehicles: [0, 1], breakEven: payback }],
+            yLabel: '지금부터의 누적 CO₂ 배출량 (kgCO₂e)',
+            breakEvenLabel: '탄소 회수',
+            xLabel: `지금부터의 주행거리 (${distanceUnit.label})`,
+            distanceUnit
+        });
+    },
+    
+    /**
+     * 누적 비용 차트 그리기 (만원 단위)
+     */
+    drawCost: (results, costBreakEvens, vehicles, markers = results, distanceUnit = Units.DISTANCE.km) => {
+        ChartRenderer.drawLineChart({ ctx: costCanvas.getContext('2d'), canvas: costCanvas }, results, {
+            vehicles,
+            markers,
+            distanceUnit,
+            values: row => row.costs.map(cost => cost / 10000),
+            breakEvens: costBreakEvens,
+            yLabel: '누적 비용 (만원)',
+            breakEvenLabel: '비용 손익분기점'
+        });
+    },
+    
+    /**
+     * 누적 에너지(CED) 차트 그리기 (GJ 단위)
+     */
+    drawEnergy: (results, energyBreakEvens, vehicles, markers = results, distanceUnit = Units.DISTANCE.km) => {
+        ChartRenderer.drawLineChart({ ctx: energyCanvas.getContext('2d'), canvas: energyCanvas }, results, {
+            vehicles,
+            markers,
+            distanceUnit,
+            values: row => row.energy.map(energy => energy.cumulative / 1000),
+            breakEvens: energyBreakEvens,
+            yLabel: '누적 에너지 (GJ, 제조 + WTW)',
+            breakEvenLabel: '에너지 손익분기점'
+        });
+    },
+    
+    /**
+     * 거리별 차량 누적 값 선 차트 (배출량, 비용 등)
+     * 
+     * target.width/height가 있으면 그 논리 크기(CSS 픽셀)로 배치합니다 (고해상도 캔버스, SVG).
+     * xRange를 주면 그 X 범위만 그리고, hidden에 든 차량 번호는 선·띠·손익분기점을 그리지 않습니다.
+     * 데이터 점은 markers 행에만 찍습니다 (자동 범위의 촘촘한 곡선 위에 입력 거리만 표시).
+     * 행의 거리는 km이며, 눈금과 손익분기점 라벨은 distanceUnit으로 환산해 표시합니다.
+     * 마우스 좌표 변환과 범례 클릭에 쓸 배치 정보를 반환합니다.
+     */
+    drawLineChart: (target, results, { vehicles, values, breakEvens, bands = null, yLabel, breakEvenLabel, distanceUnit = Units.DISTANCE.km, xLabel = `거리 (${distanceUnit.label})`, formatX = value => value.toLocaleString(), xRange = null, hidden = new Set(), markers = results }) => {
+        const { ctx, canvas } = target;
+        const width = target.width ?? canvas.width;
+        const height = target.height ?? canvas.height;
+        const padding = 60;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+        const visible = vehicles.map((vehicle, i) => !hidden.has(i));
+        
+        // 캔버스 지우기
+        ctx.clearRect(0, 0, width, height);
+        
+        // X 범위 (확대했으면 그 범위, 아니면 데이터 범위에 여백 추가)
+        const distances = results.map(r => r.distance);
+        const minDistance = Math.min(...distances);
         const maxDistance = Math.max(...distances);
+        const distanceRange = maxDistance - minDistance;
+        const [paddedMinDistance, paddedMaxDistance] = xRange ??
+            [Math.max(0, minDistance - distanceRange * 0.05), maxDistance + distanceRange * 0.05];
+        
+        // Y 범위는 X 범위에 걸친 구간의 보이는 값으로
+        const overlaps = (j) => {
+            const previous = results[j - 1]?.distance ?? results[j].distance;
+            const next = results[j + 1]?.distance ?? results[j].distance;
+            return next >= paddedMinDistance && previous <= paddedMaxDistance;
+        };
+        const emissions = results.filter((row, j) => overlaps(j)).flatMap(row => values(row).filter((value, i) => visible[i]));
+        if (bands) {
+            bands.filter(point => point.distance >= paddedMinDistance && point.distance <= paddedMaxDistance)
+                .forEach(point => point.ranges.forEach((range, i) => visible[i] && emissions.push(...range)));
+        }
+        if (emissions.length === 0) emissions.push(0, 1);
+        
         const minEmission = Math.min(...emissions);
         const maxEmission = Math.max(...emissions);
+        const emissionRange = (maxEmission - minEmission) || Math.abs(maxEmission) || 1;
+        const paddedMinEmission = Math.max(0, minEmission - emissionRange * 0.1);
+        const paddedMaxEmission = maxEmission + emissionRange * 0.1;
+        
+        // 스케일 함수
+        const scaleX = (distance) => padding + (distance - paddedMinDistance) / (paddedMaxDistance - paddedMinDistance) * chartWidth;
+        const scaleY = (emission) => height - padding - (emission - paddedMinEmission) / (paddedMaxEmission - paddedMinEmission) * chartHeight;
+        const invertX = (x) => paddedMinDistance + (x - padding) / chartWidth * (paddedMaxDistance - paddedMinDistance);
+        
+        const xTicks = ChartRenderer.niceTicks(paddedMinDistance / distanceUnit.km, paddedMaxDistance / distanceUnit.km, Math.max(2, Math.round(chartWidth / 110)))
+            .map(tick => tick * distanceUnit.km);
+        const yTicks = ChartRenderer.niceTicks(paddedMinEmission, paddedMaxEmission, Math.max(2, Math.round(chartHeight / 50)));
+        
+        // 격자 그리기
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        xTicks.forEach(d => {
+            const x = scaleX(d);
+            ctx.beginPath();
+            ctx.moveTo(x, padding);
+            ctx.lineTo(x, height - padding);
+            ctx.stroke();
+        });
+        yTicks.forEach(e => {
+            const y = scaleY(e);
+            ctx.beginPath();
+            ctx.moveTo(padding, y);
+            ctx.lineTo(width - padding, y);
+            ctx.stroke();
+        });
+        
+        // 축 그리기
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.stroke();
+        
+        // 선·띠·점은 그림 영역 밖으로 나가지 않게 자름 (확대 시)
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(padding, padding, chartWidth, chartHeight);
+        ctx.clip();
+        
+        // 신뢰 구간 띠 그리기 (P5–P95 등)
+        if (bands) {
+            ctx.save();
+            ctx.globalAlpha = 0.15;
+            vehicles.forEach((vehicle, i) => {
+                if (!visible[i]) return;
+                ctx.fillStyle = ChartRenderer.colorFor(i);
+                ctx.beginPath();
+                bands.forEach((point, j) => {
+                    const x = scaleX(point.distance);
+                    const y = scaleY(point.ranges[i][1]);
+                    if (j === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                [...bands].reverse().forEach(point => {
+                    ctx.lineTo(scaleX(point.distance), scaleY(point.ranges[i][0]));
+                });
+                ctx.closePath();
+                ctx.fill();
+            });
+            ctx.restore();
+        }
+        
+        // 차량별 선 그리기
+        vehicles.forEach((vehicle, i) => {
+            if (!visible[i]) return;
+            ctx.strokeStyle = ChartRenderer.colorFor(i);
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            results.forEach((result, j) => {
+                const x = scaleX(result.distance);
+                const y = scaleY(values(result)[i]);
+                if (j === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+        
+        // 데이터 포인트 그리기
+        markers.forEach(result => {
+            const x = scaleX(result.distance);
+            
+            values(result).forEach((emission, i) => {
+                if (!visible[i]) return;
+                ctx.fillStyle = ChartRenderer.colorFor(i);
+                ctx.beginPath();
+                ctx.arc(x, scaleY(emission), 4, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        });
+        ctx.restore();
+        
+        // 기준 차량과의 손익분기점 선 그리기 (해당하는 경우)
+        breakEvens
+            .filter(pair => pair.vehicles[0] === 0 && pair.breakEven !== null && pair.vehicles.every(i => visible[i]))
+            .filter(pair => pair.breakEven >= paddedMinDistance && pair.breakEven <= paddedMaxDistance)
+            .forEach((pair, k) => {
+                const x = scaleX(pair.breakEven);
+                const color = vehicles.length > 2 ? ChartRenderer.colorFor(pair.vehicles[1]) : '#dc3545';
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.setLineDash([5, 5]);
+                ctx.beginPath();
+                ctx.moveTo(x, padding);
+                ctx.lineTo(x, height - padding);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                
+                // 손익분기점 라벨 추가 (여러 개면 위로 쌓음)
+                ctx.fillStyle = color;
+                ctx.font = '12px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillText(`${breakEvenLabel}: ${(pair.breakEven / distanceUnit.km).toFixed(0)} ${distanceUnit.label}`, x, padding - 10 - k * 14);
+            });
+        
+        // 축 라벨 그리기
+        ctx.fillStyle = '#333';
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel, width / 2, height - 10);
+        
+        ctx.save();
+        ctx.translate(20, height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+        
+        // 범례 그리기 (숨긴 차량은 회색 취소선)
+        const legendY = 30;
+        const legendX = width - 150;
+        const legend = [];
+        
+        ctx.textAlign = 'left';
+        vehicles.forEach((vehicle, i) => {
+            const y = legendY + i * 20;
+            ctx.fillStyle = visible[i] ? ChartRenderer.colorFor(i) : '#adb5bd';
+            ctx.fillRect(legendX, y, 15, 3);
+            ctx.fillStyle = visible[i] ? '#333' : '#adb5bd';
+            ctx.fillText(vehicle.name, legendX + 20, y + 10);
+            if (!visible[i]) {
+                ctx.fillRect(legendX + 20, y + 5, ctx.measureText(vehicle.name).width, 1);
+            }
+            legend.push({ index: i, x: legendX - 4, y: y - 6, width: 150, height: 20 });
+        });
+        
+        // 축 값 추가
+        ctx.fillStyle = '#333';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        xTicks.forEach(d => ctx.fillText(formatX(parseFloat((d / distanceUnit.km).toPrecision(12))), scaleX(d), height - padding + 20));
+        
+        ctx.textAlign = 'right';
+        yTicks.forEach(e => ctx.fillText(e.toLocaleString(), padding - 10, scaleY(e) + 3));
+        
+        return {
+            left: padding,
+            right: width - padding,
+            top: padding,
+            bottom: height - padding,
+            xRange: [paddedMinDistance, paddedMaxDistance],
+            scaleX,
+            scaleY,
+            invertX,
+            legend
+        };
+    },
+    
+    /**
+     * 생애주기 단계별 누적 배출량 누적 막대 차트 그리기
+     * 
+     * 거리마다 차량별 막대를 나란히 그리고, 각 막대는 단계별로 쌓습니다.
+     * 음수 단계(재활용 크레딧 등)는 0 아래로 쌓습니다.
+     */
+    drawPhaseBreakdown: (results, vehicles, distanceUnit = Units.DISTANCE.km) => {
+        const ctx = phaseCanvas.getContext('2d');
+        const padding = 60;
+        const chartWidth = phaseCanvas.width - 2 * padding;
+        const chartHeight = phaseCanvas.height - 2 * padding;
+        
+        ctx.clearRect(0, 0, phaseCanvas.width, phaseCanvas.height);
+        
+        const rows = results.filter(row => !row.leftLimit);
+        
+        // 데이터 범위 찾기 (양수/음수 누적 합)
+        let maxStack = 0;
+        let minStack = 0;
+        rows.forEach(row => {
+            row.phases.forEach(phases => {
+                const values = LIFECYCLE_PHASES.map(phase => phases[phase.key]);
+                maxStack = Math.max(maxStack, values.filter(v => v > 0).reduce((a, b) => a + b, 0));
+                minStack = Math.min(minStack, values.filter(v => v < 0).reduce((a, b) => a + b, 0));
+            });
+        });
+        const range = (maxStack - minStack) || 1;
+        const scaleY = (emission) => phaseCanvas.height - padding - (emission - minStack) / range * chartHeight;
+        
+        // 막대 배치
+        const groupWidth = chartWidth / rows.length;
+        const barWidth = Math.min(40, groupWidth * 0.8 / vehicles.length);
+        
+        rows.forEach((row, g) => {
+            const groupX = padding + g * groupWidth + (groupWidth - barWidth * vehicles.length) / 2;
+            
+            row.phases.forEach((phases, i) => {
+                const x = groupX + i * barWidth;
+                let positive = 0;
+                let negative = 0;
+                
+                LIFECYCLE_PHASES.forEach(phase => {
+                    const value = phases[phase.key];
+                    if (value === 0) return;
+                    
+                    const base = value > 0 ? positive : negative;
+                    const top = base + value;
+                    ctx.fillStyle = phase.color;
+                    ctx.fillRect(x + 1, Math.min(scaleY(base), scaleY(top)), barWidth - 2, Math.abs(scaleY(top) - scaleY(base)));
+                    
+                    if (value > 0) {
+                        positive = top;
+                    } else {
+                        negative = top;
+                    }
+                });
+                
+                // 차량 색상 표시 (막대 아래)
+                ctx.fillStyle = ChartRenderer.colorFor(i);
+                ctx.fillRect(x + 1, phaseCanvas.height - padding + 2, barWidth - 2, 4);
+            });
+            
+            // 거리 라벨
+            ctx.fillStyle = '#333';
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${(row.distance / distanceUnit.km).toLocaleString()} ${distanceUnit.label}`, padding + (g + 0.5) * groupWidth, phaseCanvas.height - padding + 20);
+        });
+        
+        // 0 기준선과 Y축
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, scaleY(0));
+        ctx.lineTo(phaseCanvas.width - padding, scaleY(0));
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, phaseCanvas.height - padding);
+        ctx.stroke();
+        
+        // Y축 값
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'right';
+        [minStack, 0, maxStack].filter((v, i, all) => all.indexOf(v) === i).forEach(value => {
+            ctx.fillText(value.toFixed(0), padding - 6, scaleY(value) + 3);
+        });
+        
+        ctx.save();
+        ctx.font = '14px sans-serif';
+        ctx.translate(20, phaseCanvas.height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('누적 CO₂ 배출량 (kgCO₂e)', 0, 0);
+        ctx.restore();
+        
+        // 단계 범례 (위), 차량 범례 (아래)
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        LIFECYCLE_PHASES.forEach((phase, i) => {
+            const x = padding + i * 120;
+            ctx.fillStyle = phase.color;
+            ctx.fillRect(x, 20, 12, 12);
+            ctx.fillStyle = '#333';
+            ctx.fillText(phase.label, x + 16, 30);
+        });
+        vehicles.forEach((vehicle, i) => {
+            const x = padding + i * 120;
+            ctx.fillStyle = ChartRenderer.colorFor(i);
+            ctx.fillRect(x, phaseCanvas.height - 22, 12, 4);
+            ctx.fillStyle = '#333';
+            ctx.fillText(vehicle.name, x + 16, phaseCanvas.height - 16);
+        });
+    },
+    
+    /**
+     * 민감도 분석 결과로 토네이도 차트 그리기
+     * 
+     * metric: 'breakEven' (손익분기점 거리) 또는 'delta' (기준 거리에서의 배출량 차이)
+     * 손익분기점이 없어지는 끝점은 축 오른쪽 끝의 "없음" 위치까지 그립니다.
+     */
+    drawTornado: (sensitivity, metric) => {
+        const ctx = tornadoCanvas.getContext('2d');
+        const labelWidth = 220;
+        const padding = 40;
+        const rowHeight = 24;
+        const valueOf = (outcome) => {
+            if (metric !== 'breakEven') return outcome.delta;
+            return outcome.breakEven === null ? null : Units.distance(sensitivity, outcome.breakEven);
+        };
+        
+        const rows = sensitivity.rows.filter(row => !row.atLow.error && !row.atHigh.error);
+        const swing = (row) => {
+            const [low, high] = [valueOf(row.atLow), valueOf(row.atHigh)];
+            if (low === null || high === null) return low === high ? 0 : Infinity;
+            return Math.abs(high - low);
+        };
+        rows.sort((x, y) => (swing(y) - swing(x)) || 0);
+        
+        tornadoCanvas.height = 2 * padding + 30 + Math.max(rows.length, 1) * rowHeight;
+        ctx.clearRect(0, 0, tornadoCanvas.width, tornadoCanvas.height);
+        
+        // 값 범위 (손익분기점이 없으면 유한한 최댓값 너머의 "없음" 위치)
+        const values = [sensitivity.base, ...rows.flatMap(row => [row.atLow, row.atHigh])].map(valueOf);
+        const finite = values.filter(value => value !== null);
+        const hasNone = finite.length < values.length;
+        let min = Math.min(0, ...finite);
+        let max = Math.max(...finite, min + 1);
+        const none = max + (max - min) * 0.15;
+        if (hasNone) max = none;
+        const range = max - min;
+        min -= range * 0.05;
+        max += range * 0.05;
+        
+        const left = labelWidth;
+        const right = tornadoCanvas.width - padding;
+        const top = padding + 30;
+        const scaleX = (value) => left + ((value ?? none) - min) / (max - min) * (right - left);
+        const baseX = scaleX(valueOf(sensitivity.base));
+        
+        // 막대 (하한: 파랑, 상한: 주황)
+        rows.forEach((row, i) => {
+            const y = top + i * rowHeight;
+            [[row.atLow, '#0d6efd'], [row.atHigh, '#fd7e14']].forEach(([outcome, color]) => {
+                const x = scaleX(valueOf(outcome));
+                ctx.fillStyle = color;
+                ctx.fillRect(Math.min(x, baseX), y + 3, Math.max(Math.abs(x - baseX), 1), rowHeight - 6);
+            });
+            
+            ctx.fillStyle = '#333';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'right';
+            ctx.fillText(row.label, left - 8, y + rowHeight / 2 + 4);
+        });
+        
+        // 기준선과 X축 값
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(baseX, top - 4);
+        ctx.lineTo(baseX, top + rows.length * rowHeight + 4);
+        ctx.moveTo(left, top + rows.length * rowHeight + 4);
+        ctx.lineTo(right, top + rows.length * rowHeight + 4);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#333';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        const axisY = top + rows.length * rowHeight + 18;
+        finite.length > 0 && [Math.min(...finite), valueOf(sensitivity.base), Math.max(...finite)]
+            .filter((value, i, all) => value !== null && all.indexOf(value) === i)
+            .forEach(value => ctx.fillText(value.toFixed(0), scaleX(value), axisY));
+        if (hasNone) {
+            ctx.fillText('없음', scaleX(null), axisY);
+        }
+        
+        // 제목과 범례
+        ctx.font = '13px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(metric === 'breakEven' ?
+            `손익분기점 거리 (${Units.distanceUnit(sensitivity).label})` :
+            `${Units.formatDistance(sensitivity, sensitivity.distance)}에서 ΔE (kgCO₂e)`, left, 20);
+        [['입력 하한', '#0d6efd'], ['입력 상한', '#fd7e14']].forEach(([label, color], i) => {
+            const x = left + i * 100;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, 32, 12, 12);
+            ctx.fillStyle = '#333';
+            ctx.font = '12px sans-serif';
+            ctx.fillText(label, x + 16, 42);
+        });
+    }
+};
+
+/**
+ * 최소 XLSX 작성기 (무압축 ZIP 안의 SpreadsheetML, 외부 라이브러리 없음)
+ */
+const XlsxWriter = {
+    /**
+     * ZIP 항목 검사용 CRC-32
+     */
+    crc32: (bytes) => {
+        if (!XlsxWriter.crcTable) {
+            XlsxWriter.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = XlsxWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+    
+    /**
+     * 파일 목록({name, content})을 무압축 ZIP 바이트로 묶음
+     */
+    zip: (files) => {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
         
-        // 범위에 여백 추가
-        const distanceRange = maxDistance - minDistance;
-        const emissionRange = maxEmission - minEmission;
-        const paddedMinDistance = Math.max(0, minDistance - distanceRange * 0.05);
-        const paddedMaxDistance = maxDistance + distanceRange * 0.05;
-        const paddedMinEmission = Math.max(0, minEmission - emissionRange * 0.1);
-        const paddedMaxEmission = maxEmission + emissionRange * 0.1;
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = XlsxWriter.crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+            
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+            
+            offset += 30 + name.length + data.length;
+        });
         
-        // 스케일 함수
-        const scaleX = (distance) => padding + (distance - paddedMinDistance) / (paddedMaxDistance - paddedMinDistance) * chartWidth;
-        const scaleY = (emission) => canvas.height - padding - (emission - paddedMinEmission) / (paddedMaxEmission - paddedMinEmission) * chartHeight;
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
         
-        // 격자 그리기
-        ctx.strokeStyle = '#e0e0e0';
-        ctx.lineWidth = 1;
+        return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    },
+    
+    /**
+     * XML 특수 문자 이스케이프
+     */
+    escapeXML: (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'),
+    
+    /**
+     * 시트 XML (숫자는 숫자 셀, 나머지는 인라인 문자열, 첫 행은 굵게)
+     */
+    sheetXML: (rows) => {
+        const columnName = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            }
+            return name;
+        };
         
-        // 세로 격자선
-        const distanceStep = Math.pow(10, Math.floor(Math.log10(distanceRange)));
-        for (let d = Math.ceil(paddedMinDistance / distanceStep) * distanceStep; d <= paddedMaxDistance; d += distanceStep) {
-            const x = scaleX(d);
-            ctx.beginPath();
-            ctx.moveTo(x, padding);
-            ctx.lineTo(x, canvas.height - padding);
-            ctx.stroke();
+        const body = rows.map((row, r) => {
+            const cells = row.map((value, c) => {
+                const ref = `${columnName(c)}${r + 1}`;
+                const style = r === 0 ? ' s="1"' : '';
+                if (value === null || value === undefined || value === '') return '';
+                if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escapeXML(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+        
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${body}</sheetData></worksheet>`;
+    },
+    
+    /**
+     * 시트 목록({name, rows})으로 통합 문서 Blob 생성
+     */
+    build: (sheets) => {
+        const sheetEntries = sheets.map((sheet, i) => ({ ...sheet, id: i + 1 }));
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheetEntries.map(sheet => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                    sheetEntries.map(sheet => `<sheet name="${XlsxWriter.escapeXML(sheet.name.slice(0, 31))}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheetEntries.map(sheet => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            ...sheetEntries.map(sheet => ({ name: `xl/worksheets/sheet${sheet.id}.xml`, content: XlsxWriter.sheetXML(sheet.rows) }))
+        ];
+        
+        return XlsxWriter.zip(files);
+    }
+};
+
+/**
+ * 내보내기 기능
+ */
+const Exporter = {
+    /**
+     * 결과를 CSV로 내보내기
+     */
+    exportToCSV: (results) => {
+        const columns = ResultColumns.build(results.inputs, results.results);
+        const headers = columns.map(column => Exporter.escapeCSV(column.header));
+        
+        const csvContent = [
+            headers.join(','),
+            ...results.results.map(row => columns.map(column => {
+                const value = column.value(row);
+                if (value === null) return '';
+                if (column.kind === 'text') return Exporter.escapeCSV(value);
+                return column.kind === 'distance' || column.kind === 'year' ? value : value.toFixed(column.digits);
+            }).join(','))
+        ].join('\n');
+        
+        Exporter.downloadCSV(csvContent, 'ice_vs_bev_emissions.csv');
+    },
+    
+    /**
+     * 전체 결과를 JSON으로 내보내기 (입력, 추정값, 가정, 지표, 거리별 결과, 추가 분석)
+     */
+    exportToJSON: (results) => {
+        const { inputs, derived, intensities, upfront, breakEvens, costs, energy, results: rows } = results;
+        const data = {
+            format: 'ice-vs-bev-lifecycle',
+            version: EXPORT_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            inputs,
+            derived,
+            assumptions: Assumptions.build(results),
+            intensities,
+            upfront,
+            breakEvens,
+            costs,
+            energy,
+            results: rows,
+            uncertainty: results.uncertainty ?? null,
+            sensitivity: results.sensitivity ?? null
+        };
+        
+        Exporter.download(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'ice_vs_bev_results.json');
+    },
+    
+    /**
+     * 저장된 시나리오 라이브러리를 JSON으로 내보내기 (가져오기와 같은 형식)
+     */
+    exportLibraryJSON: (scenarios) => {
+        const data = {
+            format: 'ice-vs-bev-scenario-library',
+            version: EXPORT_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            scenarios
+        };
+        
+        Exporter.download(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'ice_vs_bev_scenarios.json');
+    },
+    
+    /**
+     * 결과·가정·손익분기점 시트가 있는 XLSX로 내보내기
+     */
+    exportToXLSX: (results) => {
+        const columns = ResultColumns.build(results.inputs, results.results);
+        const { inputs } = results;
+        const { vehicles } = inputs;
+        
+        const workbook = XlsxWriter.build([
+            {
+                name: '결과',
+                rows: [
+                    columns.map(column => column.header),
+                    ...results.results.map(row => columns.map(column => {
+                        const value = column.value(row);
+                        if (value === null || column.kind === 'text') return value;
+                        return column.kind === 'distance' || column.kind === 'year' ? value : +value.toFixed(column.digits);
+                    }))
+                ]
+            },
+            {
+                name: '가정',
+                rows: [
+                    ['구분', '항목', '값', '단위', '출처'],
+                    ...Assumptions.build(results).map(row => [row.section, row.label, row.value, row.unit, row.source])
+                ]
+            },
+            {
+                name: '손익분기점',
+                rows: [
+                    ['차량 A', '차량 B', `손익분기점 (${Units.distanceUnit(inputs).label})`, '설명', `에너지 손익분기점 (${Units.distanceUnit(inputs).label})`, '에너지 설명'],
+                    ...results.breakEvens.map((pair, p) => {
+                        const energyPair = results.energy.breakEvens[p];
+                        const distanceOf = (breakEven) => breakEven === null ? null : Math.round(Units.distance(inputs, breakEven));
+                        return [vehicles[pair.vehicles[0]].name, vehicles[pair.vehicles[1]].name, distanceOf(pair.breakEven), pair.message, distanceOf(energyPair.breakEven), energyPair.message];
+                    })
+                ]
+            }
+        ]);
+        
+        Exporter.download(workbook, 'ice_vs_bev_results.xlsx');
+    },
+    
+    /**
+     * 캔버스 2D 그리기 호출을 SVG 요소로 기록하는 컨텍스트 (차트 SVG 내보내기용)
+     * 
+     * 차트 그리기에 쓰는 경로·사각형·원호·텍스트·변환·클리핑만 지원합니다.
+     */
+    createSvgContext: (width, height) => {
+        const elements = [];
+        const clipPaths = [];
+        const stack = [];
+        let path = [];
+        let transforms = [];
+        let lineDash = [];
+        let clipId = null;
+        
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const round = (value) => +value.toFixed(2);
+        
+        const ctx = {
+            fillStyle: '#000',
+            strokeStyle: '#000',
+            lineWidth: 1,
+            font: '10px sans-serif',
+            textAlign: 'start',
+            globalAlpha: 1,
+            
+            // 현재 변환과 투명도 속성
+            attributes: () => {
+                const attrs = [];
+                if (transforms.length > 0) attrs.push(`transform="${transforms.join(' ')}"`);
+                if (ctx.globalAlpha !== 1) attrs.push(`opacity="${ctx.globalAlpha}"`);
+                if (clipId) attrs.push(`clip-path="url(#${clipId})"`);
+                return attrs.join(' ');
+            },
+            
+            save: () => stack.push({ transforms: [...transforms], lineDash: [...lineDash], clipId, fillStyle: ctx.fillStyle, strokeStyle: ctx.strokeStyle, lineWidth: ctx.lineWidth, font: ctx.font, textAlign: ctx.textAlign, globalAlpha: ctx.globalAlpha }),
+            restore: () => {
+                const state = stack.pop();
+                if (!state) return;
+                ({ transforms, lineDash, clipId } = state);
+                Object.assign(ctx, { fillStyle: state.fillStyle, strokeStyle: state.strokeStyle, lineWidth: state.lineWidth, font: state.font, textAlign: state.textAlign, globalAlpha: state.globalAlpha });
+            },
+            translate: (x, y) => transforms.push(`translate(${round(x)} ${round(y)})`),
+            rotate: (angle) => transforms.push(`rotate(${round(angle * 180 / Math.PI)})`),
+            setLineDash: (segments) => { lineDash = [...segments]; },
+            
+            clearRect: (x, y, w, h) => elements.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="#fff"/>`),
+            strokeRect: (x, y, w, h) => elements.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" fill="none" stroke="${ctx.strokeStyle}" stroke-width="${ctx.lineWidth}" ${ctx.attributes()}/>`),
+            fillRect: (x, y, w, h) => elements.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" fill="${ctx.fillStyle}" ${ctx.attributes()}/>`),
+            
+            beginPath: () => { path = []; },
+            moveTo: (x, y) => path.push(`M${round(x)} ${round(y)}`),
+            lineTo: (x, y) => path.push(`L${round(x)} ${round(y)}`),
+            closePath: () => path.push('Z'),
+            rect: (x, y, w, h) => path.push(`M${round(x)} ${round(y)}h${round(w)}v${round(h)}h${round(-w)}Z`),
+            arc: (x, y, r, start, end) => {
+                if (end - start >= 2 * Math.PI - 1e-9) {
+                    path.push(`M${round(x + r)} ${round(y)}A${r} ${r} 0 1 0 ${round(x - r)} ${round(y)}A${r} ${r} 0 1 0 ${round(x + r)} ${round(y)}`);
+                    return;
+                }
+                const large = end - start > Math.PI ? 1 : 0;
+                path.push(`M${round(x + r * Math.cos(start))} ${round(y + r * Math.sin(start))}A${r} ${r} 0 ${large} 1 ${round(x + r * Math.cos(end))} ${round(y + r * Math.sin(end))}`);
+            },
+            stroke: () => {
+                const dash = lineDash.length > 0 ? ` stroke-dasharray="${lineDash.join(' ')}"` : '';
+                elements.push(`<path d="${path.join('')}" fill="none" stroke="${ctx.strokeStyle}" stroke-width="${ctx.lineWidth}"${dash} ${ctx.attributes()}/>`);
+            },
+            fill: () => elements.push(`<path d="${path.join('')}" fill="${ctx.fillStyle}" ${ctx.attributes()}/>`),
+            clip: () => {
+                clipId = `clip${clipPaths.length + 1}`;
+                clipPaths.push(`<clipPath id="${clipId}"><path d="${path.join('')}"${transforms.length > 0 ? ` transform="${transforms.join(' ')}"` : ''}/></clipPath>`);
+            },
+            
+            fillText: (text, x, y) => {
+                const [, size = '10', family = 'sans-serif'] = /(\d+(?:\.\d+)?)px\s+(.+)$/.exec(ctx.font) || [];
+                const anchor = { center: 'middle', right: 'end', end: 'end' }[ctx.textAlign] || 'start';
+                elements.push(`<text x="${round(x)}" y="${round(y)}" font-size="${size}" font-family="${escape(family)}" text-anchor="${anchor}" fill="${ctx.fillStyle}" ${ctx.attributes()}>${escape(text)}</text>`);
+            },
+            measureText: (text) => ({ width: String(text).length * (parseFloat(/(\d+(?:\.\d+)?)px/.exec(ctx.font)?.[1]) || 10) * 0.6 }),
+            
+            toString: () => `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n<defs>${clipPaths.join('')}</defs>\n${elements.join('\n')}\n</svg>\n`
+        };
+        
+        return ctx;
+    },
+    
+    /**
+     * 배출량 차트를 SVG로 내보내기 (화면과 같은 그리기 코드를 현재 확대·표시 상태로 SVG 컨텍스트에 실행)
+     */
+    exportChartSVG: () => {
+        const { width, height } = chart;
+        const svg = Exporter.createSvgContext(width, height);
+        ChartRenderer.redraw({ ctx: svg, canvas, width, height });
+        
+        Exporter.download(new Blob([svg.toString()], { type: 'image/svg+xml' }), 'ice_vs_bev_chart.svg');
+    },
+    
+    /**
+     * 인쇄용 한 쪽 보고서 (주요 지표, 가정 표, 차트, 방법론)
+     * 
+     * 새 창에서 열어 인쇄 대화상자를 띄우고 (PDF로 저장 가능), 팝업이 막히면 HTML 파일로 내려받습니다.
+     */
+    openReport: (results) => {
+        const escape = XlsxWriter.escapeXML;
+        const { inputs } = results;
+        const { vehicles } = inputs;
+        
+        const metrics = [
+            ...vehicles.map((vehicle, i) => [`k_${vehicle.name}`, `${Units.perDistance(inputs, results.intensities[i]).toFixed(3)} ${Units.label(inputs, 'kgCO₂e/km')}`]),
+            ...vehicles.slice(1).map((vehicle, i) => [`ΔE_manuf (${vehicle.name} − ${vehicles[0].name})`, `${(results.upfront[i + 1] - results.upfront[0]).toFixed(0)} kgCO₂e`]),
+            ...results.breakEvens.map(pair => [`${vehicles[pair.vehicles[0]].name} ↔ ${vehicles[pair.vehicles[1]].name}`, pair.message]),
+            ...vehicles.map((vehicle, i) => {
+                const { tankToWheel, wellToWheel } = results.energy.perKm[i];
+                return [`${vehicle.name} TTW / WTW`, `${[tankToWheel, wellToWheel].map(value => Units.perDistance(inputs, value).toFixed(2)).join(' / ')} ${Units.label(inputs, 'MJ/km')}`];
+            }),
+            ...results.energy.breakEvens.map(pair => [`에너지 ${vehicles[pair.vehicles[0]].name} ↔ ${vehicles[pair.vehicles[1]].name}`, pair.message]),
+            ...(results.costs ? results.costs.breakEvens.map(pair => [`비용 ${vehicles[pair.vehicles[0]].name} ↔ ${vehicles[pair.vehicles[1]].name}`, pair.message]) : [])
+        ];
+        const assumptions = Assumptions.build(results);
+        
+        const html = `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<title>ICE vs BEV 생애주기 CO₂ 비교 보고서</title>
+<style>
+    @page { size: A4; margin: 12mm; }
+    body { font-family: sans-serif; font-size: 10px; color: #212529; margin: 0; }
+    h1 { font-size: 16px; margin: 0 0 4px; }
+    h2 { font-size: 12px; margin: 10px 0 4px; }
+    .meta { color: #6c757d; margin-bottom: 6px; }
+    .columns { display: flex; gap: 12px; }
+    .columns > div { flex: 1; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #dee2e6; padding: 2px 4px; text-align: left; }
+    img { width: 100%; }
+    p { margin: 2px 0; }
+</style>
+</head>
+<body>
+<h1>ICE vs BEV 생애주기 CO₂ 비교 보고서</h1>
+<div class="meta">${escape(new Date().toLocaleString('ko-KR'))} · 차량 수명 ${Units.distance(inputs, inputs.lifetime).toLocaleString()} ${Units.distanceUnit(inputs).label}</div>
+<h2>주요 지표</h2>
+<table>${metrics.map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`).join('')}</table>
+<h2>누적 CO₂ 배출량</h2>
+<img src="${canvas.toDataURL('image/png')}" alt="누적 배출량 차트">
+<div class="columns">
+<div>
+<h2>가정</h2>
+<table><tr><th>구분</th><th>항목</th><th>값</th><th>출처</th></tr>${assumptions.map(row =>
+    `<tr><td>${escape(row.section)}</td><td>${escape(row.label)}</td><td>${escape(`${row.value} ${row.unit}`.trim())}</td><td>${escape(row.source)}</td></tr>`).join('')}</table>
+</div>
+<div>
+<h2>방법론</h2>
+<p>누적 배출량 E(d) = 초기 배출량(차량·배터리 제조) + d × k, k = 연료 소비량 × (α_fuel + 상류 배출) + 전력 소비량 × α_grid / (1 − 송배전 손실) + 정비 배출.</p>
+<p>두 차량의 누적 배출량 곡선이 마지막으로 만나는 거리를 손익분기점 d*로 보며, 전력망 경로·배터리 교체·폐차 단계가 있으면 구간별로 적분합니다.</p>
+<p>에너지는 탱크-휠(TTW, 연료 발열량·전력 3.6 MJ/kWh)과 웰-휠(WTW, 정유·공급 효율과 φ_grid를 반영한 1차 에너지)로 나누고, 차체 중량(배터리 제외)·배터리 용량당 제조 에너지를 더한 누적 에너지 곡선으로 에너지 손익분기점을 구합니다.</p>
+<p>배터리 제조 배출계수는 화학 조성의 소재 배출 + 셀·팩 제조 전력 × 생산지 전력 배출계수 + 공정 배출이며, 배터리 질량(용량 / 팩 에너지 밀도)을 뺀 중량으로 차체 제조 배출을 추정합니다.</p>
+<p>비어 있는 차량 값은 공차중량 기반 추정식으로, 차량 모델을 고르면 내장 데이터베이스 값으로 채웁니다. 출처 열에 값의 근거를 표시했습니다.</p>
+</div>
+</div>
+<script>window.onload = () => window.print();<\/script>
+</body>
+</html>`;
+        
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            Exporter.download(new Blob([html], { type: 'text/html;charset=utf-8' }), 'ice_vs_bev_report.html');
+            return;
         }
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+    },
+    
+    /**
+     * 히트맵을 CSV 행렬로 내보내기 (행: Y축 값, 열: X축 값, 손익분기점이 없으면 "never")
+     */
+    exportHeatmapCSV: (heatmap, labels) => {
+        const csvContent = [
+            [Exporter.escapeCSV(`${labels.y} \\ ${labels.x}`), ...heatmap.x.values].join(','),
+            ...heatmap.cells.map((row, yi) => [heatmap.y.values[yi], ...row.map(value => {
+                if (value === undefined) return '';
+                return value === null ? 'never' : Units.distance(heatmap, value).toFixed(0);
+            })].join(','))
+        ].join('\n');
         
-        // 가로 격자선
-        const emissionStep = Math.pow(10, Math.floor(Math.log10(emissionRange)));
-        for (let e = Math.ceil(paddedMinEmission / emissionStep) * emissionStep; e <= paddedMaxEmission; e += emissionStep) {
-            const y = scaleY(e);
-            ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(canvas.width - padding, y);
-            ctx.stroke();
+        Exporter.downloadCSV(csvContent, 'break_even_heatmap.csv');
+    },
+    
+    /**
+     * 일괄 계산 결과를 하나의 CSV로 내보내기
+     * 
+     * 시나리오별 요약 열 뒤에 거리별 누적 배출량을 이어 붙인 긴 형식입니다 (시나리오 × 거리마다 한 행).
+     * 오류가 난 시나리오는 오류 열만 채운 한 행입니다.
+     */
+    exportBatchCSV: (entries) => {
+        const columns = ScenarioBatch.summaryColumns(entries);
+        const vehicleCount = columns.filter(column => /^차량 \d+$/.test(column.header)).length;
+        const formatValue = (column, value) => {
+            if (value === null) return '';
+            if (column.kind === 'text') return Exporter.escapeCSV(value);
+            return value.toFixed(column.digits);
+        };
+        
+        const units = { distanceUnit: entries.find(entry => entry.results)?.results.inputs.distanceUnit };
+        const headers = ['시나리오', '오류', ...columns.map(column => column.header), `거리 (${Units.distanceUnit(units).label})`,
+            ...Array.from({ length: vehicleCount }, (_, n) => `E_${n + 1}(d) (kgCO₂e)`)];
+        const lines = [headers.map(Exporter.escapeCSV).join(',')];
+        
+        entries.forEach(entry => {
+            const prefix = [Exporter.escapeCSV(entry.name), entry.error ? Exporter.escapeCSV(entry.error) : ''];
+            if (!entry.results) {
+                lines.push([...prefix, ...columns.map(() => ''), '', ...Array(vehicleCount).fill('')].join(','));
+                return;
+            }
+            
+            const summary = columns.map(column => formatValue(column, column.value(entry)));
+            entry.results.results.filter(row => !row.leftLimit).forEach(row => {
+                const emissions = Array.from({ length: vehicleCount }, (_, n) => n < row.emissions.length ? row.emissions[n].toFixed(2) : '');
+                lines.push([...prefix, ...summary, parseFloat(Units.distance(units, row.distance).toPrecision(12)), ...emissions].join(','));
+            });
+        });
+        
+        Exporter.downloadCSV(lines.join('\n'), 'scenario_batch_results.csv');
+    },
+    
+    /**
+     * 현재 폼 값을 한 행짜리 시나리오 CSV 템플릿으로 내보내기 (분석 설정 필드 제외)
+     */
+    exportScenarioTemplate: (formData) => {
+        const entries = [...formData.entries()].filter(([key]) => !/^(mc|sens|goal|heatmap|fleet|replace)-?/.test(key));
+        const csvContent = [
+            [ScenarioBatch.NAME_FIELD, ...entries.map(([key]) => key)].map(Exporter.escapeCSV).join(','),
+            ['현재 입력', ...entries.map(([, value]) => value)].map(Exporter.escapeCSV).join(',')
+        ].join('\n');
+        
+        Exporter.downloadCSV(csvContent, 'scenario_template.csv');
+    },
+    
+    /**
+     * 캔버스를 PNG 이미지로 내보내기
+     */
+    exportCanvasPNG: (targetCanvas, filename) => {
+        targetCanvas.toBlob(blob => Exporter.download(blob, filename), 'image/png');
+    },
+    
+    /**
+     * CSV 내려받기 (Excel이 한글 머리글을 UTF-8로 읽도록 BOM을 붙임)
+     */
+    downloadCSV: (csvContent, filename) => {
+        Exporter.download(new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' }), filename);
+    },
+    
+    /**
+     * Blob을 파일로 내려받기
+     */
+    download: (blob, filename) => {
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    },
+    
+    /**
+     * 쉼표나 따옴표가 포함된 CSV 필드 이스케이프 (차량 이름 등)
+     */
+    escapeCSV: (value) => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+};
+
+/**
+ * URL 상태 관리
+ */
+const URLState = {
+    /**
+     * 현재 폼 상태를 URL 매개변수로 인코딩
+     */
+    encodeToURL: () => {
+        const formData = new FormData(form);
+        const params = new URLSearchParams();
+        
+        // 모든 폼 필드를 URL에 추가
+        for (const [key, value] of formData.entries()) {
+            if (value.trim() !== '') {
+                params.set(key, value);
+            }
         }
         
-        // 축 그리기
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 2;
+        return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+    },
+    
+    /**
+     * URL 매개변수를 폼 상태로 디코딩
+     */
+    decodeFromURL: () => {
+        URLState.applyParams(new URLSearchParams(window.location.search));
+    },
+    
+    /**
+     * 매개변수 목록을 폼에 적용 (공유 URL, 저장된 시나리오 공용)
+     */
+    applyParams: (params) => {
+        // 기존 오류 메시지 지우기
+        const existingErrors = document.querySelectorAll('.error-message');
+        existingErrors.forEach(el => el.remove());
         
-        // X축
-        ctx.beginPath();
-        ctx.moveTo(padding, canvas.height - padding);
-        ctx.lineTo(canvas.width - padding, canvas.height - padding);
-        ctx.stroke();
+        URLState.migrateLegacyParams(params);
         
-        // Y축
-        ctx.beginPath();
-        ctx.moveTo(padding, padding);
-        ctx.lineTo(padding, canvas.height - padding);
-        ctx.stroke();
+        // 차량 카드 수를 URL에 맞춤 (v1-*, v2-*, ...)
+        const vehicleNumbers = [...params.keys()]
+            .map(key => /^v(\d+)-/.exec(key))
+            .filter(match => match !== null)
+            .map(match => parseInt(match[1], 10));
+        if (vehicleNumbers.length > 0) {
+            const vehicleCount = Math.max(MIN_VEHICLES, ...vehicleNumbers);
+            VehicleCards.clear();
+            for (let n = 1; n <= vehicleCount; n++) {
+                VehicleCards.add(params.get(`v${n}-type`) || 'ice');
+            }
+        }
+        
+        // 지역 프리셋 값을 먼저 채우고, URL에 있는 개별 값이 그 위에 덮어씀
+        if (params.has('region')) {
+            regionSelect.value = params.get('region');
+            RegionPresets.apply();
+        }
+        
+        // 목표 탐색 입력 목록은 차량 카드가 만들어진 뒤 갱신해야 선택값이 남음
+        GoalSeekControls.refreshOptions();
+        
+        // 거리 단위가 없는 이전 URL·시나리오의 값은 km 기준
+        document.getElementById('distance-unit').value = Units.keyOf('DISTANCE', params.get('distance-unit'));
+        
+        // URL 매개변수에서 폼 값 설정
+        for (const [key, value] of params.entries()) {
+            const input = form.querySelector(`[name="${key}"]`);
+            if (input) {
+                input.value = value;
+            }
+        }
+        
+        // 분포 입력 행은 차량 카드 값이 채워진 뒤 만들어야 매개변수 목록이 맞음 (mc1-*, mc2-*, ...)
+        UncertaintyControls.clear();
+        for (let n = 1; params.has(`mc${n}-param`); n++) {
+            const values = {};
+            ['param', 'dist', 'a', 'b', 'c'].forEach(field => {
+                if (params.has(`mc${n}-${field}`)) values[field] = params.get(`mc${n}-${field}`);
+            });
+            UncertaintyControls.add(values);
+        }
+        
+        GridControls.applyMode();
+        ChargingControls.applyMode();
+        DrivingCycleControls.applyMode();
+        CostControls.applyMode();
+        GoalSeekControls.applyMode();
+        RegionPresets.updateSource();
+        UnitControls.refresh();
+    },
+    
+    /**
+     * 이전 형식의 공유 URL·시나리오 값을 현재 형식으로 변환 (URLSearchParams 또는 FormData)
+     * 
+     * - 차량별 필드 ice-*, bev-* → 차량 카드 형식 v1-*, v2-*
+     * - 공통 배터리 제조 배출계수 alpha-bat-per-kwh → 배터리가 있는 차량마다 v{n}-battery-factor
+     *   (분석 매개변수로 고른 경우는 첫 배터리 차량의 값으로)
+     * - 공통 연료 가격 price-fuel(원/L) → L 단위 연료 차량마다, 수소 가격 price-hydrogen → 수소차마다 v{n}-fuel-price
+     */
+    migrateLegacyParams: (params) => {
+        const legacyPrefixes = { ice: 'v1', bev: 'v2' };
+        
+        for (const [key, value] of [...params.entries()]) {
+            const match = /^(ice|bev)-(.+)$/.exec(key);
+            if (match) {
+                const prefix = legacyPrefixes[match[1]];
+                params.delete(key);
+                params.set(`${prefix}-${match[2]}`, value);
+                params.set(`${prefix}-type`, match[1]);
+            }
+        }
+        
+        const vehicleNumbers = [...new Set([...params.keys()]
+            .map(key => /^v(\d+)-/.exec(key))
+            .filter(match => match !== null)
+            .map(match => parseInt(match[1], 10)))]
+            .sort((a, b) => a - b);
+        
+        const prices = { fuel: params.get('price-fuel'), hydrogen: params.get('price-hydrogen') };
+        params.delete('price-fuel');
+        params.delete('price-hydrogen');
+        vehicleNumbers.forEach(n => {
+            const { fuelSelect } = Powertrains[params.get(`v${n}-type`) || 'ice'] ?? {};
+            // CNG(kg)에는 원/L 가격을 옮기지 않고 연료별 기본 가격을 씀
+            if (!fuelSelect || prices[fuelSelect] === null || params.get(`v${n}-fuel-price`)) return;
+            if (fuelSelect === 'fuel' && FuelCatalog.unitOf(params.get(`v${n}-fuel`)) !== 'L') return;
+            params.set(`v${n}-fuel-price`, prices[fuelSelect]);
+        });
+        
+        const batteryFactor = params.get('alpha-bat-per-kwh');
+        if (batteryFactor === null) return;
+        params.delete('alpha-bat-per-kwh');
+        
+        const batteryFields = vehicleNumbers
+            .filter(n => Powertrains[params.get(`v${n}-type`) || 'ice']?.fields.includes(BATTERY_FACTOR_FIELD))
+            .map(n => `v${n}-${BATTERY_FACTOR_FIELD.name}`);
+        batteryFields.forEach(name => {
+            if (!params.get(name)) params.set(name, batteryFactor);
+        });
+        
+        for (const [key, value] of [...params.entries()]) {
+            if (value === 'alpha-bat-per-kwh' && /^(mc\d+|goal|heatmap-[xy])-param$/.test(key) && batteryFields.length > 0) {
+                params.set(key, batteryFields[0]);
+            }
+        }
+    },
+    
+    /**
+     * 공유 URL을 클립보드에 복사
+     */
+    copyShareURL: async () => {
+        try {
+            const url = URLState.encodeToURL();
+            await navigator.clipboard.writeText(url);
+            
+            // 성공 피드백 표시
+            const originalText = copyUrlBtn.textContent;
+            copyUrlBtn.textContent = 'URL 복사됨!';
+            copyUrlBtn.style.backgroundColor = 'var(--success-color)';
+            
+            setTimeout(() => {
+                copyUrlBtn.textContent = originalText;
+                copyUrlBtn.style.backgroundColor = '';
+            }, 2000);
+        } catch (error) {
+            console.error('URL 복사 실패:', error);
+            // 구형 브라우저용 대체 방법
+            const url = URLState.encodeToURL();
+            const textArea = document.createElement('textarea');
+            textArea.value = url;
+            document.body.appendChild(textArea);
+            textArea.select();
+            document.execCommand('copy');
+            document.body.removeChild(textArea);
+            
+            copyUrlBtn.textContent = 'URL 복사됨!';
+            setTimeout(() => {
+                copyUrlBtn.textContent = '공유 URL 복사';
+            }, 2000);
+        }
+    }
+};
+
+/**
+ * 차량 카드 관리
+ */
+const VehicleCards = {
+    /**
+     * 현재 폼의 차량 카드 요소 목록
+     */
+    getCards: () => Array.from(vehicleCardsContainer.querySelectorAll('.vehicle-card')),
+    
+    /**
+     * 템플릿에서 차량 카드를 만들어 추가
+     */
+    add: (type = 'ice', values = {}) => {
+        const card = vehicleCardTemplate.content.firstElementChild.cloneNode(true);
+        const typeSelect = card.querySelector('[data-field="type"]');
+        typeSelect.value = type;
         
-        // ICE 선 그리기
-        ctx.strokeStyle = '#fd7e14';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        results.forEach((result, i) => {
-            const x = scaleX(result.distance);
-            const y = scaleY(result.eICE);
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+        Object.entries(values).forEach(([field, value]) => {
+            const input = card.querySelector(`[data-field="${field}"]`);
+            if (input) {
+                input.value = value;
             }
         });
-        ctx.stroke();
         
-        // BEV 선 그리기
-        ctx.strokeStyle = '#20c997';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        results.forEach((result, i) => {
-            const x = scaleX(result.distance);
-            const y = scaleY(result.eBEV);
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+        typeSelect.addEventListener('change', () => VehicleCards.applyType(card));
+        card.querySelector('[data-field="fuel"]').addEventListener('change', (e) => {
+            // L가 아닌 연료(CNG)로 바꾸면 연비를 정규 단위로 환산해 두고 단위 선택을 잠금
+            const unitSelect = card.querySelector('[data-field="fuel-economy-unit"]');
+            if (FuelCatalog.unitOf(e.target.value) !== 'L' && unitSelect.value !== 'l-100km') {
+                unitSelect.value = 'l-100km';
+                UnitControls.convert(unitSelect);
             }
+            UnitControls.refresh();
         });
-        ctx.stroke();
+        card.querySelector('[data-field="hydrogen"]').addEventListener('change', () => UnitControls.refresh());
+        card.querySelector('[data-field="model-search"]').addEventListener('change', (e) => {
+            const entry = VehicleDatabase.findByLabel(e.target.value);
+            if (entry) {
+                VehicleDatabase.apply(card, entry);
+            }
+        });
+        card.querySelector('.remove-vehicle-btn').addEventListener('click', () => VehicleCards.remove(card));
         
-        // 손익분기점 선 그리기 (해당하는 경우)
-        if (breakEven !== null && breakEven >= 0) {
-            const x = scaleX(breakEven);
-            ctx.strokeStyle = '#dc3545';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([5, 5]);
-            ctx.beginPath();
-            ctx.moveTo(x, padding);
-            ctx.lineTo(x, canvas.height - padding);
-            ctx.stroke();
-            ctx.setLineDash([]);
-            
-            // 손익분기점 라벨 추가
-            ctx.fillStyle = '#dc3545';
-            ctx.font = '12px sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText(`손익분기점: ${breakEven.toFixed(0)} km`, x, padding - 10);
+        vehicleCardsContainer.appendChild(card);
+        VehicleCards.applyType(card);
+        CostControls.applyMode();
+        VehicleCards.renumber();
+        UnitControls.refresh();
+        
+        return card;
+    },
+    
+    /**
+     * 차량 카드 삭제 (최소 대수 유지)
+     */
+    remove: (card) => {
+        if (VehicleCards.getCards().length <= MIN_VEHICLES) {
+            return;
         }
+        card.remove();
+        VehicleCards.renumber();
+    },
+    
+    /**
+     * 모든 차량 카드 삭제
+     */
+    clear: () => {
+        vehicleCardsContainer.innerHTML = '';
+    },
+    
+    /**
+     * 기본 차량 구성 (ICE 1대, BEV 1대)
+     */
+    setDefaults: () => {
+        VehicleCards.clear();
+        VehicleCards.add('ice', { weight: '1750', 'purchase-price': '35000000', 'maintenance-cost': '60', insurance: '900000', 'resale-value': '5000000' });
+        VehicleCards.add('bev', { weight: '1900', 'purchase-price': '55000000', subsidy: '6500000', 'maintenance-cost': '40', insurance: '1100000', 'resale-value': '8000000' });
+    },
+    
+    /**
+     * 파워트레인 유형에 해당하는 입력 필드만 표시
+     * 
+     * 숨긴 필드는 비활성화하여 FormData와 공유 URL에 포함되지 않도록 합니다.
+     */
+    applyType: (card) => {
+        const type = card.querySelector('[data-field="type"]').value;
         
-        // 데이터 포인트 그리기
-        results.forEach(result => {
-            const x = scaleX(result.distance);
+        card.querySelectorAll('[data-types]').forEach(group => {
+            const visible = group.dataset.types.split(' ').includes(type);
+            group.classList.toggle('hidden', !visible);
+            group.querySelectorAll('input, select').forEach(input => {
+                input.disabled = !visible;
+            });
+        });
+        
+        // 연료 단위에 따른 연비 단위 선택 잠금은 표시 여부가 정해진 뒤 다시 적용
+        UnitControls.refresh();
+        VehicleCards.updateTitle(card);
+    },
+    
+    /**
+     * 카드 제목과 이름 자리표시자 갱신
+     */
+    updateTitle: (card) => {
+        const number = VehicleCards.getCards().indexOf(card) + 1;
+        const powertrain = Powertrains[card.querySelector('[data-field="type"]').value];
+        card.querySelector('.vehicle-card-title').textContent = `차량 ${number} · ${powertrain.label}`;
+        card.querySelector('[data-field="name"]').placeholder = `${powertrain.shortLabel} ${number}`;
+    },
+    
+    /**
+     * 카드 순서에 맞춰 필드 이름(v1-*, v2-*, ...), 색상, 삭제 버튼 상태 갱신
+     */
+    renumber: () => {
+        const cards = VehicleCards.getCards();
+        
+        cards.forEach((card, i) => {
+            const prefix = `v${i + 1}`;
             
-            // ICE 포인트
-            ctx.fillStyle = '#fd7e14';
-            ctx.beginPath();
-            ctx.arc(x, scaleY(result.eICE), 4, 0, 2 * Math.PI);
-            ctx.fill();
+            card.querySelectorAll('[data-field]').forEach(input => {
+                input.id = `${prefix}-${input.dataset.field}`;
+                input.name = input.id;
+            });
+            card.querySelectorAll('label[data-for]').forEach(label => {
+                label.htmlFor = `${prefix}-${label.dataset.for}`;
+            });
             
-            // BEV 포인트
-            ctx.fillStyle = '#20c997';
-            ctx.beginPath();
-            ctx.arc(x, scaleY(result.eBEV), 4, 0, 2 * Math.PI);
-            ctx.fill();
+            card.style.setProperty('--vehicle-color', ChartRenderer.colorFor(i));
+            card.querySelector('.remove-vehicle-btn').disabled = cards.length <= MIN_VEHICLES;
+            VehicleCards.updateTitle(card);
+        });
+    }
+};
+
+/**
+ * 내장 차량 모델 데이터베이스 (vehicle-data.js의 VEHICLE_DATABASE) 검색과 자동 입력
+ */
+const VehicleDatabase = {
+    /**
+     * 데이터베이스 항목 키 → 차량 카드 필드
+     */
+    FIELDS: {
+        weight: 'weight',
+        fuelEconomy: 'fuel-economy',
+        energyUse: 'energy-use',
+        hydrogenUse: 'hydrogen-use',
+        batteryCapacity: 'battery-capacity'
+    },
+    
+    /**
+     * 검색 목록에 표시하는 이름
+     */
+    labelFor: (entry) => `${entry.make} ${entry.model} (${entry.year})`,
+    
+    /**
+     * id로 항목 찾기 (없으면 null)
+     */
+    find: (id) => VEHICLE_DATABASE.find(entry => entry.id === id) || null,
+    
+    /**
+     * 검색창에 입력된 이름과 정확히 일치하는 항목 찾기 (없으면 null)
+     */
+    findByLabel: (label) => VEHICLE_DATABASE.find(entry => VehicleDatabase.labelFor(entry) === label.trim()) || null,
+    
+    /**
+     * 검색 목록(datalist) 채우기
+     */
+    populateList: () => {
+        const datalist = document.getElementById('vehicle-model-list');
+        datalist.innerHTML = '';
+        VEHICLE_DATABASE.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = VehicleDatabase.labelFor(entry);
+            datalist.appendChild(option);
         });
+    },
+    
+    /**
+     * 차량 카드에 항목 값을 채움
+     * 
+     * 항목에 없는 값은 비워 두어 추정식이 채우도록 합니다.
+     */
+    apply: (card, entry) => {
+        card.querySelector('[data-field="type"]').value = entry.type;
+        VehicleCards.applyType(card);
         
-        // 축 라벨 그리기
-        ctx.fillStyle = '#333';
-        ctx.font = '14px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('거리 (km)', canvas.width / 2, canvas.height - 10);
+        const nameInput = card.querySelector('[data-field="name"]');
+        if (nameInput.value.trim() === '') {
+            nameInput.value = `${entry.make} ${entry.model}`;
+        }
         
-        ctx.save();
-        ctx.translate(20, canvas.height / 2);
-        ctx.rotate(-Math.PI / 2);
-        ctx.textAlign = 'center';
-        ctx.fillText('누적 CO₂ 배출량 (kgCO₂e)', 0, 0);
-        ctx.restore();
+        // 소비량은 카드에서 고른 단위로 환산해 채움
+        Object.entries(VehicleDatabase.FIELDS).forEach(([key, field]) => {
+            const unitSelect = card.querySelector(`[data-field="${field}-unit"]`);
+            const value = unitSelect && entry[key] !== undefined ?
+                UnitControls.format(Units.fromCanonical(unitSelect.dataset.unitTable, unitSelect.value, entry[key])) :
+                entry[key];
+            card.querySelector(`[data-field="${field}"]`).value = value ?? '';
+        });
+        // 항목에 화학 조성이 없으면 목록의 첫 항목 (NMC811)
+        card.querySelector('[data-field="battery-chemistry"]').value = BatteryModel.chemistryOf({ chemistry: entry.batteryChemistry }).id;
+        card.querySelector('[data-field="model"]').value = entry.id;
+    },
+    
+    /**
+     * 차량 값 중 데이터베이스 항목과 같은 값의 키 목록 (사용자가 고친 값은 제외)
+     * 
+     * 다른 단위로 환산해 채운 값은 반올림되므로 상대 오차 1e-5까지 같은 값으로 봅니다.
+     */
+    matchedKeys: (vehicle) => {
+        const entry = vehicle.model ? VehicleDatabase.find(vehicle.model) : null;
+        if (!entry) return [];
+        return Object.keys(VehicleDatabase.FIELDS).filter(key => entry[key] !== undefined && vehicle[key] !== null && vehicle[key] !== undefined &&
+            Math.abs(vehicle[key] - entry[key]) <= Math.abs(entry[key]) * 1e-5);
+    }
+};
+
+/**
+ * 지역 프리셋 선택과 출처 표시
+ */
+const RegionPresets = {
+    /**
+     * id로 프리셋 찾기 (없으면 null)
+     */
+    find: (id) => REGION_PRESETS.find(preset => preset.id === id) || null,
+    
+    /**
+     * 선택 목록 채우기
+     */
+    populateSelect: () => {
+        REGION_PRESETS.forEach(preset => {
+            regionSelect.appendChild(new Option(`${preset.label} (${preset.year})`, preset.id));
+        });
+    },
+    
+    /**
+     * 선택한 프리셋 값을 폼에 채움 (프리셋에 없는 값은 그대로 둠)
+     */
+    apply: () => {
+        const preset = RegionPresets.find(regionSelect.value);
+        if (preset) {
+            Object.entries(REGION_PRESET_FIELDS).forEach(([key, field]) => {
+                if (preset[key] !== undefined) {
+                    document.getElementById(field).value = preset[key];
+                }
+            });
+        }
+        RegionPresets.updateSource();
+    },
+    
+    /**
+     * 프리셋 출처와 연도, 직접 수정한 필드 표시
+     */
+    updateSource: () => {
+        const sourceText = document.getElementById('region-source');
+        const preset = RegionPresets.find(regionSelect.value);
+        if (!preset) {
+            sourceText.textContent = '선택하면 고급 매개변수의 α_grid, φ_grid를 채우며, 채운 값은 개별 수정 가능';
+            return;
+        }
         
-        // 범례 그리기
-        const legendY = 30;
-        const legendX = canvas.width - 150;
+        const overridden = Object.entries(REGION_PRESET_FIELDS)
+            .filter(([key, field]) => preset[key] !== undefined && parseFloat(document.getElementById(field).value) !== preset[key])
+            .map(([, field]) => document.querySelector(`label[for="${field}"]`).textContent.split(' ')[0]);
         
-        // ICE 범례
-        ctx.fillStyle = '#fd7e14';
-        ctx.fillRect(legendX, legendY, 15, 3);
-        ctx.fillStyle = '#333';
-        ctx.textAlign = 'left';
-        ctx.fillText('ICE', legendX + 20, legendY + 10);
+        sourceText.textContent = `출처: ${preset.source} (${preset.year})` +
+            (overridden.length > 0 ? ` · 직접 수정: ${overridden.join(', ')}` : '');
+    }
+};
+
+/**
+ * 전력망 탄소집약도 경로 입력 관리
+ */
+const GridControls = {
+    /**
+     * 선택한 경로 방식에 해당하는 입력만 표시
+     */
+    applyMode: () => {
+        const mode = gridModeSelect.value;
+        document.querySelectorAll('[data-grid-modes]').forEach(group => {
+            group.classList.toggle('hidden', !group.dataset.gridModes.split(' ').includes(mode));
+        });
+    }
+};
+
+/**
+ * 몬테카를로 분포 입력 행 관리
+ */
+const UncertaintyControls = {
+    /**
+     * 현재 분포 입력 행 목록
+     */
+    getRows: () => Array.from(uncertaintyParamsContainer.querySelectorAll('.uncertainty-param')),
+    
+    /**
+     * 분포를 적용할 수 있는 숫자 입력 필드 목록 ({name, label})
+     * 
+     * 숨겨져 비활성화된 필드와 분석 설정 자체는 제외합니다.
+     */
+    getParameterOptions: () => {
+        return Array.from(form.querySelectorAll('input[type="number"]'))
+            .filter(input => !input.disabled && input.name && !/^(mc|sens|goal|heatmap|fleet|replace)-?/.test(input.name))
+            // "직접 입력" 연료 전용 값은 그런 차량이 있을 때만 (없으면 바꿔도 결과가 그대로)
+            .filter(input => !input.closest('[data-custom-fuel]') || FuelCatalog.customInUse())
+            .map(input => {
+                const labelText = (form.querySelector(`label[for="${input.id}"]`)?.textContent || input.name).replace(/:$/, '');
+                const card = input.closest('.vehicle-card');
+                if (!card) {
+                    return { name: input.name, label: labelText };
+                }
+                const nameInput = card.querySelector('[data-field="name"]');
+                return { name: input.name, label: `${nameInput.value.trim() || nameInput.placeholder} · ${labelText}` };
+            });
+    },
+    
+    /**
+     * 모든 행의 매개변수 선택 목록을 현재 폼에 맞춰 갱신 (선택값 유지)
+     */
+    refreshOptions: () => {
+        const options = UncertaintyControls.getParameterOptions();
         
-        // BEV 범례
-        ctx.fillStyle = '#20c997';
-        ctx.fillRect(legendX, legendY + 20, 15, 3);
-        ctx.fillStyle = '#333';
-        ctx.fillText('BEV', legendX + 20, legendY + 30);
+        UncertaintyControls.getRows().forEach(row => {
+            const select = row.querySelector('[data-field="param"]');
+            const selected = select.value;
+            select.innerHTML = '';
+            options.forEach(option => {
+                select.appendChild(new Option(option.label, option.name));
+            });
+            if (options.some(option => option.name === selected)) {
+                select.value = selected;
+            }
+        });
+    },
+    
+    /**
+     * 분포 입력 행 추가
+     */
+    add: (values = {}) => {
+        const row = uncertaintyParamTemplate.content.firstElementChild.cloneNode(true);
+        const paramSelect = row.querySelector('[data-field="param"]');
+        const distSelect = row.querySelector('[data-field="dist"]');
         
-        // 축 값 추가
-        ctx.font = '10px sans-serif';
-        ctx.textAlign = 'center';
+        paramSelect.addEventListener('focus', UncertaintyControls.refreshOptions);
+        paramSelect.addEventListener('change', () => UncertaintyControls.prefill(row));
+        distSelect.addEventListener('change', () => {
+            UncertaintyControls.applyDistribution(row);
+            UncertaintyControls.prefill(row);
+        });
+        row.querySelector('.remove-uncertainty-btn').addEventListener('click', () => {
+            row.remove();
+            UncertaintyControls.renumber();
+        });
         
-        // X축 값
-        for (let d = Math.ceil(paddedMinDistance / distanceStep) * distanceStep; d <= paddedMaxDistance; d += distanceStep) {
-            const x = scaleX(d);
-            ctx.fillText(d.toLocaleString(), x, canvas.height - padding + 20);
-        }
+        uncertaintyParamsContainer.appendChild(row);
+        UncertaintyControls.renumber();
+        UncertaintyControls.refreshOptions();
         
-        // Y축 값
-        ctx.textAlign = 'right';
-        for (let e = Math.ceil(paddedMinEmission / emissionStep) * emissionStep; e <= paddedMaxEmission; e += emissionStep) {
-            const y = scaleY(e);
-            ctx.fillText(e.toLocaleString(), padding - 10, y + 3);
+        Object.entries(values).forEach(([field, value]) => {
+            const input = row.querySelector(`[data-field="${field}"]`);
+            if (input) {
+                input.value = value;
+            }
+        });
+        UncertaintyControls.applyDistribution(row);
+        if (!values.a) {
+            UncertaintyControls.prefill(row);
         }
+        
+        return row;
+    },
+    
+    /**
+     * 모든 분포 입력 행 삭제
+     */
+    clear: () => {
+        uncertaintyParamsContainer.innerHTML = '';
+    },
+    
+    /**
+     * 분포 유형에 맞춰 입력 라벨과 세 번째 입력 표시 여부 갱신
+     */
+    applyDistribution: (row) => {
+        const { params } = MonteCarlo.DISTRIBUTIONS[row.querySelector('[data-field="dist"]').value];
+        
+        ['a', 'b', 'c'].forEach((field, i) => {
+            const input = row.querySelector(`[data-field="${field}"]`);
+            const visible = i < params.length;
+            input.closest('.form-group').classList.toggle('hidden', !visible);
+            input.disabled = !visible;
+            if (visible) {
+                row.querySelector(`label[data-for="${field}"]`).textContent = `${params[i]}:`;
+            }
+        });
+    },
+    
+    /**
+     * 선택한 필드의 현재 값을 기준으로 ±20% 범위를 채움 (값이 비어있으면 그대로 둠)
+     */
+    prefill: (row) => {
+        const name = row.querySelector('[data-field="param"]').value;
+        const input = name ? form.querySelector(`[name="${name}"]`) : null;
+        const value = input ? parseFloat(input.value) : NaN;
+        if (isNaN(value)) return;
+        
+        const spread = Math.abs(value) * 0.2;
+        const distribution = row.querySelector('[data-field="dist"]').value;
+        const values = {
+            uniform: [value - spread, value + spread],
+            triangular: [value - spread, value, value + spread],
+            normal: [value, spread / 2]
+        }[distribution];
+        
+        values.forEach((v, i) => {
+            row.querySelector(`[data-field="${'abc'[i]}"]`).value = parseFloat(v.toPrecision(6));
+        });
+    },
+    
+    /**
+     * 행 순서에 맞춰 필드 이름(mc1-*, mc2-*, ...) 갱신
+     */
+    renumber: () => {
+        UncertaintyControls.getRows().forEach((row, i) => {
+            const prefix = `mc${i + 1}`;
+            
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.id = `${prefix}-${input.dataset.field}`;
+                input.name = input.id;
+            });
+            row.querySelectorAll('label[data-for]').forEach(label => {
+                label.htmlFor = `${prefix}-${label.dataset.for}`;
+            });
+        });
     }
 };
 
 /**
- * 내보내기 기능
+ * 충전 프로필 입력 관리
  */
-const Exporter = {
+const ChargingControls = {
     /**
-     * 결과를 CSV로 내보내기
+     * 충전 프로필 사용 여부에 따라 세부 입력 표시
      */
-    exportToCSV: (results) => {
-        const headers = [
-            '거리 (km)',
-            'E_ICE(d) (kgCO₂e)',
-            'E_BEV(d) (kgCO₂e)',
-            'Δ (BEV - ICE) (kgCO₂e)',
-            'k_ICE (kgCO₂e/km)',
-            'k_BEV (kgCO₂e/km)',
-            'PE_BEV(d) (MJ)'
-        ];
-        
-        const csvContent = [
-            headers.join(','),
-            ...results.map(row => [
-                row.distance,
-                row.eICE.toFixed(0),
-                row.eBEV.toFixed(0),
-                row.delta.toFixed(0),
-                row.kICE.toFixed(3),
-                row.kBEV.toFixed(3),
-                row.peBEV.toFixed(0)
-            ].join(','))
-        ].join('\n');
-        
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', 'ice_vs_bev_emissions.csv');
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    applyMode: () => {
+        const mode = chargingModeSelect.value;
+        document.querySelectorAll('[data-charging-modes]').forEach(group => {
+            group.classList.toggle('hidden', !group.dataset.chargingModes.split(' ').includes(mode));
+        });
     }
 };
 
 /**
- * URL 상태 관리
+ * 총소유비용 입력 관리
  */
-const URLState = {
+const CostControls = {
     /**
-     * 현재 폼 상태를 URL 매개변수로 인코딩
+     * 비용 계산 여부에 따라 공통 입력과 차량별 비용 입력 표시
      */
-    encodeToURL: () => {
-        const formData = new FormData(form);
-        const params = new URLSearchParams();
-        
-        // 모든 폼 필드를 URL에 추가
-        for (const [key, value] of formData.entries()) {
-            if (value.trim() !== '') {
-                params.set(key, value);
-            }
+    applyMode: () => {
+        const enabled = costModeSelect.value === 'on';
+        document.querySelectorAll('[data-cost-inputs]').forEach(group => {
+            group.classList.toggle('hidden', !enabled);
+        });
+    }
+};
+
+/**
+ * 주행 조건 입력 관리
+ */
+const DrivingCycleControls = {
+    /**
+     * 주행 조건 사용 여부에 따라 세부 입력 표시
+     */
+    applyMode: () => {
+        const mode = cycleModeSelect.value;
+        document.querySelectorAll('[data-cycle-modes]').forEach(group => {
+            group.classList.toggle('hidden', !group.dataset.cycleModes.split(' ').includes(mode));
+        });
+    }
+};
+
+/**
+ * 단위 선택 (거리 단위, 차량 카드의 연료·전력 소비량 단위)
+ * 
+ * 단위를 바꾸면 그 단위를 따르는 입력의 값을 새 단위로 환산해 같은 양을 유지하고 라벨의 단위 표시를 갱신합니다.
+ * - 단위 선택: select[data-unit-table] (Units의 표 이름), data-unit-target은 따르는 입력·라벨의 이름
+ * - 입력: data-unit="distance"(거리), "per-distance"(거리당 값), 차량 카드는 data-unit="<필드 이름>"
+ * - 라벨: [data-unit-label="<이름>"]의 글자를 현재 단위로 바꿈
+ * 환산 전 단위는 select의 data-current에 두며, 코드로 값을 바꾼 뒤에는 refresh로 맞춥니다.
+ */
+const UnitControls = {
+    /**
+     * 입력 칸에 넣을 환산 값 (유효숫자 7자리)
+     */
+    format: (value) => String(parseFloat(value.toPrecision(7))),
+    
+    /**
+     * 입력 값의 숫자를 하나씩 환산 (거리 목록, 범위처럼 숫자가 여러 개인 입력 포함)
+     * 
+     * cell을 주면 줄마다 쉼표로 나눈 그 칸만 환산합니다 (차량군 목록의 연간 주행거리).
+     * 값을 고치지 않고 단위만 오가면 반올림 오차가 쌓이지 않도록 단위별로 마지막 값을 기억해 되돌립니다.
+     */
+    convertInput: (input, convert, fromKey, toKey) => {
+        const history = JSON.parse(input.dataset.unitHistory ?? '{}');
+        const known = history[fromKey] === input.value ? history : { [fromKey]: input.value };
+        if (known[toKey] !== undefined) {
+            input.value = known[toKey];
+            input.dataset.unitHistory = JSON.stringify(known);
+            return;
         }
         
-        return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+        const convertText = (text) => text.replace(/\d+(\.\d+)?/g, match => {
+            const value = convert(parseFloat(match));
+            return isFinite(value) ? UnitControls.format(value) : match;
+        });
+        const cell = input.dataset.unitCell === undefined ? null : parseInt(input.dataset.unitCell, 10);
+        input.value = cell === null ? convertText(input.value) : input.value.split('\n').map(line => {
+            const cells = line.split(',');
+            if (cells.length > cell && !isNaN(parseFloat(cells[cell]))) {
+                cells[cell] = convertText(cells[cell]);
+            }
+            return cells.join(',');
+        }).join('\n');
+        input.dataset.unitHistory = JSON.stringify({ ...known, [toKey]: input.value });
     },
     
     /**
-     * URL 매개변수를 폼 상태로 디코딩
+     * 단위 선택이 바뀌었을 때 따르는 입력의 값을 환산
      */
-    decodeFromURL: () => {
-        const params = new URLSearchParams(window.location.search);
-        
-        // 기존 오류 메시지 지우기
-        const existingErrors = document.querySelectorAll('.error-message');
-        existingErrors.forEach(el => el.remove());
+    convert: (select) => {
+        const table = select.dataset.unitTable;
+        const fromKey = Units.keyOf(table, select.dataset.current);
+        const toKey = Units.keyOf(table, select.value);
+        const from = Units.find(table, fromKey);
+        const to = Units.find(table, toKey);
+        const scope = select.closest('.vehicle-card') ?? form;
         
-        // URL 매개변수에서 폼 값 설정
-        for (const [key, value] of params.entries()) {
-            const input = form.querySelector(`[name="${key}"]`);
-            if (input) {
-                input.value = value;
-            }
+        if (table === 'DISTANCE') {
+            scope.querySelectorAll('[data-unit="distance"]').forEach(input => {
+                UnitControls.convertInput(input, value => value * from.km / to.km, fromKey, toKey);
+            });
+            scope.querySelectorAll('[data-unit="per-distance"]').forEach(input => {
+                UnitControls.convertInput(input, value => value * to.km / from.km, fromKey, toKey);
+            });
+        } else {
+            scope.querySelectorAll(`[data-unit="${select.dataset.unitTarget}"]`).forEach(input => {
+                UnitControls.convertInput(input, value => to.fromCanonical(from.toCanonical(value)), fromKey, toKey);
+            });
         }
+        
+        UnitControls.refresh();
     },
     
     /**
-     * 공유 URL을 클립보드에 복사
+     * 모든 단위 선택의 현재 값을 기록하고 라벨의 단위 표시 갱신 (값은 환산하지 않음)
+     * 
+     * 연비 단위는 카드의 연료가 L 단위가 아니면(CNG: kg) 정규 단위로 고정하고 선택을 비활성화하며,
+     * 차량 카드의 연료 가격 단위([data-fuel-unit])도 고른 연료·수소의 단위로 바꿉니다.
      */
-    copyShareURL: async () => {
-        try {
-            const url = URLState.encodeToURL();
-            await navigator.clipboard.writeText(url);
-            
-            // 성공 피드백 표시
-            const originalText = copyUrlBtn.textContent;
-            copyUrlBtn.textContent = 'URL 복사됨!';
-            copyUrlBtn.style.backgroundColor = 'var(--success-color)';
-            
-            setTimeout(() => {
-                copyUrlBtn.textContent = originalText;
-                copyUrlBtn.style.backgroundColor = '';
-            }, 2000);
-        } catch (error) {
-            console.error('URL 복사 실패:', error);
-            // 구형 브라우저용 대체 방법
-            const url = URLState.encodeToURL();
-            const textArea = document.createElement('textarea');
-            textArea.value = url;
-            document.body.appendChild(textArea);
-            textArea.select();
-            document.execCommand('copy');
-            document.body.removeChild(textArea);
-            
-            copyUrlBtn.textContent = 'URL 복사됨!';
-            setTimeout(() => {
-                copyUrlBtn.textContent = '공유 URL 복사';
-            }, 2000);
-        }
+    refresh: () => {
+        document.querySelectorAll('select[data-unit-table]').forEach(select => {
+            const scope = select.closest('.vehicle-card') ?? document;
+            let label = Units.find(select.dataset.unitTable, select.value).label;
+            if (select.dataset.unitTable === 'FUEL') {
+                const fuelSelect = scope.querySelector('[data-field="fuel"]');
+                const fuelUnit = FuelCatalog.unitOf(fuelSelect.value);
+                if (fuelUnit !== 'L') {
+                    select.value = 'l-100km';
+                    label = Units.fuelLabel(Units.FUEL['l-100km'].label, fuelUnit);
+                }
+                select.options[0].textContent = Units.fuelLabel(Units.FUEL['l-100km'].label, fuelUnit);
+                select.disabled = fuelSelect.disabled || fuelUnit !== 'L';
+            }
+            select.dataset.current = select.value;
+            scope.querySelectorAll(`[data-unit-label="${select.dataset.unitTarget}"]`).forEach(span => {
+                span.textContent = label;
+            });
+        });
+        
+        VehicleCards.getCards().forEach(card => {
+            const fuelSelect = card.querySelector('[data-field="fuel"]:not(:disabled), [data-field="hydrogen"]:not(:disabled)');
+            if (!fuelSelect) return;
+            card.querySelectorAll('[data-fuel-unit]').forEach(span => {
+                span.textContent = FuelCatalog.unitOf(fuelSelect.value);
+            });
+        });
     }
 };
 
@@ -736,12 +6633,18 @@ const FormReset = {
         
         // 기본값 설정
         document.getElementById('distances').value = '0,20000,40000,60000,100000';
-        document.getElementById('alpha-fuel').value = '2.7';
+        document.getElementById('alpha-fuel').value = '2.18';
         document.getElementById('alpha-grid').value = '0.45';
         document.getElementById('phi-grid').value = '8.5';
-        document.getElementById('alpha-bat-per-kwh').value = '80';
-        document.getElementById('ice-weight').value = '1750';
-        document.getElementById('bev-weight').value = '1900';
+        VehicleCards.setDefaults();
+        GridControls.applyMode();
+        ChargingControls.applyMode();
+        DrivingCycleControls.applyMode();
+        CostControls.applyMode();
+        GoalSeekControls.applyMode();
+        RegionPresets.updateSource();
+        UnitControls.refresh();
+        UncertaintyControls.clear();
         
         // 결과 지우기
         resultsSection.style.display = 'none';
@@ -773,22 +6676,366 @@ const computeResults = () => {
         // 입력 파싱
         const inputs = InputParser.parseFormInputs();
         
-        // 결과 계산
+        // 결과 계산 (자동 범위면 차트용 곡선도)
         const results = Calculator.calculate(inputs);
+        results.curve = Calculator.calculateCurve(results);
         currentResults = results;
         
         // UI 업데이트
         UIRenderer.updateKeyMetrics(results);
-        UIRenderer.updateDerivedValues(inputs, results.derived);
-        UIRenderer.updateResultsTable(results.results);
+        UIRenderer.updateDerivedValues(inputs, results.derived, results.profiles);
+        UIRenderer.updateConditionTable(results);
+        UIRenderer.updateResultsTable(results);
+        UIRenderer.updatePhaseTable(results);
         UIRenderer.showResults();
         
+        // 이전 입력으로 구한 불확실성·민감도 결과는 숨김
+        document.getElementById('uncertainty-results').style.display = 'none';
+        document.getElementById('sensitivity-container').style.display = 'none';
+        document.getElementById('goal-seek-metric').classList.add('hidden');
+        document.getElementById('heatmap-results').style.display = 'none';
+        document.getElementById('fleet-results').style.display = 'none';
+        document.getElementById('replacement-results').style.display = 'none';
+        document.getElementById('batch-results').style.display = 'none';
+        
         // 차트 그리기
-        ChartRenderer.draw(results.results, results.breakEven);
+        ChartRenderer.render(results);
+        ChartRenderer.drawPhaseBreakdown(results.results, inputs.vehicles, Units.distanceUnit(inputs));
+        document.getElementById('cost-chart-container').classList.toggle('hidden', !results.costs);
+        if (results.costs) {
+            ChartRenderer.drawCost(results.curve ?? results.results, results.costs.breakEvens, inputs.vehicles, results.results, Units.distanceUnit(inputs));
+        }
+        ChartRenderer.drawEnergy(results.curve ?? results.results, results.energy.breakEvens, inputs.vehicles, results.results, Units.distanceUnit(inputs));
         
+        return results;
     } catch (error) {
         UIRenderer.showError(error.message);
         console.error('계산 오류:', error);
+        return null;
+    }
+};
+
+/**
+ * 몬테카를로 불확실성 분석 실행
+ * 
+ * 기준 입력으로 먼저 계산한 뒤, 그 결과 위에 신뢰 구간을 덧그립니다.
+ */
+const runUncertaintyAnalysis = async () => {
+    const results = computeResults();
+    if (!results) return;
+    
+    const label = runUncertaintyBtn.textContent;
+    runUncertaintyBtn.disabled = true;
+    try {
+        const formData = new FormData(form);
+        const settings = InputParser.parseUncertainty(formData);
+        const uncertainty = await MonteCarlo.run(formData, settings, (done, total) => {
+            runUncertaintyBtn.textContent = `계산 중... (${done.toLocaleString()}/${total.toLocaleString()})`;
+        });
+        // 실행 중 다시 계산했다면 지난 결과 위에 그리지 않음
+        if (currentResults !== results) return;
+        results.uncertainty = uncertainty;
+        
+        UIRenderer.updateUncertaintyResults(results.inputs, uncertainty);
+        ChartRenderer.render(results, uncertainty);
+        
+    } catch (error) {
+        UIRenderer.showError(error.message);
+        console.error('불확실성 분석 오류:', error);
+    } finally {
+        runUncertaintyBtn.disabled = false;
+        runUncertaintyBtn.textContent = label;
+    }
+};
+
+/**
+ * 민감도 분석 실행 (기준 입력으로 먼저 계산)
+ */
+const runSensitivityAnalysis = () => {
+    const results = computeResults();
+    if (!results) return;
+    
+    try {
+        const formData = new FormData(form);
+        const settings = InputParser.parseSensitivity(formData, results.inputs.vehicles.length);
+        const sensitivity = Sensitivity.run(formData, settings);
+        results.sensitivity = sensitivity;
+        
+        UIRenderer.updateSensitivityResults(results.inputs, sensitivity);
+        ChartRenderer.drawTornado(sensitivity, tornadoMetricSelect.value);
+        
+    } catch (error) {
+        UIRenderer.showError(error.message);
+        console.error('민감도 분석 오류:', error);
+    }
+};
+
+/**
+ * 목표 탐색 실행 (기준 결과를 먼저 계산한 뒤 해 표시)
+ */
+const runGoalSeek = () => {
+    const results = computeResults();
+    if (!results) return;
+    
+    try {
+        const formData = new FormData(form);
+        const settings = InputParser.parseGoalSeek(formData, results.inputs.vehicles.length);
+        const goal = GoalSeek.run(formData, settings);
+        results.goalSeek = goal;
+        
+        const option = UncertaintyControls.getParameterOptions().find(param => param.name === goal.name);
+        UIRenderer.updateGoalSeekResult(results.inputs, goal, option ? option.label : goal.name);
+        
+    } catch (error) {
+        UIRenderer.showError(error.message);
+        console.error('목표 탐색 오류:', error);
+    }
+};
+
+/**
+ * 히트맵 실행 (기준 결과를 먼저 계산한 뒤 격자 계산)
+ */
+const runHeatmap = () => {
+    const results = computeResults();
+    if (!results) return;
+    
+    try {
+        const formData = new FormData(form);
+        const settings = InputParser.parseHeatmap(formData, results.inputs.vehicles.length);
+        const heatmap = Heatmap.run(formData, settings);
+        
+        const options = UncertaintyControls.getParameterOptions();
+        const labelOf = (name) => options.find(option => option.name === name)?.label ?? name;
+        const [a, b] = heatmap.pair;
+        heatmap.labels = {
+            x: labelOf(heatmap.x.name),
+            y: labelOf(heatmap.y.name),
+            title: `${results.inputs.vehicles[a].name} ↔ ${results.inputs.vehicles[b].name} 손익분기점 거리 (${Units.distanceUnit(results.inputs).label})`
+        };
+        results.heatmap = heatmap;
+        
+        ChartRenderer.drawHeatmap(heatmap, heatmap.labels);
+        document.getElementById('heatmap-results').style.display = 'block';
+        
+    } catch (error) {
+        UIRenderer.showError(error.message);
+        console.error('히트맵 오류:', error);
+    }
+};
+
+/**
+ * 차량군 분석 실행 (기준 결과의 차량 카드 프로필 사용)
+ */
+const runFleetAnalysis = () => {
+    const results = computeResults();
+    if (!results) return;
+    
+    try {
+        const settings = InputParser.parseFleet(new FormData(form), results.inputs.vehicles.length);
+        const fleet = Fleet.run(results, settings);
+        results.fleet = fleet;
+        
+        UIRenderer.updateFleetResults(fleet);
+        ChartRenderer.drawFleet(fleet);
+        
+    } catch (error) {
+        UIRenderer.showError(error.message);
+        console.error('차량군 분석 오류:', error);
+    }
+};
+
+/**
+ * 유지 vs 교체 판단 실행 (차량 1이 기존 차량)
+ */
+const runReplacementAnalysis = () => {
+    const results = computeResults();
+    if (!results) return;
+    
+    try {
+        const { inputs } = results;
+        const settings = InputParser.parseReplacement(new FormData(form), inputs.vehicles.length, inputs.lifetime);
+        const replacement = Replacement.run(results, settings);
+        results.replacement = replacement;
+        
+        UIRenderer.updateReplacementResults(inputs, replacement);
+        ChartRenderer.drawReplacement(replacement, inputs.vehicles, Units.distanceUnit(inputs));
+        
+    } catch (error) {
+        UIRenderer.showError(error.message);
+        console.error('교체 판단 오류:', error);
+    }
+};
+
+/**
+ * 차량군 목록 파일(CSV)을 읽어 입력란에 채움
+ */
+const loadFleetFile = async (event) => {
+    const [file] = event.target.files;
+    if (!file) return;
+    document.getElementById('fleet-groups').value = (await file.text()).replace(/^\uFEFF/, '').trim();
+    event.target.value = '';
+};
+
+/**
+ * 시나리오 파일을 읽어 일괄 계산
+ */
+const runScenarioBatch = async (event) => {
+    const [file] = event.target.files;
+    if (!file) return;
+    event.target.value = '';
+    
+    const results = computeResults();
+    if (!results) return;
+    
+    try {
+        const scenarios = ScenarioBatch.parseFile(await file.text(), file.name);
+        const batch = ScenarioBatch.run(new FormData(form), scenarios);
+        results.batch = batch;
+        
+        UIRenderer.updateBatchResults(batch);
+        
+    } catch (error) {
+        UIRenderer.showError(error.message);
+        console.error('일괄 계산 오류:', error);
+    }
+};
+
+/**
+ * 목표 탐색 입력 관리
+ */
+const GoalSeekControls = {
+    /**
+     * 입력 선택 목록을 현재 폼에 맞춰 갱신 (선택값 유지, 목표 탐색과 히트맵 축 공용)
+     * 
+     * 선택값이 목록에 없으면 기본 입력 중 목록에 있는 첫 항목, 그것도 없으면 목록의 첫 항목을 고릅니다.
+     */
+    refreshOptions: () => {
+        const options = UncertaintyControls.getParameterOptions();
+        [[goalParamSelect, /^alpha-grid$/], [heatmapXSelect, /^alpha-grid$/], [heatmapYSelect, /^v\d+-battery-capacity$/]].forEach(([select, fallback]) => {
+            const selected = select.value;
+            select.innerHTML = '';
+            options.forEach(option => {
+                select.appendChild(new Option(option.label, option.name));
+            });
+            const kept = options.find(option => option.name === selected) ??
+                options.find(option => fallback.test(option.name)) ?? options[0];
+            select.value = kept ? kept.name : '';
+        });
+    },
+    
+    /**
+     * 목표 종류에 따라 목표 거리 입력 표시
+     */
+    applyMode: () => {
+        document.querySelectorAll('[data-goal-metrics]').forEach(group => {
+            group.classList.toggle('hidden', !group.dataset.goalMetrics.split(' ').includes(goalMetricSelect.value));
+        });
+    }
+};
+
+/**
+ * 시나리오 라이브러리 관리 (저장, 이름 바꾸기, 복제, 삭제, 비교)
+ */
+const LibraryControls = {
+    /**
+     * 저장소 목록을 다시 그림 (체크한 시나리오 유지)
+     */
+    refresh: () => {
+        const selectedIds = new Set(LibraryControls.getSelectedIds());
+        UIRenderer.updateLibraryList(ScenarioLibrary.load(), selectedIds);
+    },
+    
+    getSelectedIds: () => Array.from(document.querySelectorAll('#library-list [data-field="select"]:checked'))
+        .map(input => input.closest('.library-item').dataset.id),
+    
+    /**
+     * 현재 입력을 이름 입력란의 이름으로 저장
+     */
+    save: () => {
+        try {
+            const nameInput = document.getElementById('library-name');
+            ScenarioLibrary.save(nameInput.value, new FormData(form));
+            nameInput.value = '';
+            LibraryControls.refresh();
+        } catch (error) {
+            UIRenderer.showError(error.message);
+        }
+    },
+    
+    /**
+     * 목록 버튼 처리 (불러오기, 복제, 삭제)
+     */
+    handleAction: (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        const { id } = button.closest('.library-item').dataset;
+        
+        try {
+            if (button.dataset.action === 'load') {
+                const scenario = ScenarioLibrary.find(id);
+                if (!scenario) {
+                    throw new Error('시나리오를 찾을 수 없습니다');
+                }
+                URLState.applyParams(new URLSearchParams(Object.entries(scenario.values)));
+                computeResults();
+            } else if (button.dataset.action === 'duplicate') {
+                ScenarioLibrary.duplicate(id);
+                LibraryControls.refresh();
+            } else if (button.dataset.action === 'delete') {
+                ScenarioLibrary.remove(id);
+                LibraryControls.refresh();
+            }
+        } catch (error) {
+            UIRenderer.showError(error.message);
+        }
+    },
+    
+    /**
+     * 목록의 이름 입력을 고치면 이름 바꾸기 (빈 이름이면 원래 이름으로 되돌림)
+     */
+    handleRename: (event) => {
+        if (event.target.dataset.field !== 'name') return;
+        
+        try {
+            ScenarioLibrary.rename(event.target.closest('.library-item').dataset.id, event.target.value);
+        } catch (error) {
+            UIRenderer.showError(error.message);
+        }
+        LibraryControls.refresh();
+    },
+    
+    /**
+     * 체크한 두 시나리오 비교
+     */
+    compare: () => {
+        try {
+            const ids = LibraryControls.getSelectedIds();
+            if (ids.length !== 2) {
+                throw new Error('비교할 시나리오를 정확히 두 개 선택해주세요');
+            }
+            const [a, b] = ids.map(ScenarioLibrary.find);
+            UIRenderer.updateLibraryDiff(ScenarioLibrary.diff(a, b));
+        } catch (error) {
+            UIRenderer.showError(error.message);
+            console.error('시나리오 비교 오류:', error);
+        }
+    },
+    
+    /**
+     * 라이브러리 JSON 파일 가져오기
+     */
+    importFile: async (event) => {
+        const [file] = event.target.files;
+        if (!file) return;
+        event.target.value = '';
+        
+        try {
+            ScenarioLibrary.importJSON(await file.text());
+            LibraryControls.refresh();
+        } catch (error) {
+            UIRenderer.showError(error.message);
+            console.error('라이브러리 가져오기 오류:', error);
+        }
     }
 };
 
@@ -805,7 +7052,7 @@ const setupEventListeners = () => {
     // CSV 다운로드 버튼
     downloadCsvBtn.addEventListener('click', () => {
         if (currentResults) {
-            Exporter.exportToCSV(currentResults.results);
+            Exporter.exportToCSV(currentResults);
         } else {
             UIRenderer.showError('내보낼 결과가 없습니다. 먼저 계산해주세요.');
         }
@@ -814,6 +7061,122 @@ const setupEventListeners = () => {
     // URL 복사 버튼
     copyUrlBtn.addEventListener('click', URLState.copyShareURL);
     
+    // 차량 추가 버튼
+    addVehicleBtn.addEventListener('click', () => VehicleCards.add());
+    
+    // 전력망 경로 방식 선택
+    gridModeSelect.addEventListener('change', GridControls.applyMode);
+    
+    // 충전 프로필 사용 여부
+    chargingModeSelect.addEventListener('change', ChargingControls.applyMode);
+    
+    // 주행 조건 사용 여부
+    cycleModeSelect.addEventListener('change', DrivingCycleControls.applyMode);
+    
+    // 목표 탐색
+    runGoalSeekBtn.addEventListener('click', runGoalSeek);
+    goalParamSelect.addEventListener('focus', GoalSeekControls.refreshOptions);
+    goalMetricSelect.addEventListener('change', GoalSeekControls.applyMode);
+    
+    // 다른 형식으로 내보내기
+    const exportActions = {
+        'export-json-btn': Exporter.exportToJSON,
+        'export-xlsx-btn': Exporter.exportToXLSX,
+        'export-png-btn': () => Exporter.exportCanvasPNG(canvas, 'ice_vs_bev_chart.png'),
+        'export-svg-btn': Exporter.exportChartSVG,
+        'export-report-btn': Exporter.openReport
+    };
+    Object.entries(exportActions).forEach(([id, action]) => {
+        document.getElementById(id).addEventListener('click', () => {
+            if (currentResults) {
+                action(currentResults);
+            }
+        });
+    });
+    
+    // 시나리오 일괄 계산
+    document.getElementById('batch-file').addEventListener('change', runScenarioBatch);
+    document.getElementById('batch-template-btn').addEventListener('click', () => {
+        Exporter.exportScenarioTemplate(new FormData(form));
+    });
+    document.getElementById('batch-csv-btn').addEventListener('click', () => {
+        if (currentResults && currentResults.batch) {
+            Exporter.exportBatchCSV(currentResults.batch);
+        }
+    });
+    
+    // 시나리오 라이브러리
+    document.getElementById('library-save-btn').addEventListener('click', LibraryControls.save);
+    document.getElementById('library-list').addEventListener('click', LibraryControls.handleAction);
+    document.getElementById('library-list').addEventListener('change', LibraryControls.handleRename);
+    document.getElementById('library-compare-btn').addEventListener('click', LibraryControls.compare);
+    document.getElementById('library-export-btn').addEventListener('click', () => {
+        Exporter.exportLibraryJSON(ScenarioLibrary.load());
+    });
+    document.getElementById('library-file').addEventListener('change', LibraryControls.importFile);
+    document.getElementById('library-diff-changed-only').addEventListener('change', (e) => {
+        document.getElementById('library-diff-table').classList.toggle('changed-only', e.target.checked);
+    });
+    document.getElementById('library-controls').addEventListener('keypress', (e) => {
+        // 라이브러리 입력의 Enter는 계산 대신 저장·이름 바꾸기
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.target.id === 'library-name') {
+            LibraryControls.save();
+        } else {
+            e.target.blur();
+        }
+    });
+    
+    // 차량군 분석
+    runFleetBtn.addEventListener('click', runFleetAnalysis);
+    document.getElementById('fleet-file').addEventListener('change', loadFleetFile);
+    
+    // 유지 vs 교체 판단
+    runReplacementBtn.addEventListener('click', runReplacementAnalysis);
+    
+    // 히트맵
+    runHeatmapBtn.addEventListener('click', runHeatmap);
+    heatmapXSelect.addEventListener('focus', GoalSeekControls.refreshOptions);
+    heatmapYSelect.addEventListener('focus', GoalSeekControls.refreshOptions);
+    document.getElementById('heatmap-png-btn').addEventListener('click', () => {
+        Exporter.exportCanvasPNG(heatmapCanvas, 'break_even_heatmap.png');
+    });
+    document.getElementById('heatmap-csv-btn').addEventListener('click', () => {
+        if (currentResults && currentResults.heatmap) {
+            Exporter.exportHeatmapCSV(currentResults.heatmap, currentResults.heatmap.labels);
+        }
+    });
+    
+    // 총소유비용 계산 여부
+    costModeSelect.addEventListener('change', CostControls.applyMode);
+    
+    // 지역 프리셋 선택과 개별 수정 표시
+    regionSelect.addEventListener('change', RegionPresets.apply);
+    Object.values(REGION_PRESET_FIELDS).forEach(field => {
+        document.getElementById(field).addEventListener('input', RegionPresets.updateSource);
+    });
+    
+    // 불확실성 분석
+    addUncertaintyBtn.addEventListener('click', () => UncertaintyControls.add());
+    runUncertaintyBtn.addEventListener('click', runUncertaintyAnalysis);
+    
+    // 민감도 분석
+    runSensitivityBtn.addEventListener('click', runSensitivityAnalysis);
+    tornadoMetricSelect.addEventListener('change', () => {
+        if (currentResults && currentResults.sensitivity) {
+            ChartRenderer.drawTornado(currentResults.sensitivity, tornadoMetricSelect.value);
+        }
+    });
+    
+    // 단위 선택 (나중에 추가되는 차량 카드도 포함하도록 폼에서 위임)
+    form.addEventListener('change', (e) => {
+        if (e.target.matches('select[data-unit-table]')) {
+            UnitControls.convert(e.target);
+        }
+    });
+    
     // 폼 제출 (기본 동작 방지)
     form.addEventListener('submit', (e) => {
         e.preventDefault();
@@ -822,7 +7185,8 @@ const setupEventListeners = () => {
     
     // 입력에서 Enter 키로 계산 트리거
     form.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
+        // 여러 줄 입력(차량군 목록)의 Enter는 줄바꿈
+        if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
             e.preventDefault();
             computeResults();
         }
@@ -836,6 +7200,20 @@ const init = () => {
     // 차트 초기화
     ChartRenderer.init();
     
+    // 지역 프리셋·차량 모델 검색 목록과 기본 차량 카드 생성
+    RegionPresets.populateSelect();
+    FuelCatalog.populateSelects();
+    BatteryModel.populateSelects();
+    VehicleDatabase.populateList();
+    VehicleCards.setDefaults();
+    GridControls.applyMode();
+    ChargingControls.applyMode();
+    DrivingCycleControls.applyMode();
+    CostControls.applyMode();
+    GoalSeekControls.refreshOptions();
+    GoalSeekControls.applyMode();
+    LibraryControls.refresh();
+    
     // 이벤트 리스너 설정
     setupEventListeners();
     
@@ -0,0 +1,65 @@
+/**
+ * 내장 차량 모델 데이터베이스 (오프라인)
+ *
+ * 제조사 공개 제원과 공인 복합 소비량(WLTP 또는 국내 공인 기준)을 정리한 근사값입니다.
+ * 트림·옵션에 따라 실제 값은 다를 수 있으므로, 불러온 뒤 필요하면 직접 수정하세요.
+ *
+ * - weight: 공차중량 (kg)
+ * - fuelEconomy: 연료 소비량 (L/100 km) - ICE, HEV, PHEV(충전 유지 모드)
+ * - energyUse: 전력 소비량 (kWh/100 km) - BEV, PHEV
+ * - hydrogenUse: 수소 소비량 (kg/100 km) - FCEV
+ * - batteryCapacity: 배터리 총 용량 (kWh) - BEV, HEV, PHEV, FCEV
+ * - batteryChemistry: 배터리 화학 조성 id (BATTERY_CHEMISTRIES, 선택) - 없으면 NMC811
+ */
+const VEHICLE_DATABASE = [
+    // 내연기관차 (ICE)
+    { id: 'hyundai-avante-16-2023', make: 'Hyundai', model: 'Avante 1.6 MPi', year: 2023, type: 'ice', weight: 1250, fuelEconomy: 6.8 },
+    { id: 'hyundai-sonata-20-2023', make: 'Hyundai', model: 'Sonata 2.0', year: 2023, type: 'ice', weight: 1475, fuelEconomy: 7.9 },
+    { id: 'hyundai-grandeur-25-2023', make: 'Hyundai', model: 'Grandeur 2.5 GDi', year: 2023, type: 'ice', weight: 1625, fuelEconomy: 8.9 },
+    { id: 'hyundai-tucson-16t-2023', make: 'Hyundai', model: 'Tucson 1.6 T-GDi', year: 2023, type: 'ice', weight: 1580, fuelEconomy: 8.1 },
+    { id: 'hyundai-santafe-25t-2024', make: 'Hyundai', model: 'Santa Fe 2.5 T-GDi', year: 2024, type: 'ice', weight: 1835, fuelEconomy: 9.8 },
+    { id: 'kia-k5-20-2023', make: 'Kia', model: 'K5 2.0', year: 2023, type: 'ice', weight: 1450, fuelEconomy: 7.8 },
+    { id: 'kia-sportage-16t-2023', make: 'Kia', model: 'Sportage 1.6 T-GDi', year: 2023, type: 'ice', weight: 1565, fuelEconomy: 8.0 },
+    { id: 'kia-sorento-25t-2023', make: 'Kia', model: 'Sorento 2.5 T-GDi', year: 2023, type: 'ice', weight: 1785, fuelEconomy: 9.9 },
+    { id: 'genesis-g80-25t-2023', make: 'Genesis', model: 'G80 2.5T', year: 2023, type: 'ice', weight: 1825, fuelEconomy: 10.0 },
+    { id: 'toyota-corolla-18-2023', make: 'Toyota', model: 'Corolla 1.8', year: 2023, type: 'ice', weight: 1300, fuelEconomy: 6.5 },
+    { id: 'toyota-camry-25-2023', make: 'Toyota', model: 'Camry 2.5', year: 2023, type: 'ice', weight: 1545, fuelEconomy: 7.6 },
+    { id: 'honda-civic-15t-2023', make: 'Honda', model: 'Civic 1.5 Turbo', year: 2023, type: 'ice', weight: 1330, fuelEconomy: 6.6 },
+    { id: 'vw-golf-15tsi-2023', make: 'Volkswagen', model: 'Golf 1.5 TSI', year: 2023, type: 'ice', weight: 1310, fuelEconomy: 5.9 },
+    { id: 'bmw-320i-2023', make: 'BMW', model: '320i', year: 2023, type: 'ice', weight: 1545, fuelEconomy: 6.8 },
+    { id: 'mercedes-c200-2023', make: 'Mercedes-Benz', model: 'C 200', year: 2023, type: 'ice', weight: 1650, fuelEconomy: 7.0 },
+    { id: 'ford-f150-35-2023', make: 'Ford', model: 'F-150 3.5 EcoBoost', year: 2023, type: 'ice', weight: 2180, fuelEconomy: 12.4 },
+
+    // 하이브리드 (HEV)
+    { id: 'toyota-prius-20-2023', make: 'Toyota', model: 'Prius 2.0 HEV', year: 2023, type: 'hev', weight: 1420, fuelEconomy: 4.4, batteryCapacity: 0.9 },
+    { id: 'hyundai-grandeur-hev-2023', make: 'Hyundai', model: 'Grandeur 1.6T Hybrid', year: 2023, type: 'hev', weight: 1705, fuelEconomy: 5.7, batteryCapacity: 1.5 },
+    { id: 'kia-sorento-hev-2023', make: 'Kia', model: 'Sorento 1.6T Hybrid', year: 2023, type: 'hev', weight: 1800, fuelEconomy: 6.6, batteryCapacity: 1.5 },
+
+    // 플러그인 하이브리드 (PHEV)
+    { id: 'mitsubishi-outlander-phev-2023', make: 'Mitsubishi', model: 'Outlander PHEV', year: 2023, type: 'phev', weight: 2110, fuelEconomy: 7.4, energyUse: 22.5, batteryCapacity: 20.0 },
+    { id: 'bmw-330e-2023', make: 'BMW', model: '330e', year: 2023, type: 'phev', weight: 1815, fuelEconomy: 6.2, energyUse: 17.0, batteryCapacity: 12.0 },
+    { id: 'toyota-rav4-phev-2023', make: 'Toyota', model: 'RAV4 Plug-in Hybrid', year: 2023, type: 'phev', weight: 1910, fuelEconomy: 6.0, energyUse: 19.0, batteryCapacity: 18.1 },
+
+    // 배터리 전기차 (BEV)
+    { id: 'hyundai-ioniq5-lr-2023', make: 'Hyundai', model: 'IONIQ 5 Long Range 2WD', year: 2023, type: 'bev', weight: 1950, energyUse: 16.8, batteryCapacity: 77.4 },
+    { id: 'hyundai-ioniq6-lr-2023', make: 'Hyundai', model: 'IONIQ 6 Long Range 2WD', year: 2023, type: 'bev', weight: 1920, energyUse: 14.3, batteryCapacity: 77.4 },
+    { id: 'hyundai-kona-ev-2023', make: 'Hyundai', model: 'Kona Electric 64.8 kWh', year: 2023, type: 'bev', weight: 1690, energyUse: 14.7, batteryCapacity: 64.8 },
+    { id: 'kia-ev6-lr-2023', make: 'Kia', model: 'EV6 Long Range 2WD', year: 2023, type: 'bev', weight: 1985, energyUse: 16.5, batteryCapacity: 77.4 },
+    { id: 'kia-ev9-2024', make: 'Kia', model: 'EV9 99.8 kWh AWD', year: 2024, type: 'bev', weight: 2585, energyUse: 22.8, batteryCapacity: 99.8 },
+    { id: 'kia-niro-ev-2023', make: 'Kia', model: 'Niro EV', year: 2023, type: 'bev', weight: 1710, energyUse: 16.2, batteryCapacity: 64.8 },
+    { id: 'genesis-gv60-2023', make: 'Genesis', model: 'GV60 Standard 2WD', year: 2023, type: 'bev', weight: 2000, energyUse: 17.0, batteryCapacity: 77.4 },
+    { id: 'tesla-model3-rwd-2023', make: 'Tesla', model: 'Model 3 RWD', year: 2023, type: 'bev', weight: 1765, energyUse: 14.2, batteryCapacity: 60.0, batteryChemistry: 'lfp' },
+    { id: 'tesla-modely-lr-2023', make: 'Tesla', model: 'Model Y Long Range AWD', year: 2023, type: 'bev', weight: 1980, energyUse: 16.9, batteryCapacity: 78.1, batteryChemistry: 'nca' },
+    { id: 'chevrolet-bolt-ev-2023', make: 'Chevrolet', model: 'Bolt EV', year: 2023, type: 'bev', weight: 1620, energyUse: 16.3, batteryCapacity: 66.0 },
+    { id: 'vw-id4-pro-2023', make: 'Volkswagen', model: 'ID.4 Pro', year: 2023, type: 'bev', weight: 2125, energyUse: 17.6, batteryCapacity: 82.0 },
+    { id: 'bmw-i4-edrive40-2023', make: 'BMW', model: 'i4 eDrive40', year: 2023, type: 'bev', weight: 2125, energyUse: 16.6, batteryCapacity: 83.9 },
+    { id: 'mercedes-eqe350-2023', make: 'Mercedes-Benz', model: 'EQE 350+', year: 2023, type: 'bev', weight: 2355, energyUse: 16.4, batteryCapacity: 96.0 },
+    { id: 'nissan-leaf-40-2023', make: 'Nissan', model: 'Leaf 40 kWh', year: 2023, type: 'bev', weight: 1580, energyUse: 17.1, batteryCapacity: 40.0 },
+    { id: 'renault-zoe-r135-2022', make: 'Renault', model: 'Zoe R135', year: 2022, type: 'bev', weight: 1577, energyUse: 17.7, batteryCapacity: 54.7 },
+    { id: 'polestar-2-lr-2023', make: 'Polestar', model: '2 Long Range Single Motor', year: 2023, type: 'bev', weight: 2050, energyUse: 16.4, batteryCapacity: 82.0 },
+    { id: 'byd-atto3-2023', make: 'BYD', model: 'Atto 3', year: 2023, type: 'bev', weight: 1750, energyUse: 16.0, batteryCapacity: 60.5, batteryChemistry: 'lfp' },
+
+    // 수소연료전지차 (FCEV)
+    { id: 'hyundai-nexo-2023', make: 'Hyundai', model: 'NEXO', year: 2023, type: 'fcev', weight: 1870, hydrogenUse: 0.84, batteryCapacity: 1.56 },
+    { id: 'toyota-mirai-2023', make: 'Toyota', model: 'Mirai', year: 2023, type: 'fcev', weight: 1900, hydrogenUse: 0.79, batteryCapacity: 1.24 }
+];